@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/* eslint-env node */
+import fs from 'fs';
+import path from 'path';
+import { ExampleGenerator } from '../index.js';
+import {
+  collectApiExamples,
+  inflateFlattenedModel,
+} from '../src/ApiExamplesCollector.js';
+import {
+  REPORT_FORMATS,
+  renderExamplesReport,
+  reportFilePath,
+} from '../src/ExamplesReport.js';
+
+const USAGE = `Usage: api-example-generator <model.json> [options]
+
+Generates examples for every request and response payload of a resolved
+AMF JSON-LD model (flattened or compact).
+
+Options:
+  -o, --out <dir>     Writes a file per media type to the directory instead
+                      of printing the examples.
+  -f, --format <fmt>  Output format: json (default) or markdown.
+  --no-auto           Does not generate examples that are not defined in
+                      the API.
+  --raw-only          Lists raw examples only.
+  -h, --help          Prints this message.
+`;
+
+/**
+ * @param {Array<String>} args Command line arguments.
+ * @return {Object} Parsed options.
+ */
+const parseArgs = args => {
+  const options = { format: 'json', opts: {} };
+  const valueOf = index => {
+    if (args[index] === undefined) {
+      throw new Error(`Missing value of ${args[index - 1]}`);
+    }
+    return args[index];
+  };
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-o':
+      case '--out':
+        i += 1;
+        options.out = valueOf(i);
+        break;
+      case '-f':
+      case '--format':
+        i += 1;
+        options.format = valueOf(i);
+        break;
+      case '--no-auto':
+        options.opts.noAuto = true;
+        break;
+      case '--raw-only':
+        options.opts.rawOnly = true;
+        break;
+      default:
+        if (arg.startsWith('-') || options.file) {
+          throw new Error(`Unknown argument: ${arg}`);
+        }
+        options.file = arg;
+    }
+  }
+  if (!options.help && !options.file) {
+    throw new Error('The model file is required.');
+  }
+  if (REPORT_FORMATS.indexOf(options.format) === -1) {
+    throw new Error(`Unsupported format: ${options.format}`);
+  }
+  return options;
+};
+
+/**
+ * @param {Object} options Parsed command line options.
+ */
+const run = options => {
+  const model = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+  const generator = new ExampleGenerator(inflateFlattenedModel(model));
+  const entries = collectApiExamples(generator, options.opts);
+  if (!options.out) {
+    process.stdout.write(renderExamplesReport(entries, options.format));
+    return;
+  }
+  entries.forEach(entry => {
+    const file = path.join(options.out, reportFilePath(entry, options.format));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderExamplesReport([entry], options.format));
+  });
+};
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`${e.message}\n\n${USAGE}`);
+  process.exitCode = 1;
+}
+if (options && options.help) {
+  process.stdout.write(USAGE);
+} else if (options) {
+  try {
+    run(options);
+  } catch (e) {
+    process.stderr.write(`${e.message}\n`);
+    process.exitCode = 1;
+  }
+}
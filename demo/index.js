@@ -12,6 +12,7 @@ class ComponentDemo extends ApiDemoPage {
     this.initObservableProperties([
       'noAuto',
       'rawOnly',
+      'realistic',
       'hasData',
       'examples',
       'demoStates',
@@ -56,6 +57,9 @@ class ComponentDemo extends ApiDemoPage {
     if (this.rawOnly) {
       opts.rawOnly = this.rawOnly;
     }
+    if (this.realistic) {
+      opts.realistic = this.realistic;
+    }
     this.examples = this.generator.generatePayloadsExamples(
       this.payloads,
       media,
@@ -107,6 +111,10 @@ class ComponentDemo extends ApiDemoPage {
     this.noAuto = e.detail.value;
   }
 
+  _realisticChanged(e) {
+    this.realistic = e.detail.value;
+  }
+
   _apiListTemplate() {
     return [
       ['demo-api', 'Demo API'],
@@ -119,6 +127,31 @@ class ComponentDemo extends ApiDemoPage {
       ['SE-14813', 'SE-14813'],
       ['allof-types', 'Allof Types API'],
       ['APIC-487', 'APIC-487'],
+      ['yaml-examples', 'YAML examples'],
+      ['form-urlencoded', 'Form URL encoded'],
+      ['multipart', 'Multipart'],
+      ['multipart-oas', 'Multipart (OAS)'],
+      ['facets', 'Facets'],
+      ['facets-oas', 'Facets (OAS)'],
+      ['realistic', 'Realistic values'],
+      ['validation', 'Example validation'],
+      ['discriminator', 'Discriminator'],
+      ['discriminator-oas', 'Discriminator (OAS)'],
+      ['composition', 'Composition'],
+      ['direction', 'readOnly and writeOnly'],
+      ['profiles', 'Minimal and maximal examples'],
+      ['patterns', 'Pattern properties'],
+      ['patterns-oas', 'Additional properties (OAS)'],
+      ['nullable', 'Nullable types'],
+      ['nullable-oas', 'Nullable types (OAS)'],
+      ['xml-namespaces', 'XML namespaces'],
+      ['xml-namespaces-oas', 'XML namespaces (OAS)'],
+      ['operation', 'Operation examples'],
+      ['parameters', 'Parameters examples'],
+      ['parameters-oas', 'Parameters examples (OAS)'],
+      ['recursive', 'Recursive types'],
+      ['recursive-oas', 'Recursive types (OAS)'],
+      ['unions', 'Union types'],
     ].map(
       ([file, label]) => html`
         <anypoint-item data-src="${file}-compact.json"
@@ -177,6 +210,15 @@ class ComponentDemo extends ApiDemoPage {
         >
           Raw only
         </anypoint-checkbox>
+        <anypoint-checkbox
+          aria-describedby="mainOptionsLabel"
+          slot="options"
+          name="realistic"
+          @change="${this._toggleMainOption}"
+          title="Infer values of properties from their names."
+        >
+          Realistic
+        </anypoint-checkbox>
       </arc-interactive-demo>`;
   }
 
@@ -29,9 +29,14 @@ declare class ApiExampleGenerator extends LitElement {
   listMedia(payloads: any): any;
   generatePayloadsExamples(payloads: any, media: any, opts: any): any;
   generatePayloadExamples(payload: any, mime: any, opts: any): any;
+  generateOperationExamples(operation: any, opts?: any): any;
+  generateParametersExamples(endpoint: any, operation?: any, opts?: any): any;
+  generateQueryString(parameters: any, opts?: any): any;
+  expandUriTemplate(template: any, parameters: any, opts?: any): any;
+  generateHeadersMap(headers: any, opts?: any): any;
   computeExamples(schema: any, mime: any, opts: any): any;
   _readJsonSchema(schema: any): any;
-  _computeFromExamples(examples: any, mime: any, opts: any): any;
+  _computeFromExamples(examples: any, mime: any, opts: any, schema?: any): any;
   _processExamples(examples: any): any;
   _listTypeExamples(examples: any, typeId: any): any;
   _generateFromExample(example: any, mime: any, opts: any): any;
@@ -62,7 +67,7 @@ declare class ApiExampleGenerator extends LitElement {
   _appendXmlElement(doc: any, node: any, range: any): any;
   _appendXmlElements(doc: any, node: any, property: any, range: any): any;
   _appendXmlArray(doc: any, node: any, property: any, range: any, isWrapped: any): any;
-  _xmlProcessUnionScalarProperty(doc: any, node: any, property: any, shape: any): any;
+  _xmlProcessUnionScalarProperty(doc: any, node: any, property: any, shape: any, opts?: any): any;
   _normalizeXmlTagName(name: any): any;
   _xmlProcessDataProperty(doc: any, node: any, property: any, name: any): any;
   _computeExampleFromStructuredValue(model: any): any;
@@ -50,6 +50,30 @@ export class ApiExampleGenerator extends LitElement {
     return this._generator.generatePayloadExamples(payload, mime, opts);
   }
 
+  generateOperationExamples(operation, opts) {
+    return this._generator.generateOperationExamples(operation, opts);
+  }
+
+  generateParametersExamples(endpoint, operation, opts) {
+    return this._generator.generateParametersExamples(
+      endpoint,
+      operation,
+      opts
+    );
+  }
+
+  generateQueryString(parameters, opts) {
+    return this._generator.generateQueryString(parameters, opts);
+  }
+
+  expandUriTemplate(template, parameters, opts) {
+    return this._generator.expandUriTemplate(template, parameters, opts);
+  }
+
+  generateHeadersMap(headers, opts) {
+    return this._generator.generateHeadersMap(headers, opts);
+  }
+
   computeExamples(schema, mime, opts) {
     return this._generator.computeExamples(schema, mime, opts);
   }
@@ -58,8 +82,8 @@ export class ApiExampleGenerator extends LitElement {
     return this._generator._readJsonSchema(schema);
   }
 
-  _computeFromExamples(examples, mime, opts) {
-    return this._generator._computeFromExamples(examples, mime, opts);
+  _computeFromExamples(examples, mime, opts, schema) {
+    return this._generator._computeFromExamples(examples, mime, opts, schema);
   }
 
   _processExamples(examples) {
@@ -182,8 +206,14 @@ export class ApiExampleGenerator extends LitElement {
     return this._generator._appendXmlArray(doc, node, range, isWrapped);
   }
 
-  _xmlProcessUnionScalarProperty(doc, node, property, shape) {
-    return this._generator._xmlProcessUnionScalarProperty(doc, property, shape);
+  _xmlProcessUnionScalarProperty(doc, node, property, shape, opts) {
+    return this._generator._xmlProcessUnionScalarProperty(
+      doc,
+      node,
+      property,
+      shape,
+      opts
+    );
   }
 
   _normalizeXmlTagName(name) {
@@ -0,0 +1,50 @@
+import {ExampleGenerator, ExampleOptions, Example} from './ExampleGenerator';
+
+export declare interface CollectedExamples {
+  /**
+   * The path of the endpoint.
+   */
+  path: string;
+  /**
+   * The HTTP method of the operation (lower case).
+   */
+  method: string;
+  /**
+   * Either `request` or `response`.
+   */
+  kind: string;
+  /**
+   * The status code of the response. Only for responses.
+   */
+  statusCode?: string;
+  /**
+   * The media type of the examples.
+   */
+  mediaType: string;
+  /**
+   * The result of `ExampleGenerator.generatePayloadsExamples()` for the media type.
+   */
+  examples: Example[];
+}
+
+/**
+ * Transforms a flattened AMF JSON-LD model (a model with the `@graph` list of
+ * nodes that reference each other by `@id`) into the embedded model that
+ * the generator works with. References are replaced with the referenced
+ * nodes. Other models are returned unchanged.
+ *
+ * @param model AMF JSON-LD model
+ * @returns The embedded model
+ */
+export declare function inflateFlattenedModel(model: object[]|object): object[]|object;
+
+/**
+ * Walks every endpoint, operation, request payload, and response payload of
+ * the API and generates examples for each media type.
+ *
+ * @param generator An instance of the `ExampleGenerator` with the `amf` model set.
+ * @param opts Examples generation options passed to `generateOperationExamples()`.
+ * @returns Examples in the order of endpoints and operations in the API.
+ * Responses are ordered by the status code.
+ */
+export declare function collectApiExamples(generator: ExampleGenerator, opts?: ExampleOptions): CollectedExamples[];
@@ -0,0 +1,125 @@
+/* eslint-disable no-param-reassign */
+
+/**
+ * @typedef {Object} CollectedExamples
+ * @property {String} path The path of the endpoint.
+ * @property {String} method The HTTP method of the operation (lower case).
+ * @property {String} kind Either `request` or `response`.
+ * @property {String=} statusCode The status code of the response. Only for
+ * responses.
+ * @property {String} mediaType The media type of the examples.
+ * @property {Array<Object>} examples The result of
+ * `ExampleGenerator.generatePayloadsExamples()` for the media type.
+ */
+
+/**
+ * @param {Object} node A JSON-LD node
+ * @param {Object} nodes Graph nodes keyed by `@id`
+ * @return {Object} The node of the graph when the node is a reference.
+ */
+const graphNode = (node, nodes) => {
+  if (
+    node &&
+    typeof node === 'object' &&
+    typeof node['@id'] === 'string' &&
+    Object.keys(node).length === 1 &&
+    nodes[node['@id']]
+  ) {
+    return nodes[node['@id']];
+  }
+  return node;
+};
+
+/**
+ * Transforms a flattened AMF JSON-LD model (a model with the `@graph` list of
+ * nodes that reference each other by `@id`) into the embedded model that
+ * the generator works with. References are replaced with the referenced
+ * nodes. Other models are returned unchanged.
+ *
+ * @param {Array<Object>|Object} model AMF JSON-LD model
+ * @return {Array<Object>|Object} The embedded model
+ */
+export const inflateFlattenedModel = model => {
+  if (!model || Array.isArray(model) || !Array.isArray(model['@graph'])) {
+    return model;
+  }
+  const graph = model['@graph'];
+  const nodes = {};
+  graph.forEach(node => {
+    nodes[node['@id']] = node;
+  });
+  graph.forEach(node => {
+    Object.keys(node).forEach(key => {
+      if (key === '@id' || key === '@type') {
+        return;
+      }
+      const value = node[key];
+      node[key] = Array.isArray(value)
+        ? value.map(item => graphNode(item, nodes))
+        : graphNode(value, nodes);
+    });
+  });
+  const root = graph.find(node =>
+    Object.keys(node).some(key => /(#|:)encodes$/.test(key))
+  );
+  if (!root) {
+    return model;
+  }
+  if (model['@context']) {
+    root['@context'] = model['@context'];
+  }
+  return [root];
+};
+
+/**
+ * Walks every endpoint, operation, request payload, and response payload of
+ * the API and generates examples for each media type.
+ *
+ * @param {Object} generator An instance of the `ExampleGenerator` with the
+ * `amf` model set.
+ * @param {Object=} [opts={}] Examples generation options passed to
+ * `generateOperationExamples()`.
+ * @return {Array<CollectedExamples>} Examples in the order of endpoints and
+ * operations in the API. Responses are ordered by the status code.
+ */
+export const collectApiExamples = (generator, opts = {}) => {
+  const { apiContract } = generator.ns.aml.vocabularies;
+  const webApi = generator._computeWebApi(generator.amf);
+  const endpoints = generator._computeEndpoints(webApi) || [];
+  const opKey = generator._getAmfKey(apiContract.supportedOperation);
+  const result = [];
+  endpoints.forEach(endpoint => {
+    const path = String(generator._getValue(endpoint, apiContract.path));
+    const operations = generator._ensureArray(endpoint[opKey]) || [];
+    operations.forEach(operation => {
+      const method = String(generator._getValue(operation, apiContract.method));
+      const { request, responses } = generator.generateOperationExamples(
+        operation,
+        opts
+      );
+      Object.keys(request).forEach(mediaType => {
+        result.push({
+          path,
+          method,
+          kind: 'request',
+          mediaType,
+          examples: request[mediaType],
+        });
+      });
+      Object.keys(responses).forEach(statusCode => {
+        const media = responses[statusCode];
+        Object.keys(media).forEach(mediaType => {
+          result.push({
+            path,
+            method,
+            kind: 'response',
+            statusCode,
+            mediaType,
+            examples: media[mediaType],
+          });
+        });
+      });
+    });
+  });
+  return result;
+};
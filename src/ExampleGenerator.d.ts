@@ -1,8 +1,19 @@
 import {AmfHelperMixin} from '@api-components/amf-helper-mixin/amf-helper-mixin.js';
+import {NameRule} from './RealisticGenerator';
+import {NumberConstraints} from './NumberGenerator';
+import {XmlDocument, XmlElement} from './XmlSerializer';
 
 export {ExampleGenerator};
 export {ExampleOptions};
 export {Example};
+export {MultipartEncoding};
+export {ExampleValidation};
+export {OperationExamples};
+export {ParametersExamples};
+export {ValidationIssue};
+export {UnionChoices};
+export {UnionChoicePoint};
+export {UniqueItem};
 
 declare interface ExampleOptions {
   /**
@@ -25,6 +36,183 @@ declare interface ExampleOptions {
   typeId?: string;
 
   parentName?: string;
+  /**
+   * The way arrays are serialized for the `application/x-www-form-urlencoded`
+   * media type and in query strings. Either `repeat` (default) or `brackets`.
+   */
+  urlEncodedArrayFormat?: 'repeat'|'brackets';
+  /**
+   * The boundary to use with the `multipart/form-data` media type.
+   * By default it is `DEFAULT_MULTIPART_BOUNDARY`.
+   */
+  multipartBoundary?: string;
+  /**
+   * OAS 3 encoding definitions keyed by the property name.
+   * Set by `generatePayloadExamples()`.
+   */
+  multipartEncoding?: Record<string, MultipartEncoding>;
+  /**
+   * Index of the `enum` member to use as a value of a scalar
+   * that has no example or default value. By default it is the first member.
+   */
+  enumIndex?: number;
+  /**
+   * Preferred number of items generated for an array.
+   * The number is adjusted to the `minItems` and `maxItems` facets of the array. Default to 1.
+   */
+  arrayItemsCount?: number;
+  /**
+   * When set, the generated values (numbers, strings, dates, enum
+   * members, array lengths, and union members) are selected randomly. The same seed always
+   * produces the same examples.
+   */
+  seed?: number|string;
+  /**
+   * A function returning a number in the `[0, 1)` range, used to
+   * select random values instead of the one created from the `seed`.
+   */
+  random?: () => number;
+  /**
+   * When set, values of scalar properties without an example
+   * are inferred from the property name (e.g. `email`, `firstName`, `city`, `createdAt`).
+   */
+  realistic?: boolean;
+  /**
+   * Custom rules used with the `realistic` option.
+   * They take precedence over the built-in rules. A rule with the name of a built-in rule replaces it.
+   */
+  nameRules?: NameRule[];
+  /**
+   * Name of the processed property. Set when processing object properties.
+   */
+  propertyName?: string;
+  /**
+   * When set, declared examples are validated against the shape
+   * and the result is set on the `validation` property of the example.
+   */
+  validate?: boolean;
+  /**
+   * Maximum nesting level of generated objects and arrays. The processed shape
+   * is at level 1. Deeper objects are generated as `{}`, arrays as `[]`, and
+   * XML elements are empty.
+   */
+  maxDepth?: number;
+  /**
+   * Object and array shapes being processed, the outermost first.
+   * Set by the generator to detect recursive types.
+   */
+  ancestors?: object[];
+  /**
+   * When set, an example is generated for each combination of members of
+   * the unions used in object properties. The examples are union values titled
+   * with the selected members.
+   */
+  expandUnions?: boolean;
+  /**
+   * The maximum number of examples generated with the `expandUnions` option.
+   * Default to 10.
+   */
+  unionExamplesLimit?: number;
+  /**
+   * The members of unions to select. Set by the generator with the `expandUnions` option.
+   */
+  unionChoices?: UnionChoices;
+  /**
+   * The discriminator of the processed shape. Set by the generator.
+   */
+  discriminator?: Discriminator;
+  /**
+   * The `@id` of the discriminated parent of the processed subtype.
+   * Set by the generator when generating an example for each subtype.
+   */
+  subtypeOf?: string;
+  /**
+   * When set, readOnly properties are rendered in request examples
+   * and examples without a direction.
+   */
+  renderReadOnly?: boolean;
+  /**
+   * The direction of the message the example is generated for.
+   * Requests omit readOnly properties and responses omit writeOnly properties,
+   * also in nested objects. Without a direction only readOnly properties
+   * of the processed shape are omitted. `generatePayloadExamples()` sets it
+   * for payloads of an operation.
+   */
+  direction?: 'request'|'response';
+  /**
+   * The properties of generated objects. The `minimal` profile renders
+   * required properties only. The `maximal` profile renders all properties
+   * and a property generated from the `additionalProperties` schema.
+   * By default all properties are rendered.
+   */
+  profile?: 'minimal'|'maximal';
+  /**
+   * When set, a second example titled `null` is generated for a nullable
+   * shape or an object with nullable properties. Nullable values of
+   * the example are `null`, rendered in XML as elements with `xsi:nil="true"`.
+   */
+  nullVariant?: boolean;
+  /**
+   * When set, nullable values are generated as `null`.
+   * Set by the generator with the `nullVariant` option.
+   */
+  nullValues?: boolean;
+}
+
+export declare interface Discriminator {
+  /**
+   * The name of the discriminator property.
+   */
+  name: string;
+  /**
+   * The value of the discriminator property.
+   */
+  value: string;
+}
+
+declare interface UnionChoices {
+  /**
+   * Indexes of the members to select, in the order the unions are processed.
+   * The first member is selected when the index is not set.
+   */
+  selected: number[];
+  /**
+   * Unions processed while generating the example.
+   */
+  trace: UnionChoicePoint[];
+}
+
+declare interface UnionChoicePoint {
+  /**
+   * The name of the property that is an union.
+   */
+  name: string;
+  /**
+   * Names of the members of the union.
+   */
+  members: string[];
+}
+
+declare interface UniqueItem {
+  /**
+   * The value of an item of an array with the `uniqueItems` facet.
+   */
+  value: any;
+  /**
+   * Processing options the value was generated with.
+   */
+  options: ExampleOptions;
+}
+
+declare interface MultipartEncoding {
+  /**
+   * The content type of the part.
+   */
+  contentType?: string;
+  /**
+   * Additional headers of the part.
+   */
+  headers?: Record<string, string>;
 }
 
 declare interface Example {
@@ -57,6 +245,80 @@ declare interface Example {
    * Only when `hasUnion` is set.
    */
   values?: Array<Example>;
+  /**
+   * When true then the example was generated for a scalar value.
+   */
+  isScalar?: boolean;
+  /**
+   * The result of validating a declared example against the shape.
+   * Only when the `validate` option is set.
+   */
+  validation?: ExampleValidation;
+}
+
+declare interface OperationExamples {
+  /**
+   * Request examples keyed by the media type.
+   */
+  request: Record<string, Example[]>;
+  /**
+   * Examples of request headers keyed by the header name.
+   */
+  requestHeaders: Record<string, Example[]>;
+  /**
+   * Response examples keyed by the status code and the media type.
+   */
+  responses: Record<string, Record<string, Example[]>>;
+  /**
+   * Examples of response headers keyed by the status code and the header name.
+   */
+  responseHeaders: Record<string, Record<string, Example[]>>;
+}
+
+declare interface ParametersExamples {
+  /**
+   * The endpoint path with expanded URI parameters.
+   */
+  path: string;
+  /**
+   * The query string, without the leading `?`.
+   */
+  queryString: string;
+  /**
+   * The path with the query string.
+   */
+  uri: string;
+  /**
+   * Header values keyed by the header name.
+   */
+  headers: Record<string, string>;
+}
+
+declare interface ExampleValidation {
+  /**
+   * True when the example satisfies the shape.
+   */
+  valid: boolean;
+  /**
+   * List of problems found in the example.
+   */
+  issues: ValidationIssue[];
+}
+
+declare interface ValidationIssue {
+  /**
+   * JSON pointer to the offending value in the example.
+   * An empty string is the example itself.
+   */
+  path: string;
+  /**
+   * The facet the value does not satisfy.
+   */
+  keyword: 'required'|'type'|'enum'|'pattern'|'minLength'|'maxLength'|'minimum'|'maximum'|'multipleOf'|'minItems'|'maxItems'|'anyOf';
+  /**
+   * Human readable description of the problem.
+   */
+  message: string;
 }
 
 /**
@@ -95,6 +357,13 @@ export declare function formatXml(xml: String): String;
  */
 export declare function processJsonArrayExamples(examples: Array<Example>): void;
 
+/**
+ * Processes YAML examples that should be an arrays and turns them into
+ * a sequence if nescesary.
+ * It does the same for unions which has array of values.
+ */
+export declare function processYamlArrayExamples(examples: Array<Example>): void;
+
 /**
  * Examples generator from AMF model.
  *
@@ -148,6 +417,9 @@ export declare function processJsonArrayExamples(examples: Array<Example>): void
  * - `noAuto` - Don't generate an example from object properties if the example is
  * not defined in API file.
  * - `typeName` - Processed type name, used for XML types to use right XML element wrapper name.
+ * - `urlEncodedArrayFormat` - Either `repeat` (default) or `brackets`. The way arrays are serialized
+ * for the `application/x-www-form-urlencoded` media type and in query strings.
+ * - `multipartBoundary` - The boundary of the `multipart/form-data` example.
  */
 declare class ExampleGenerator extends AmfHelperMixin(Object) {
 
@@ -161,6 +433,13 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    */
   constructor(amf?: Array<object>|object);
 
+  /**
+   * Clears the lookups computed for the previous model.
+   *
+   * @param amf The current AMF model.
+   */
+  __amfChanged(amf: Array<object>|object): void;
+
   /**
    * Lists media types names for payloads.
    * The `payloads` is an array of AMF Payload shape. It can be single Payload
@@ -187,6 +466,8 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
 
   /**
    * Generates a list of examples for a single AMF Payload shape.
+   * When the `direction` option is not set, it is `request` for a payload
+   * of an operation's request and `response` for a payload of a response.
    *
    * @param payload AMF Payload shape.
    * @param mime A mime type to use.
@@ -194,6 +475,108 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    */
   generatePayloadExamples(payload: object, mime: String, opts?: ExampleOptions): Array<Example>|undefined;
 
+  /**
+   * Generates examples of the request and of every response of an operation,
+   * including the examples of headers.
+   *
+   * @param operation AMF SupportedOperation shape.
+   * @param opts Processing options.
+   * @returns Examples keyed by the media type or the header name.
+   * Responses are keyed by the status code first. Media types and headers without
+   * examples are omitted.
+   */
+  generateOperationExamples(operation: object, opts?: ExampleOptions): OperationExamples;
+
+  /**
+   * Generates examples for each media type of a list of payloads.
+   *
+   * @param payloads List of AMF Payload shapes.
+   * @param opts Processing options.
+   * @returns Examples keyed by the media type.
+   */
+  _computeMediaExamples(payloads: object[]|undefined, opts?: ExampleOptions): Record<string, Example[]>;
+
+  /**
+   * Generates examples for each header of a list of headers.
+   *
+   * @param headers List of AMF Parameter shapes.
+   * @param opts Processing options.
+   * @returns Examples keyed by the header name.
+   */
+  _computeHeadersExamples(headers: object[]|undefined, opts?: ExampleOptions): Record<string, Example[]>;
+
+  /**
+   * Generates examples of the parameters of an operation: the endpoint path
+   * with expanded URI parameters, the query string, and the headers map.
+   *
+   * @param endpoint AMF EndPoint shape.
+   * @param operation AMF SupportedOperation shape of the endpoint.
+   * @param opts Processing options.
+   */
+  generateParametersExamples(endpoint: object, operation?: object, opts?: ExampleOptions): ParametersExamples;
+
+  /**
+   * Generates a query string from a list of query parameters.
+   * Arrays are serialized depending on the `urlEncodedArrayFormat` option.
+   *
+   * @param parameters List of AMF Parameter shapes.
+   * @param opts Processing options.
+   * @returns The query string, without the leading `?`. Empty string
+   * when there are no values.
+   */
+  generateQueryString(parameters: object[]|undefined, opts?: ExampleOptions): string;
+
+  /**
+   * Replaces variables of an URI template (e.g. `/items/{id}`) with values
+   * of the URI parameters. Variables without a value or with an empty value
+   * (e.g. a string parameter without an example) are left unchanged.
+   *
+   * @param template The endpoint path or an URI template.
+   * @param parameters List of AMF Parameter shapes.
+   * @param opts Processing options.
+   * @returns The URI with expanded variables.
+   */
+  expandUriTemplate(template: string, parameters: object[]|undefined, opts?: ExampleOptions): string;
+
+  /**
+   * Generates a map of header values from a list of headers.
+   * Values of array headers are joined with a comma.
+   *
+   * @param headers List of AMF Parameter shapes.
+   * @param opts Processing options.
+   * @returns Header values keyed by the header name.
+   */
+  generateHeadersMap(headers: object[]|undefined, opts?: ExampleOptions): Record<string, string>;
+
+  /**
+   * Computes values of a list of parameters.
+   *
+   * @param parameters List of AMF Parameter shapes.
+   * @param opts Processing options.
+   * @returns Parameter values keyed by the parameter name.
+   * Parameters without a value are omitted.
+   */
+  _computeParametersValues(parameters: object[]|undefined, opts?: ExampleOptions): Record<string, any>;
+
+  /**
+   * Computes a value of a parameter from its schema. Scalar values are
+   * computed the same way as values of scalar properties of a JSON example.
+   *
+   * @param parameter AMF Parameter shape.
+   * @param name The name of the parameter.
+   * @param opts Processing options.
+   * @returns The value or `undefined` when the parameter has no schema or,
+   * with the `noAuto` option, when the schema declares no value.
+   */
+  _computeParameterValue(parameter: object, name: string, opts?: ExampleOptions): any;
+
+  /**
+   * @param schema AMF shape of a parameter.
+   * @returns True when the shape (or the items shape of an array)
+   * has a default value, an example, or an enum.
+   */
+  _hasDeclaredValue(schema: object): boolean;
+
   /**
    * Computes examples from an AMF shape.
    * It returns examples defined in API spec file. If examples are not defined
@@ -201,8 +584,9 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * object properties (if an object represents scalar, object, union, or an array).
    *
    * @param schema Any AMF schema.
-   * @param mime Examples media type. Currently `application/json` and
-   * `application/xml` are supported.
+   * @param mime Examples media type. Currently `application/json`,
+   * `application/xml`, `application/x-www-form-urlencoded`, `multipart/form-data`,
+   * and YAML media types (e.g. `application/yaml`) are supported.
    * @param opts Generation options. See `generatePayloadsExamples()`.
    * Besides that, `opts.typeId` is required to compute examples for a payload.
    * The `typeId` is a value of `@id` of the Payload shape.
@@ -221,13 +605,98 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * Computes examples value from a list of examples.
    *
    * @param examples List of AMF Example schapes.
-   * @param mime Examples media type. Currently `application/json` and
-   * `application/xml` are supported.
+   * @param mime Examples media type. Currently `application/json`,
+   * `application/xml`, `application/x-www-form-urlencoded`, `multipart/form-data`,
+   * and YAML media types are supported.
    * @param opts Generation options. See `generatePayloadsExamples()`.
    * Besides that, `opts.typeId` is required to compute examples for a payload.
    * The `typeId` is a value of `@id` of the Payload shape.
+   * @param schema The shape the examples belong to. Required to validate
+   * the examples when the `validate` option is set.
    */
-  _computeFromExamples(examples: Array<object>, mime: String, opts: object): Array<object>|undefined;
+  _computeFromExamples(examples: Array<object>, mime: String, opts: object, schema?: object): Array<object>|undefined;
+
+  /**
+   * Validates a declared example against the shape it belongs to.
+   * It checks required properties, data types, and the `enum`, `pattern`,
+   * `minLength`, `maxLength`, `minimum`, `maximum`, `multipleOf`,
+   * `minItems`, and `maxItems` facets.
+   *
+   * @param example AMF's Example shape.
+   * @param schema The shape the example belongs to.
+   * @param mime Example content type.
+   * @returns The validation result or `undefined` when the value of the example
+   * cannot be read.
+   */
+  _validateExample(example: object, schema: object, mime?: string): ExampleValidation|undefined;
+
+  /**
+   * Reads the value of an example as a JavaScript value.
+   * A JSON example is parsed from the raw value. Otherwise the structured
+   * value of the example is used.
+   *
+   * @param example AMF's Example shape.
+   * @param mime Example content type.
+   * @returns The value or `undefined` when the example has no value.
+   */
+  _readExampleData(example: object, mime?: string): any;
+
+  /**
+   * Validates a value against a shape and adds found problems to `issues`.
+   *
+   * @param shape AMF's shape
+   * @param value The value to validate
+   * @param path JSON pointer of the value
+   * @param issues List of found problems
+   */
+  _validateValue(shape: object, value: any, path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates a value against a scalar shape.
+   */
+  _validateScalar(range: object, value: any, path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates a string against `pattern`, `minLength`, and `maxLength` facets.
+   */
+  _validateString(range: object, value: string, path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates a number against `minimum`, `maximum`, and `multipleOf` facets.
+   */
+  _validateNumber(range: object, value: number, path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates a value against an object shape.
+   * Missing required properties are reported with the path of the property.
+   * Values of keys matching a pattern property are validated against
+   * the range of the pattern property.
+   */
+  _validateObject(range: object, value: any, path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates values of keys of an object that match the pattern of
+   * a pattern property. Keys of declared properties are not validated.
+   *
+   * @param property AMF property shape with the `patternName`.
+   * @param value The object to validate
+   * @param names Names of declared properties of the object
+   * @param path JSON pointer of the object
+   * @param issues List of found problems
+   */
+  _validatePatternProperty(property: object, value: object, names: string[], path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates a value against an array shape.
+   */
+  _validateArray(range: object, value: any, path: string, issues: ValidationIssue[]): void;
+
+  /**
+   * Validates a value against an union shape.
+   * The value is valid when it satisfies one of the union members.
+   * A value of a `shacl:xone` shape must satisfy exactly one member.
+   */
+  _validateUnion(range: object, value: any, path: string, issues: ValidationIssue[]): void;
 
   /**
    * In AMF 4 the examples model changes from being an array of examples
@@ -256,8 +725,10 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param example Resolved example.
    * @param mime Example content type.
    * @param opts Processing options.
+   * @param schema The shape the example belongs to. XML examples
+   * use its XML serialization facets.
    */
-  _generateFromExample(example: object, mime: String, opts?: ExampleOptions): Example|undefined;
+  _generateFromExample(example: object, mime: String, opts?: ExampleOptions, schema?: object): Example|undefined;
 
   /**
    * Computes list of examples for an array shape.
@@ -276,6 +747,20 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    */
   _computeAndExamples(schema: object, mime: string, opts?: ExampleOptions): Example[];
 
+  /**
+   * Merges members of an `and` shape into a single shape.
+   * Properties of the members are merged with the properties of the shape.
+   * Other facets of the members, like the data type, `oneOf`, `anyOf`, `not`,
+   * or the discriminator, are added when the shape does not define them.
+   * This way a member that is a composition is processed as a part
+   * of the merged shape.
+   *
+   * @param schema A shape with the `and` members.
+   * @returns A new shape without the `and` members or `undefined` when
+   * the shape has no members.
+   */
+  _computeAndShape(schema: object): object|undefined;
+
   /**
    * Merges a schema's properties with all the properties in a list of shapes
    * Returns a new object to avoid changing the original schema object
@@ -285,14 +770,186 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    */
   _mergeSchemaWithProperties(schema: object, shapes: object[]): object;
 
+  /**
+   * Reads the discriminator of a shape. The value is the `discriminatorValue`
+   * of a RAML type, the key of the OAS `mapping` that points to the shape,
+   * or the name of the shape.
+   *
+   * @param shape AMF shape.
+   * @param typeName The name of the type the value is read for.
+   * By default it is the name of the shape.
+   * @returns The discriminator or `undefined` when the shape has no discriminator.
+   */
+  _readDiscriminator(shape: object, typeName?: string): Discriminator|undefined;
+
+  /**
+   * Lists declared subtypes of a discriminated shape. A subtype has the
+   * same discriminator and all properties of the parent (RAML), or it
+   * has the parent in `allOf` (OAS).
+   *
+   * @param schema A shape with a discriminator.
+   * @returns Declared subtypes of the shape.
+   */
+  _computeDiscriminatorSubtypes(schema: object): object[];
+
+  /**
+   * Generates an example for each declared subtype of a discriminated shape.
+   *
+   * @param schema A shape with a discriminator.
+   * @param mime Examples media type.
+   * @param opts Processing options.
+   * @returns An union example with a value for each subtype, titled with
+   * the subtype name, or `undefined` when the shape has no subtypes.
+   */
+  _computeSubtypesExamples(schema: object, mime: string, opts: ExampleOptions): Example[]|undefined;
+
+  /**
+   * Tests whether a shape is an union (`anyOf`) or has `oneOf` (`shacl:xone`)
+   * or `anyOf` (`shacl:or`) members.
+   *
+   * @param shape AMF shape.
+   */
+  _isUnionShape(shape: object): boolean;
+
+  /**
+   * Reads members of an union, `shacl:xone`, or `shacl:or` shape.
+   * When the shape has own properties, they are added to the properties
+   * of object members.
+   *
+   * @param shape AMF shape.
+   * @returns Members of the shape or `undefined` when the shape has no members.
+   */
+  _readUnionMembers(shape: object): object[]|undefined;
+
+  /**
+   * Tests whether a shape is nullable: an union of a `nil` shape and other
+   * shapes, e.g. `string?` or `string | nil` in RAML, or a schema with
+   * `nullable: true` in OAS.
+   *
+   * @param shape AMF shape.
+   */
+  _isNullableShape(shape: object): boolean;
+
+  /**
+   * @param property AMF property shape.
+   * @returns True when the range of the property is nullable.
+   */
+  _isNullableProperty(property: object): boolean;
+
+  /**
+   * Reads the member of a nullable shape that is not `nil`.
+   *
+   * @param shape AMF shape.
+   * @returns The resolved member or `undefined` when the shape
+   * is not nullable or it has more than one member that is not `nil`.
+   */
+  _readNullableMember(shape: object): object|undefined;
+
+  /**
+   * Removes `nil` shapes from members of an union so the generator prefers
+   * a value over `null`.
+   *
+   * @param members Members of an union.
+   * @returns Members that are not `nil` or all members when all of them are `nil`.
+   */
+  _filterNilMembers(members: object[]): object[];
+
+  /**
+   * Adds the `null` example of a nullable shape to its examples when
+   * the `nullVariant` option is set.
+   *
+   * @param result Examples of the shape.
+   * @param schema AMF shape.
+   * @param mime Examples media type.
+   * @param opts Processing options.
+   */
+  _withNullExample(result: Example[]|undefined, schema: object, mime: string, opts?: ExampleOptions): Example[]|undefined;
+
+  /**
+   * Creates the `null` example of a nullable shape, generated with
+   * the `nullVariant` option.
+   *
+   * @param schema AMF nullable shape.
+   * @param mime Examples media type.
+   * @param opts Processing options.
+   */
+  _computeNullExample(schema: object, mime: string, opts?: ExampleOptions): Example;
+
   /**
    * Computes example for an union shape.
+   * Each member of an enum of a scalar union member is rendered as a separate value.
+   * Members of `shacl:xone` and `shacl:or` shapes are titled with the member name
+   * or the data type. A `shacl:xone` member has a value that does not match
+   * other members, when the generator can find one.
+   *
    * @param schema The AMF's array shape
    * @param mime Current mime type
    * @param [opts={}]
    */
   _computeUnionExamples(schema: object, mime: string, opts: ExampleOptions): Array<Example>|undefined;
 
+  /**
+   * Generates an example of a `shacl:xone` (`oneOf`) member with a value that
+   * does not match other members. When the value matches a sibling, values
+   * generated with random seeds are tried. A member with a discriminator is
+   * told apart by the discriminator value.
+   * Examples in other media types than JSON are generated with the same
+   * options as the JSON value that was validated.
+   *
+   * @param shape A member of the `shacl:xone` shape.
+   * @param siblings Other members of the shape.
+   * @param mime Examples media type.
+   * @param opts Processing options.
+   * @returns The example of the member. It is the first generated example
+   * when no exclusive value was found.
+   */
+  _computeExclusiveExample(shape: object, siblings: object[], mime: string, opts: ExampleOptions): Example|undefined;
+
+  /**
+   * Reads enum values of a scalar member of an union that has no
+   * example or default value. Each value is rendered as a separate
+   * union value.
+   *
+   * @param shape A member of an union.
+   * @returns Raw values of the enum members. Empty array
+   * when the member is not a scalar with an enum or it has an example.
+   */
+  _readUnionEnumValues(shape: object): string[];
+
+  /**
+   * Generates an example for each combination of members of the unions used
+   * in the properties, including unions nested in the selected members.
+   * Combinations that produce the same value as a previous one are skipped.
+   * The number of examples is limited by the `unionExamplesLimit` option.
+   *
+   * @param properties Properties of an object shape.
+   * @param mime Examples media type.
+   * @param opts Processing options.
+   * @param schema The object shape of the properties.
+   * @returns An union example with a value for each combination, titled with
+   * the selected members, or `undefined` when the properties have no unions.
+   */
+  _computeExpandedUnionExamples(properties: object[], mime: string, opts: ExampleOptions, schema?: object): Example|undefined;
+
+  /**
+   * Selects a member of an union when generating examples with
+   * the `expandUnions` option and records the union in the choices trace.
+   *
+   * @param members Members of the union.
+   * @param name The name of the property that is an union.
+   * @param choices The union choices of the example.
+   * @returns The selected member.
+   */
+  _selectUnionMember(members: object[], name: string, choices: UnionChoices): object;
+
+  /**
+   * @param shape A member of an union.
+   * @param index The index of the member in the union.
+   * @returns The title or the type name of the member, the data type
+   * of a scalar, `nil`, `array`, or the position of the member.
+   */
+  _computeUnionMemberName(shape: object, index: number): string;
+
   /**
    * Computes value from defined `datatype` property.
    *
@@ -322,8 +979,10 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * Generates XML example string value from AMF's structured value definition.
    * @param structure Value of the `structuredValue` property of AMF's example object.
    * @param opts Examples processing options
+   * @param schema The shape of the example. Elements get the namespace
+   * and the prefix from the XML serialization of the shape and its properties.
    */
-  _xmlFromStructure(structure: Object, opts: ExampleOptions): String;
+  _xmlFromStructure(structure: Object, opts: ExampleOptions, schema?: object): String;
 
   /**
    * Reads the value of the `structuredValue` and casts it to the corresponding type.
@@ -349,33 +1008,154 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param mime Media type
    * @param typeName Name of the RAML type.
    * @param parentType For XML processing, parent type name in case of Array type.
+   * @param opts Processing options.
+   * @param schema The object shape of the properties. XML examples use
+   * its XML serialization facets.
    */
-  _exampleFromProperties(properties: object[], mime: string, typeName?: string, parentType?: string): Example|undefined;
+  _exampleFromProperties(properties: object[], mime: string, typeName?: string, parentType?: string, opts?: ExampleOptions, schema?: object): Example|undefined;
+
+  /**
+   * Reads OAS 3 encoding definitions of a payload.
+   *
+   * @param payload AMF Payload shape.
+   * @returns Encoding definitions keyed by the property name or undefined
+   * when the payload has no encoding.
+   */
+  _readPayloadEncoding(payload: object): Record<string, MultipartEncoding>|undefined;
+
+  /**
+   * Reads properties of a shape of a `multipart/form-data` example.
+   *
+   * @param schema The shape the example belongs to.
+   * @returns The properties or undefined when the shape is not an object
+   * with properties.
+   */
+  _readMultipartProperties(schema?: object): object[]|undefined;
+
+  /**
+   * Creates a `multipart/form-data` example from RAML type properties.
+   * Each property is a separate part of the message.
+   *
+   * @param properties List of AMF type properties to process.
+   * @param opts Processing options.
+   * @param data Value of a declared example. When not set the value
+   * is generated from the properties. Values of the example that have no
+   * property are added as parts after the properties.
+   */
+  _multipartFromProperties(properties: object[], opts?: ExampleOptions, data?: object): string;
+
+  /**
+   * Creates a form part for a file property.
+   * Without a declared value the body of the part is a placeholder as it is
+   * not possible to generate the content of a file.
+   *
+   * @param name Name of the property
+   * @param shape The file shape
+   * @param encoding The encoding definition of the property
+   * @param value The value of the property in a declared example.
+   * @returns The part definition
+   */
+  _multipartFilePart(name: string, shape: object, encoding: MultipartEncoding, value?: any): object;
+
+  /**
+   * Reads a shape that describes a file from a property range.
+   * This is the RAML `file` type or OAS' string with the `binary` format.
+   * For an array of files this returns the array items.
+   *
+   * @param range AMF range of a property
+   * @returns The file shape or undefined if the range is not a file.
+   */
+  _readFileShape(range: object): object|undefined;
 
   /**
    * Generates a JSON example from RAML's type properties.
    *
    * @param properties List of type properties
+   * @param opts Processing options.
    */
-  _jsonExampleFromProperties(properties: Array<object>): object|null|undefined;
+  _jsonExampleFromProperties(properties: Array<object>, opts?: ExampleOptions): object|null|undefined;
 
   /**
    * Computes JSON value from a range shape.
    *
    * @param range AMF's range model.
    * @param typeName Optional, type name to use in Union type. By default first NodeShape.
+   * @param opts Processing options.
+   */
+  _computeJsonProperyValue(range: object, typeName?: string, opts?: ExampleOptions): string|number|boolean|null|Array<any>|object|undefined;
+
+  /**
+   * Tests whether generating a value for a shape should stop. This is the
+   * case of AMF's RecursiveShape, an object or an array shape that is already
+   * being processed, or an object or an array that is nested deeper than
+   * the `maxDepth` option allows.
+   *
+   * @param shape AMF shape.
+   * @param opts Processing options.
+   */
+  _isRecursionCutOff(shape: object, opts?: ExampleOptions): boolean;
+
+  /**
+   * Computes the value of a shape for which the generation stopped.
+   * A RecursiveShape has the value of the shape it points to, looked up
+   * in the processed shapes and then in the declarations of the API.
+   *
+   * @param shape AMF shape.
+   * @param opts Processing options.
+   * @returns `{}` for an object, `[]` for an array, and `null` otherwise.
    */
-  _computeJsonProperyValue(range: object, typeName?: string): string|number|boolean|null|Array<any>|object|undefined;
+  _computeCutOffValue(shape: object, opts?: ExampleOptions): object|Array<any>|null;
 
   /**
    * Computes scalar value for AMF's range and casts it to the corresponding type.
    * When the value is not defined then it creates a default value.
    * This is for the mocking service to work with generated example.
+   * A value excluded by the `not` facet of the range is replaced with
+   * an allowed one, when possible.
    *
    * @param range AMF's range definition for a shape.
+   * @param opts Processing options.
+   * @returns Value casted to the corresponding type
+   */
+  _computeJsonScalarValue(range: object, opts?: ExampleOptions): string|number|boolean|null;
+
+  /**
+   * Reads a JSON value of a scalar shape. It is the default value, the example,
+   * the enum member, or a generated value, in this order.
+   *
+   * @param range AMF's range definition for a scalar shape.
+   * @param opts Processing options.
    * @returns Value casted to the corresponding type
    */
-  _computeJsonScalarValue(range: object): string|number|boolean|null;
+  _readJsonScalarValue(range: object, opts?: ExampleOptions): string|number|boolean|null;
+
+  /**
+   * Tests whether a shape without a data type has the `not` facet.
+   *
+   * @param shape AMF shape.
+   */
+  _isNotShape(shape: object): boolean;
+
+  /**
+   * Tests whether a value matches one of the `not` shapes of a shape.
+   * A `not` shape with an `enum` excludes the members of the enum.
+   *
+   * @param shape AMF shape with the `not` facet.
+   * @param value The value to test.
+   */
+  _isExcludedValue(shape: object, value: any): boolean;
+
+  /**
+   * Computes a value that is not excluded by the `not` facet of a shape.
+   * Members of the `enum` facet, random values of the data type, or values
+   * of other types when the shape has no data type are tried, in this order.
+   *
+   * @param range AMF shape with the `not` facet.
+   * @param value The value computed for the shape.
+   * @param opts Processing options.
+   * @returns The first allowed value or `value` when none is found.
+   */
+  _computeAllowedValue(range: object, value: any, opts?: ExampleOptions): any;
 
   /**
    * Computes default value for given range.
@@ -385,10 +1165,91 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * even of this alters the `default` value for the API (when one does not
    * exist)
    *
+   * String values respect `pattern`, `minLength` and `maxLength` facets
+   * of the range. Numeric values respect range facets and `multipleOf`.
+   * When the `random` option is set the values are random.
+   * When the `realistic` option is set the value is inferred from the
+   * property name, if possible.
+   *
    * @param range AMF's range definition for a shape.
+   * @param opts Processing options.
    * @returns Value casted to the corresponding type
    */
-  _computeDefaultRangleValue(range: object): string|number|boolean|null;
+  _computeDefaultRangleValue(range: object, opts?: ExampleOptions): string|number|boolean|null;
+
+  /**
+   * Infers a value of a scalar from the property name, the data type and
+   * the `format` facet, using the built-in rules and the `nameRules` option.
+   * The value is discarded when it does not satisfy the facets of the range,
+   * e.g. `pattern`, `maxLength`, exclusive bounds, or `multipleOf`.
+   *
+   * @param range AMF's range definition for a shape.
+   * @param opts Processing options.
+   * @returns The value or `undefined` when
+   * no rule matches the property.
+   */
+  _computeRealisticValue(range: object, opts?: ExampleOptions): string|number|boolean|undefined;
+
+  /**
+   * @param range AMF's range definition for a shape.
+   * @param value A value computed by a name rule.
+   * @returns True when the value satisfies facets of the range.
+   */
+  _isValidRealisticValue(range: object, value: any): boolean;
+
+  /**
+   * Generates a value for date and time types (RAML `date-only`, `time-only`,
+   * `datetime-only`, and `datetime`) and for string formats (OAS `uuid`,
+   * `email`, `uri`, `ipv4`, `ipv6`, `byte`, etc).
+   *
+   * The RAML `datetime` value uses RFC 3339 notation unless the `format` facet
+   * is set to `rfc2616`.
+   * When the `random` option is set the date and `uuid` values are random.
+   *
+   * @param range AMF's range definition for a shape.
+   * @param opts Processing options.
+   * @returns Generated value or `undefined` when the range
+   * has no supported format.
+   */
+  _computeFormattedValue(range: object, opts?: ExampleOptions): string|undefined;
+
+  /**
+   * Generates a number that satisfies `minimum`, `maximum`,
+   * `exclusiveMinimum`, `exclusiveMaximum` and `multipleOf` facets of the range.
+   *
+   * @param range AMF's range definition for a shape.
+   * @param integer Whether the data type is an integer.
+   * @param opts Processing options.
+   * @returns Generated value. `0` when the range has no facets
+   * and the `random` option is not set.
+   */
+  _computeDefaultNumberValue(range: object, integer: boolean, opts?: ExampleOptions): number;
+
+  /**
+   * Reads `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+   * `multipleOf` and `format` facets of the range.
+   *
+   * AMF keeps the bounds in `shacl:minInclusive` and `shacl:maxInclusive`.
+   * The `shacl:minExclusive` and `shacl:maxExclusive` properties are either
+   * a flag (OAS 3.0 `exclusiveMinimum: true`) or the exclusive bound itself.
+   *
+   * @param range AMF's range definition for a shape.
+   * @param integer Whether the data type is an integer.
+   */
+  _readNumberConstraints(range: object, integer: boolean): NumberConstraints;
+
+  /**
+   * Generates a string value that satisfies `pattern`, `minLength` and
+   * `maxLength` facets of the range.
+   * When the pattern cannot be processed it generates a value that satisfies
+   * length facets only.
+   *
+   * @param range AMF's range definition for a shape.
+   * @param opts Processing options.
+   * @returns Generated value. Empty string when the range has no facets
+   * and the `random` option is not set.
+   */
+  _computeDefaultStringValue(range: object, opts?: ExampleOptions): string;
 
   /**
    * Casts the value to given data type represented in AMF notation.
@@ -403,28 +1264,74 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * Computes JSON example from UnionShape
    *
    * @param range Type definition
-   * @param typeName Optional, type name to use. By default first NodeShape.
+   * @param typeName Optional, type name to use. By default first NodeShape,
+   * or a random NodeShape when the `random` option is set.
+   * @param opts Processing options.
    */
-  _computeJsonUnionValue(range: object, typeName?: String): object|undefined;
+  _computeJsonUnionValue(range: object, typeName?: String, opts?: ExampleOptions): object|undefined;
 
   /**
    * Computes JSON object as an example from a range that is an object.
    *
    * @param range AMF's range definition for a shape.
+   * @param opts Processing options.
    * @returns A JavaScript object computed from the properties.
    */
-  _computeJsonObjectValue(range: object): object|undefined;
+  _computeJsonObjectValue(range: object, opts?: ExampleOptions): object|undefined;
 
   /**
    * Computes JSON object as an example from a range that is an array.
    *
    * @param range AMF's range definition for a shape.
    * @return A JavaScript array computed from the items.
+   * @param opts Processing options.
    */
-  _computeJsonArrayValue(range: object): object[]|undefined;
+  _computeJsonArrayValue(range: object, opts?: ExampleOptions): object[]|undefined;
+
+  /**
+   * Computes a list of distinct values for an array with `uniqueItems` facet.
+   * See `_computeUniqueItems()` for how the values are generated.
+   *
+   * @param item AMF's shape of the array items.
+   * @param count The number of items to generate.
+   * @param opts Processing options.
+   * @returns List of distinct values.
+   */
+  _computeJsonUniqueItems(item: object, count: number, opts?: ExampleOptions): any[];
+
+  /**
+   * Computes distinct items for an array with `uniqueItems` facet.
+   * Items that have an enum use consecutive enum members. A number that
+   * equals a previous item is increased by `multipleOf` and a boolean is
+   * negated. When the value still does not differ from the previous items
+   * or does not match the facets of the items shape then values generated
+   * with random seeds are tried.
+   * The list is shorter than `count` when no distinct valid value is found.
+   *
+   * @param item AMF's shape of the array items.
+   * @param count The number of items to generate.
+   * @param opts Processing options.
+   * @returns List of distinct items with the options each value was generated with.
+   */
+  _computeUniqueItems(item: object, count: number, opts?: ExampleOptions): UniqueItem[];
+
+  /**
+   * Computes the number of items to generate for an array.
+   * It is the `arrayItemsCount` option (1 by default) adjusted to
+   * the `minItems` and `maxItems` facets of the array.
+   * When the option is not set and the `random` option is set, it is a random
+   * number between `minItems` (at least 1) and `maxItems` (up to 4 items more
+   * than the minimum).
+   *
+   * @param range AMF's range definition for an array shape.
+   * @param opts Processing options.
+   */
+  _computeArrayItemsCount(range: object, opts?: ExampleOptions): number;
 
   /**
    * Reads raw value of the example.
+   * RAML 0.8 examples of named parameters have no raw value. In that case
+   * the value of a scalar structured value is used.
    * @param example AMF's example definition.
    * @return Raw example value.
    */
@@ -434,8 +1341,31 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * Gets a value from a Range shape for a scalar value.
    *
    * @param range AMF's range model.
+   * @param opts Processing options.
+   */
+  _getTypeScalarValue(range: object, opts?: ExampleOptions): string|undefined;
+
+  /**
+   * Reads values of the `enum` facet of a shape.
+   *
+   * @param range AMF's range model.
+   * @returns Raw values of the enum members. Empty array
+   * when the shape has no enum.
+   */
+  _readEnumValues(range: object): string[];
+
+  /**
+   * Selects a member of the `enum` facet of a shape.
+   * By default it is the first member. Use `enumIndex` option to select other.
+   * When the `enumIndex` option is not set and the `random` option is set
+   * then a random member is selected.
+   *
+   * @param range AMF's range model.
+   * @param opts Processing options.
+   * @returns Raw value of the enum member or `undefined`
+   * when the shape has no enum.
    */
-  _getTypeScalarValue(range: object): string|undefined;
+  _getEnumValue(range: object, opts?: ExampleOptions): string|undefined;
 
   /**
    * Computes example from a range's properties for XML media type.
@@ -443,8 +1373,11 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param properties Properies read from the range object that represents an object
    * @param typeName Object name in API specification
    * @param parentType When the XML is an array then the type is the parent type
+   * @param opts Processing options.
+   * @param schema The object shape of the properties. The element of
+   * the type gets the namespace and the prefix of its XML serialization.
    */
-  _xmlExampleFromProperties(properties: Array<object>, typeName?: String, parentType?: String): String;
+  _xmlExampleFromProperties(properties: Array<object>, typeName?: String, parentType?: String, opts?: ExampleOptions, schema?: object): String;
 
   /**
    * Processes an XML property
@@ -452,8 +1385,9 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param doc Main document
    * @param node Current node
    * @param property AMF property
+   * @param opts Processing options.
    */
-  _xmlProcessProperty(doc: Document, node: Element, property: object): void;
+  _xmlProcessProperty(doc: XmlDocument, node: XmlElement, property: object, opts?: ExampleOptions): void;
 
   /**
    * Appends XML example data to a node from an example defined on a "range"
@@ -464,8 +1398,10 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param node A node to which append values
    * @param example AMF's example definition.
    * @param propertyName Name of the property being processed
+   * @param range AMF range of the property. Its XML serialization
+   * sets the namespace and the prefix of the elements.
    */
-  _xmlFromExamples(doc: Document, node: Element, example: object, propertyName: string): void;
+  _xmlFromExamples(doc: XmlDocument, node: XmlElement, example: object, propertyName: string, range?: object): void;
 
   /**
    * Reads property data type.
@@ -475,13 +1411,17 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
   _readDataType(shape: object): String;
 
   /**
-   * Appends an attribute to the node from AMF property
+   * Appends an attribute to the node from AMF property.
+   * The name of the attribute is the XML name, the name of the property,
+   * or the name of the range, in this order. A prefixed attribute declares
+   * its namespace on the node.
    *
    * @param node Current node
    * @param range AMF range
    * @param serialization Serialization info
+   * @param property AMF property shape
    */
-  _appendXmlAttribute(node: Element, range: object, serialization: object): void;
+  _appendXmlAttribute(node: XmlElement, range: object, serialization: object, property?: object): void;
 
   /**
    * Appends an element to the node tree from a type
@@ -489,9 +1429,37 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param doc Main document
    * @param node Current node
    * @param range AMF range
+   * @param opts Processing options.
    * @returns Newly created element
    */
-  _appendXmlElement(doc: Document, node: Element, range: object): Element;
+  _appendXmlElement(doc: XmlDocument, node: XmlElement, range: object, opts?: ExampleOptions): XmlElement|null;
+
+  /**
+   * Reads a text value of an XML element generated for a shape.
+   * It is the default value, the example, the enum member, the value inferred
+   * from the name (with the `realistic` option), or a value generated for
+   * the format and facets of the shape, in this order.
+   *
+   * @param range AMF range
+   * @param opts Processing options.
+   * @returns The value of the element. A space when the value
+   * cannot be computed.
+   */
+  _readXmlElementValue(range: object, opts?: ExampleOptions): string;
+
+  /**
+   * Generates a text value of an XML element for a scalar shape the same way
+   * a JSON value is generated, so it satisfies the format, `pattern`,
+   * `minLength` and `maxLength` facets of a string and the range facets and
+   * `multipleOf` of a number. A number without these facets is generated
+   * only with the `random` option.
+   *
+   * @param range AMF range
+   * @param opts Processing options.
+   * @returns Generated value or `undefined` when the shape
+   * is not a string or number shape or the value is empty.
+   */
+  _computeXmlScalarValue(range: object, opts?: ExampleOptions): string|undefined;
 
   /**
    * Appends a list of elements to the node tree from a type
@@ -499,8 +1467,21 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param doc Main document
    * @param node Current node
    * @param range AMF range
+   * @param opts Processing options.
    */
-  _appendXmlElements(doc: Document, node: Element, range: object): void;
+  _appendXmlElements(doc: XmlDocument, node: XmlElement, range: object, opts?: ExampleOptions): void;
+
+  /**
+   * Appends the discriminator property to the node, as an attribute when
+   * the property is serialized as an XML attribute.
+   *
+   * @param doc Main document
+   * @param node Current node
+   * @param range AMF range of the discriminator property
+   * @param serialization Serialization info
+   * @param opts Processing options with the `discriminator`.
+   */
+  _appendXmlDiscriminator(doc: XmlDocument, node: XmlElement, range: object, serialization: object|undefined, opts: ExampleOptions): void;
 
   /**
    * Reads `w3.shacl.name` from passed object and normalizes it as XML element name.
@@ -508,24 +1489,102 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @return Normalized name or undefined if name is not defined.
    */
   _getXmlNormalizedName(property: object): string|undefined;
+
+  /**
+   * Reads the XML serialization facets of a shape.
+   *
+   * @param shape AMF shape
+   * @returns The serialization node or undefined when the
+   * shape does not define XML facets.
+   */
+  _readXmlSerialization(shape?: object): object|undefined;
+
+  /**
+   * Adds the prefix of the XML serialization to an element or attribute name.
+   *
+   * @param name Element or attribute name
+   * @param serialization Serialization info
+   * @returns The name with the prefix, if any.
+   */
+  _computeXmlQualifiedName(name: string, serialization?: object): string;
+
+  /**
+   * Declares the namespace of the XML serialization on an element.
+   * It is the default namespace when the serialization has no prefix.
+   *
+   * @param element The element using the namespace
+   * @param serialization Serialization info
+   */
+  _declareXmlNamespace(element: XmlElement, serialization?: object): void;
+
+  /**
+   * Creates an element named with the prefix of the XML serialization,
+   * appends it to the node, and declares the namespace of the serialization.
+   *
+   * @param doc Main document
+   * @param node Current node
+   * @param name Normalized name of the element
+   * @param serialization Serialization info
+   * @returns Newly created element
+   */
+  _createXmlElement(doc: XmlDocument, node: XmlElement, name: string, serialization?: object): XmlElement;
+
+  /**
+   * Sets an attribute named with the prefix of the XML serialization.
+   * Attributes without a prefix are in no namespace so the namespace is
+   * declared only for a prefixed attribute.
+   *
+   * @param node Current node
+   * @param name Name of the attribute
+   * @param value Value of the attribute
+   * @param serialization Serialization info
+   */
+  _setXmlAttribute(node: XmlElement, name: string, value: string, serialization?: object): void;
+
+  /**
+   * Finds the range of an object shape property to serialize an example value
+   * of the property.
+   *
+   * @param shape AMF object shape
+   * @param name Name of the property
+   * @returns Resolved range of the property or undefined
+   * when the shape has no such property.
+   */
+  _readXmlPropertyRange(shape: object|undefined, name: string): object|undefined;
+
+  /**
+   * Reads the resolved items shape of an array shape.
+   *
+   * @param shape AMF array shape
+   * @returns The items shape or undefined when the shape
+   * has no items.
+   */
+  _readXmlItemsShape(shape?: object): object|undefined;
   /**
    * Adds elements to the node which are an array.
+   * The items are repeated the number of times computed by `_computeArrayItemsCount()`.
    *
    * @param doc Main document
    * @param node Current node
    * @param range AMF range
    * @param isWrapped Whether RAML's `wrapped` property is set.
+   * @param opts Processing options.
    */
-  _appendXmlArray(doc: Document, node: Element, range: object, isWrapped: boolean): void;
+  _appendXmlArray(doc: XmlDocument, node: XmlElement, range: object, isWrapped: boolean, opts?: ExampleOptions): void;
 
   /**
    * Processes scalara property that is an union in an XML example.
+   * The element has the value of the selected member. When the value is
+   * empty it is the JSON value of the member so examples of members
+   * differ, e.g. `0` for an integer member.
    *
    * @param doc Main document
+   * @param node Current node
    * @param property A property to process
    * @param shape AMF shape of a property in the union
+   * @param opts Processing options.
    */
-  _xmlProcessUnionScalarProperty(doc: Document, property: object, shape: object): void;
+  _xmlProcessUnionScalarProperty(doc: XmlDocument, node: XmlElement, property: object, shape: object, opts?: ExampleOptions): void;
 
   /**
    * Processes XML property from a data shape.
@@ -534,8 +1593,10 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param node Current node
    * @param property AMF property
    * @param name Current property name
+   * @param shape The shape of the value. The element gets the
+   * namespace and the prefix of its XML serialization.
    */
-  _xmlProcessDataProperty(doc: Document, node: Element, property: object, name: string): void;
+  _xmlProcessDataProperty(doc: XmlDocument, node: XmlElement, property: object, name: string, shape?: object): void;
 
   /**
    * Computes an example from example structured value.
@@ -561,8 +1622,9 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param node Current node
    * @param property Array item
    * @param name Array property name. Must be already normalized.
+   * @param shape The array shape of the property.
    */
-  _processDataArrayProperties(doc: Document, node: Element, property: object, name: string): void;
+  _processDataArrayProperties(doc: XmlDocument, node: XmlElement, property: object, name: string, shape?: object): void;
 
   /**
    * Adds to the node an XML element which is an object property.
@@ -570,6 +1632,96 @@ declare class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param doc Main document
    * @param node Current node
    * @param property Array item
+   * @param shape The object shape of the property.
+   */
+  _processDataObjectProperties(doc: XmlDocument, node: XmlElement, property: object, shape?: object): void;
+
+  /**
+   * @param property AMF property shape.
+   * @returns True when the range of the property is writeOnly.
+   */
+  _isPropertyWriteOnly(property: object): boolean;
+
+  /**
+   * Tests whether a property is omitted for the `direction` and `profile` options.
+   * Requests omit readOnly properties, unless the `renderReadOnly` option is set,
+   * and responses omit writeOnly properties. The `minimal` profile omits
+   * properties that are not required.
+   *
+   * @param property AMF property shape.
+   * @param opts Processing options.
+   */
+  _isHiddenProperty(property: object, opts?: ExampleOptions): boolean;
+
+  /**
+   * Filters properties of the processed shape for the `direction` and `profile`
+   * options. Without a direction readOnly properties are omitted, unless
+   * the `renderReadOnly` option is set.
+   *
+   * @param properties AMF property shapes.
+   * @param opts Processing options.
+   * @returns Properties to render.
+   */
+  _filterHiddenProperties(properties: object[], opts?: ExampleOptions): object[];
+
+  /**
+   * Lists properties of an object shape.
+   * Pattern properties are replaced with properties which names match
+   * the pattern. Properties generated by `_computeAdditionalProperties()`
+   * are added with the `maximal` profile or when the shape has no properties.
+   *
+   * @param shape AMF node shape.
+   * @param opts Processing options.
+   * @returns Property shapes or `undefined` when the shape has no properties.
+   */
+  _computeShapeProperties(shape: object, opts?: ExampleOptions): object[]|undefined;
+
+  /**
+   * @param property AMF property shape.
+   * @returns True when the property is a pattern property, e.g.
+   * `/^note\d+$/` in RAML.
+   */
+  _isPatternProperty(property: object): boolean;
+
+  /**
+   * Creates properties of an object shape generated from
+   * the `additionalProperties` schema of the shape.
+   *
+   * @param shape AMF node shape.
+   * @param names Names of properties of the object.
+   * @param opts Processing options.
+   * @returns Property shapes. Empty array when the shape has
+   * no `additionalProperties` schema.
+   */
+  _computeAdditionalProperties(shape: object, names?: string[], opts?: ExampleOptions): object[];
+
+  /**
+   * Creates a property shape that is not defined in the API.
+   * The range is a copy of `range` with the name of the property so
+   * XML elements have the name of the property.
+   *
+   * @param shape AMF node shape the property belongs to.
+   * @param name The name of the property.
+   * @param range AMF range of the property.
+   * @returns AMF property shape.
+   */
+  _createPropertyShape(shape: object, name: string, range: object): object;
+
+  /**
+   * Finds whether a payload belongs to a request or to a response
+   * of an operation of the API.
+   *
+   * @param payload AMF Payload shape.
+   * @returns `request`, `response`, or `undefined` when the payload is not
+   * a part of an operation.
+   */
+  _computePayloadDirection(payload: object): 'request'|'response'|undefined;
+
+  /**
+   * Maps ids of payloads of operations of the API to the direction of the
+   * message. The map is computed once per model.
+   *
+   * @returns The direction keyed by the payload id.
    */
-  _processDataObjectProperties(doc: Document, node: Element, property: object): void;
+  _computePayloadDirections(): Record<string, 'request'|'response'>;
 }
@@ -1,4 +1,13 @@
 import { AmfHelperMixin } from '@api-components/amf-helper-mixin/amf-helper-mixin.js';
+import { toYaml } from './YamlSerializer.js';
+import { toUrlEncoded } from './UrlEncodedSerializer.js';
+import { toMultipart } from './MultipartSerializer.js';
+import { generateString } from './StringGenerator.js';
+import { generateNumber } from './NumberGenerator.js';
+import { generateFormattedValue, randomDate } from './FormatGenerator.js';
+import { createRandom, randomInt, randomItem } from './RandomGenerator.js';
+import { realisticValue, mergeNameRules } from './RealisticGenerator.js';
+import { XmlDocument, serializeXml } from './XmlSerializer.js';
 
 /* eslint-disable prefer-destructuring */
 /* eslint-disable no-plusplus */
@@ -7,7 +16,70 @@ import { AmfHelperMixin } from '@api-components/amf-helper-mixin/amf-helper-mixi
 /* eslint-disable no-nested-ternary */
 /* eslint-disable no-param-reassign */
 
+/** @typedef {import('./XmlSerializer.js').XmlElement} XmlElement */
+
 const UNKNOWN_TYPE = 'unknown-type';
+const FILE_PLACEHOLDER = '(binary data)';
+/**
+ * The maximum number of items, over the minimum, of a random array.
+ */
+const RANDOM_ARRAY_ITEMS = 4;
+/**
+ * The default maximum number of examples generated with the `expandUnions` option.
+ */
+const UNION_EXAMPLES_LIMIT = 10;
+/**
+ * The number of random values tried for a `oneOf` member whose value
+ * matches another member, or for a scalar excluded by the `not` facet.
+ */
+const EXCLUSIVE_VALUE_ATTEMPTS = 5;
+/**
+ * Values tried for a shape without a data type that has the `not` facet.
+ */
+const UNTYPED_VALUES = ['', 0, false, null];
+/**
+ * Numeric scalar data types.
+ */
+const NUMBER_TYPES = ['Integer', 'Long', 'Number', 'Float', 'Double'];
+/**
+ * Scalar data types that XML elements do not get a generated string value for.
+ */
+const NON_STRING_TYPES = [
+  'Integer',
+  'Long',
+  'Number',
+  'Float',
+  'Double',
+  'Boolean',
+  'Nil',
+  'Null',
+];
+/**
+ * The prefix of names of properties generated from the `additionalProperties`
+ * schema or a pattern property that accepts any name.
+ */
+const ADDITIONAL_PROPERTY_PREFIX = 'additionalProp';
+/**
+ * The number of keys tried for a pattern property before it is omitted.
+ */
+const PATTERN_KEY_ATTEMPTS = 3;
+/**
+ * The namespace of the `xsi:nil` attribute of XML elements with a `null` value.
+ */
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+const FILE_EXTENSIONS = {
+  'application/json': 'json',
+  'application/octet-stream': 'bin',
+  'application/pdf': 'pdf',
+  'application/xml': 'xml',
+  'application/zip': 'zip',
+  'image/gif': 'gif',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/svg+xml': 'svg',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+};
 
 /**
  * @typedef {Object} Example
@@ -19,6 +91,45 @@ const UNKNOWN_TYPE = 'unknown-type';
  * @property {String=} raw Raw value of RAML example. This value is a YAML or JSON
  * schema value. This is only set when raw value is available in the model and it is not JSON/XML.
  * @property {Array<Example>=} values Only when `hasUnion` is set.
+ * @property {Boolean=} isScalar When true then the example was generated for a scalar value.
+ * @property {ExampleValidation=} validation The result of validating a declared example against
+ * the shape. Only when the `validate` option is set.
+ */
+
+/**
+ * @typedef {Object} OperationExamples
+ * @property {Object<string, Array<Example>>} request Request examples keyed by
+ * the media type.
+ * @property {Object<string, Array<Example>>} requestHeaders Examples of request
+ * headers keyed by the header name.
+ * @property {Object<string, Object<string, Array<Example>>>} responses Response
+ * examples keyed by the status code and the media type.
+ * @property {Object<string, Object<string, Array<Example>>>} responseHeaders
+ * Examples of response headers keyed by the status code and the header name.
+ */
+
+/**
+ * @typedef {Object} ParametersExamples
+ * @property {string} path The endpoint path with expanded URI parameters.
+ * @property {string} queryString The query string, without the leading `?`.
+ * @property {string} uri The path with the query string.
+ * @property {Object<string, string>} headers Header values keyed by the header name.
+ */
+
+/**
+ * @typedef {Object} ExampleValidation
+ * @property {Boolean} valid True when the example satisfies the shape.
+ * @property {Array<ValidationIssue>} issues List of problems found in the example.
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {String} path JSON pointer to the offending value in the example.
+ * An empty string is the example itself.
+ * @property {String} keyword The facet the value does not satisfy: `required`, `type`, `enum`,
+ * `pattern`, `minLength`, `maxLength`, `minimum`, `maximum`, `multipleOf`, `minItems`,
+ * `maxItems`, or `anyOf`.
+ * @property {String} message Human readable description of the problem.
  */
 
 /**
@@ -30,6 +141,92 @@ const UNKNOWN_TYPE = 'unknown-type';
  * @property {String=} typeId It is required to compute examples for a payload. The value of
  * the `@id` of the Payload shape.
  * @property {String=} parentName
+ * @property {('repeat'|'brackets')=} urlEncodedArrayFormat The way arrays are serialized for the
+ * `application/x-www-form-urlencoded` media type and in query strings. Either `repeat` (default)
+ * or `brackets`.
+ * @property {String=} multipartBoundary The boundary to use with the `multipart/form-data`
+ * media type. By default it is `DEFAULT_MULTIPART_BOUNDARY`.
+ * @property {Object<String, MultipartEncoding>=} multipartEncoding OAS 3 encoding definitions
+ * keyed by the property name. Set by `generatePayloadExamples()`.
+ * @property {Number=} enumIndex Index of the `enum` member to use as a value of a scalar
+ * that has no example or default value. By default it is the first member.
+ * @property {Number=} arrayItemsCount Preferred number of items generated for an array.
+ * The number is adjusted to the `minItems` and `maxItems` facets of the array. Default to 1.
+ * @property {Number|String=} seed When set, the generated values (numbers, strings, dates, enum
+ * members, array lengths, and union members) are selected randomly. The same seed always
+ * produces the same examples.
+ * @property {(() => number)=} random A function returning a number in the `[0, 1)` range, used to
+ * select random values instead of the one created from the `seed`.
+ * @property {Boolean=} realistic When set, values of scalar properties without an example
+ * are inferred from the property name (e.g. `email`, `firstName`, `city`, `createdAt`).
+ * @property {Array<Object>=} nameRules Custom rules used with the `realistic` option.
+ * They take precedence over the built-in rules. A rule with the name of a built-in rule replaces it.
+ * @property {String=} propertyName Name of the processed property. Set when processing
+ * object properties.
+ * @property {Boolean=} validate When set, declared examples are validated against the shape
+ * and the result is set on the `validation` property of the example.
+ * @property {Number=} maxDepth Maximum nesting level of generated objects and arrays. The
+ * processed shape is at level 1. Deeper objects are generated as `{}`, arrays as `[]`, and
+ * XML elements are empty.
+ * @property {Array<Object>=} ancestors Object and array shapes being processed, the outermost
+ * first. Set by the generator to detect recursive types.
+ * @property {Boolean=} expandUnions When set, an example is generated for each combination of
+ * members of the unions used in object properties. The examples are union values titled with
+ * the selected members.
+ * @property {Number=} unionExamplesLimit The maximum number of examples generated with the
+ * `expandUnions` option. Default to 10.
+ * @property {UnionChoices=} unionChoices The members of unions to select. Set by the generator
+ * with the `expandUnions` option.
+ * @property {Discriminator=} discriminator The discriminator of the object being generated.
+ * Set by the generator.
+ * @property {String=} subtypeOf The `@id` of the discriminated parent shape which subtypes are
+ * being generated. Set by the generator.
+ * @property {Boolean=} renderReadOnly When set, readOnly properties are rendered in request
+ * examples and examples without a direction.
+ * @property {('request'|'response')=} direction The direction of the message the example is
+ * generated for. Requests omit readOnly properties and responses omit writeOnly properties,
+ * also in nested objects. Without a direction only readOnly properties of the processed
+ * shape are omitted. `generatePayloadExamples()` sets it for payloads of an operation.
+ * @property {('minimal'|'maximal')=} profile The properties of generated objects. The `minimal`
+ * profile renders required properties only. The `maximal` profile renders all properties and
+ * a property generated from the `additionalProperties` schema. By default all properties are
+ * rendered.
+ * @property {Boolean=} nullVariant When set, a second example titled `null` is generated for
+ * a nullable shape or an object with nullable properties. Nullable values of the example are
+ * `null`, rendered in XML as elements with `xsi:nil="true"`.
+ * @property {Boolean=} nullValues When set, nullable values are generated as `null`.
+ * Set by the generator with the `nullVariant` option.
+ */
+
+/**
+ * @typedef {Object} Discriminator
+ * @property {string} name The name of the discriminator property.
+ * @property {string} value The value of the discriminator property for the shape.
+ */
+
+/**
+ * @typedef {Object} UnionChoices
+ * @property {Array<number>} selected Indexes of the members to select, in the order the
+ * unions are processed. The first member is selected when the index is not set.
+ * @property {Array<UnionChoicePoint>} trace Unions processed while generating the example.
+ */
+
+/**
+ * @typedef {Object} UnionChoicePoint
+ * @property {string} name The name of the property that is an union.
+ * @property {Array<string>} members Names of the members of the union.
+ */
+
+/**
+ * @typedef {Object} UniqueItem
+ * @property {any} value The value of an item of an array with the `uniqueItems` facet.
+ * @property {ExampleOptions} options Processing options the value was generated with.
+ */
+
+/**
+ * @typedef {Object} MultipartEncoding
+ * @property {String=} contentType The content type of the part.
+ * @property {Object<String, String>=} headers Additional headers of the part.
  */
 
 /**
@@ -163,6 +360,316 @@ export const processJsonArrayExamples = examples => {
   }
 };
 
+/**
+ * Turns a YAML example value into a YAML sequence with the value as the only item.
+ * Values that already are a sequence are returned unchanged.
+ * @param {any} value Example value
+ * @param {boolean=} isScalar Whether the value is a typed scalar value.
+ * @return {string}
+ */
+const yamlArrayValue = (value, isScalar) => {
+  if (isScalar || typeof value !== 'string') {
+    return toYaml([value]);
+  }
+  if (value === '') {
+    return toYaml(['']);
+  }
+  if (/^(?:-(?: |\n|$)|\[)/.test(value)) {
+    return value;
+  }
+  const lines = value.replace(/\n+$/, '').split('\n');
+  return `- ${lines.join('\n  ')}\n`;
+};
+
+/**
+ * Processes YAML examples that should be an arrays and turns them into
+ * a sequence if nescesary.
+ * It does the same for unions which has array of values.
+ * @param {Example[]} examples
+ */
+export const processYamlArrayExamples = examples => {
+  for (let i = 0; i < examples.length; i++) {
+    const item = examples[i];
+    if (item.values) {
+      item.values.forEach(union => {
+        if (union.value !== undefined) {
+          union.value = yamlArrayValue(union.value, union.isScalar);
+        }
+      });
+    } else if (item.value !== undefined) {
+      item.value = yamlArrayValue(item.value, item.isScalar);
+    }
+  }
+};
+
+/**
+ * Computes a name of an element of an array item that has no name.
+ * Like in the examples processing, it is the name of the array without
+ * the plural "s" suffix.
+ *
+ * @param {String} name The name of the array element.
+ * @return {String}
+ */
+const xmlArrayItemName = name => {
+  if (name.endsWith('s') && name.length > 1) {
+    return name.substr(0, name.length - 1);
+  }
+  return name;
+};
+
+/**
+ * Alters a generated scalar array item so it differs from the items generated
+ * before. Numbers are increased by `step` and booleans are negated.
+ *
+ * @param {any} value The generated value of the item.
+ * @param {Number} index Index of the item in the array.
+ * @param {Number} step The value added to numbers for each index.
+ * @return {any} The altered value or `undefined` when the value cannot be altered.
+ */
+const uniqueArrayItem = (value, index, step) => {
+  switch (typeof value) {
+    case 'number':
+      return value + index * step;
+    case 'boolean':
+      return index === 1 ? !value : undefined;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Declares a namespace on an XML element. The declaration is skipped when
+ * the element or its closest ancestor declaring the prefix already binds it
+ * to the same namespace.
+ *
+ * @param {XmlElement} element The element using the namespace
+ * @param {String} namespace The namespace URI
+ * @param {String=} prefix The prefix of the namespace. The default namespace
+ * is declared when not set.
+ */
+const declareXmlNamespace = (element, namespace, prefix) => {
+  const name = prefix ? `xmlns:${prefix}` : 'xmlns';
+  let current = element;
+  while (current) {
+    const value = current.getAttribute(name);
+    if (value !== null) {
+      if (value === namespace) {
+        return;
+      }
+      break;
+    }
+    current = current.parentNode;
+  }
+  element.setAttribute(name, namespace);
+};
+
+/**
+ * Marks an XML element as `null` with the `xsi:nil` attribute and declares
+ * the `xsi` namespace on the root element.
+ *
+ * @param {XmlElement} element The element with the `null` value
+ */
+const setXmlNil = element => {
+  element.setAttribute('xsi:nil', 'true');
+  let root = element;
+  while (root.parentNode) {
+    root = root.parentNode;
+  }
+  if (root.getAttribute('xmlns:xsi') === null) {
+    root.setAttribute('xmlns:xsi', XSI_NAMESPACE);
+  }
+};
+
+/**
+ * Generates a name of a property that matches a pattern.
+ * A name like `additionalProp1` is preferred when the pattern allows it.
+ * Otherwise a name is generated from the pattern.
+ *
+ * @param {String=} pattern The pattern the name must match. Any name is
+ * accepted when not set.
+ * @param {Array<String>=} [names=[]] Names of properties of the object
+ * that the name cannot have.
+ * @param {(() => number)=} random Random function used to generate the name.
+ * @return {String|undefined} The name or `undefined` when a name that matches
+ * the pattern cannot be generated.
+ */
+const patternPropertyName = (pattern, names = [], random) => {
+  let regexp;
+  try {
+    regexp = pattern ? new RegExp(pattern) : undefined;
+  } catch (e) {
+    return undefined;
+  }
+  for (let i = 1; i <= PATTERN_KEY_ATTEMPTS; i++) {
+    const candidates = [`${ADDITIONAL_PROPERTY_PREFIX}${i}`];
+    if (pattern) {
+      candidates.push(generateString({ pattern, minLength: i }, random));
+    }
+    const name = candidates.find(
+      item => (!regexp || regexp.test(item)) && !names.includes(item)
+    );
+    if (name) {
+      return name;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * @param {String} path JSON pointer of the parent value
+ * @param {String|Number} key The property name or the array index
+ * @return {String} JSON pointer of the child value.
+ */
+const jsonPointer = (path, key) =>
+  `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * @param {any} value
+ * @return {String} JSON type name of the value.
+ */
+const jsonTypeName = value => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+/**
+ * @param {Example} example A generated example.
+ * @return {any} The value of the example as a JavaScript value.
+ */
+const exampleData = example => {
+  const { value } = example;
+  if (example.isScalar || typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+};
+
+/**
+ * Computes the `enum` index of the first item of an array with `uniqueItems`
+ * facet. Following items use consecutive indexes.
+ *
+ * @param {ExampleOptions} opts Processing options.
+ * @return {Number} The `enumIndex` option, a random index when the `random`
+ * option is set, or `0`.
+ */
+const uniqueItemsStartIndex = opts => {
+  if (opts.enumIndex === undefined && opts.random) {
+    return randomInt(opts.random, 0, 1000);
+  }
+  return Number(opts.enumIndex) || 0;
+};
+
+/**
+ * Adds form parts for a value of a property.
+ * Array of scalars creates a part for each value. Other structured values
+ * are serialized according to the part's content type (JSON by default).
+ *
+ * @param {Array<Object>} parts The list of parts to append values to.
+ * @param {String} name Name of the property
+ * @param {any} value The value of the property
+ * @param {MultipartEncoding} encoding The encoding definition of the property
+ */
+const appendMultipartParts = (parts, name, value, encoding) => {
+  const { contentType, headers } = encoding;
+  const isStructure = !!value && typeof value === 'object';
+  if (
+    Array.isArray(value) &&
+    !value.some(item => !!item && typeof item === 'object')
+  ) {
+    value.forEach(item => {
+      parts[parts.length] = {
+        name,
+        value: item === null || item === undefined ? '' : String(item),
+        contentType,
+        headers,
+      };
+    });
+    return;
+  }
+  if (!isStructure) {
+    parts[parts.length] = {
+      name,
+      value: value === null || value === undefined ? '' : String(value),
+      contentType,
+      headers,
+    };
+    return;
+  }
+  const type = contentType || 'application/json';
+  let body;
+  if (type.indexOf('yaml') !== -1) {
+    body = toYaml(value);
+  } else if (type.indexOf('x-www-form-urlencoded') !== -1) {
+    body = toUrlEncoded(value);
+  } else {
+    body = JSON.stringify(value, null, 2);
+  }
+  parts[parts.length] = {
+    name,
+    value: body,
+    contentType: type,
+    headers,
+  };
+};
+
+/**
+ * Creates processing options for the properties or the items of a shape.
+ *
+ * @param {Object} shape An object or an array shape being processed.
+ * @param {ExampleOptions=} [opts={}] Processing options.
+ * @return {ExampleOptions} Options with the shape added to the `ancestors`.
+ */
+const withAncestor = (shape, opts = {}) => {
+  const ancestors = opts.ancestors || [];
+  const last = ancestors[ancestors.length - 1];
+  if (last && last['@id'] === shape['@id']) {
+    return opts;
+  }
+  return { ...opts, ancestors: [...ancestors, shape] };
+};
+
+/**
+ * @param {any} value A value of a parameter.
+ * @return {Array<string>} String values of the parameter. Arrays have a value
+ * for each item and objects are serialized to JSON.
+ */
+const parameterValues = value => {
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(item => {
+    if (item === null || item === undefined) {
+      return '';
+    }
+    return typeof item === 'object' ? JSON.stringify(item) : String(item);
+  });
+};
+
+/**
+ * Creates a `multipart/form-data` example from an example's value.
+ *
+ * @param {Object} data The value created from the example's structured value.
+ * @param {ExampleOptions=} [opts={}] Processing options.
+ * @return {String}
+ */
+const multipartFromData = (data, opts = {}) => {
+  const encodings = opts.multipartEncoding || {};
+  const parts = [];
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    Object.keys(data).forEach(name => {
+      appendMultipartParts(parts, name, data[name], encodings[name] || {});
+    });
+  }
+  return toMultipart(parts, opts.multipartBoundary);
+};
+
 /**
  * Examples generator from AMF model.
  *
@@ -202,6 +709,13 @@ export const processJsonArrayExamples = examples => {
  * console.log(examples);
  * ```
  *
+ * To generate request and response examples of an operation
+ *
+ * ```javascript
+ * const { request, responses } = generator.generateOperationExamples(supportedOperation);
+ * console.log(responses['200']['application/json']);
+ * ```
+ *
  * To generate examples from any object to any mime
  *
  * ```javascript
@@ -216,6 +730,27 @@ export const processJsonArrayExamples = examples => {
  * - `noAuto` - Don't generate an example from object properties if the example is
  * not defined in API file.
  * - `typeName` - Processed type name, used for XML types to use right XML element wrapper name.
+ * - `urlEncodedArrayFormat` - Either `repeat` (default) or `brackets`. The way arrays are serialized
+ * for the `application/x-www-form-urlencoded` media type and in query strings.
+ * - `multipartBoundary` - The boundary of the `multipart/form-data` example.
+ * - `enumIndex` - Index of the `enum` member to use when generating a scalar value.
+ * By default it is the first member.
+ * - `arrayItemsCount` - Preferred number of items generated for an array. The number is
+ * adjusted to the `minItems` and `maxItems` facets. Default to 1.
+ * - `seed` - Generates random but reproducible values. The same seed and model always
+ * produce the same examples.
+ * - `random` - A custom random function (like `Math.random`) to use instead of the seeded one.
+ * - `realistic` - Infers values of scalar properties from the property name (e.g. `email`,
+ * `firstName`, `phone`, `city`, `url`, `createdAt`).
+ * - `nameRules` - Custom rules for the `realistic` option. A rule with the name of a built-in
+ * rule replaces it.
+ * - `validate` - Validates declared examples against the shape and adds the `validation`
+ * result to the example.
+ * - `direction` - Either `request` or `response`. Requests omit readOnly properties and
+ * responses omit writeOnly properties.
+ * - `profile` - Either `minimal` (required properties only) or `maximal` (all properties
+ * and additional properties).
+ * - `nullVariant` - Adds an example with `null` values of nullable shapes.
  *
  * @mixes AmfHelperMixin
  */
@@ -232,6 +767,16 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     this.amf = amf;
   }
 
+  /**
+   * Clears the lookups computed for the previous model.
+   *
+   * @param {Array<Object>|Object} amf The current AMF model.
+   */
+  // eslint-disable-next-line no-unused-vars
+  __amfChanged(amf) {
+    this.__payloadDirections = undefined;
+  }
+
   /**
    * Lists media types names for payloads.
    * The `payloads` is an array of AMF Payload shape. It can be single Payload
@@ -308,6 +853,8 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
 
   /**
    * Generates a list of examples for a single AMF Payload shape.
+   * When the `direction` option is not set, it is `request` for a payload
+   * of an operation's request and `response` for a payload of a response.
    * @param {Object} payload AMF Payload shape.
    * @param {String} mime A mime type to use.
    * @param {ExampleOptions=} opts
@@ -327,81 +874,402 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
       schema = schema[0];
     }
     const options = { ...opts, typeId: payload['@id'] };
+    if (!options.direction) {
+      const direction = this._computePayloadDirection(payload);
+      if (direction) {
+        options.direction = direction;
+      }
+    }
+    if (mime && mime.indexOf('multipart/form-data') !== -1) {
+      const encoding = this._readPayloadEncoding(payload);
+      if (encoding) {
+        options.multipartEncoding = encoding;
+      }
+    }
     return this.computeExamples(schema, mime, options);
   }
 
   /**
-   * Computes examples from an AMF shape.
-   * It returns examples defined in API spec file. If examples are not defined
-   * and `opts.noAuto` flag is not set then it generates an example value from
-   * object properties (if an object represents scalar, object, union, or an array).
+   * Generates examples of the request and of every response of an operation,
+   * including the examples of headers.
    *
-   * @param {Object} schema Any AMF schema.
-   * @param {string} mime Examples media type. Currently `application/json` and
-   * `application/xml` are supported.
-   * @param {Object=} [opts={}] Generation options. See `generatePayloadsExamples()`.
-   * Besides that, `opts.typeId` is required to compute examples for a payload.
-   * The `typeId` is a value of `@id` of the Payload shape.
-   * @return {Array<Object>|undefined}
+   * @param {Object} operation AMF SupportedOperation shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {OperationExamples} Examples keyed by the media type or the header name.
+   * Responses are keyed by the status code first. Media types and headers without
+   * examples are omitted.
    */
-  computeExamples(schema, mime, opts = {}) {
-    const options = { ...opts };
-    if (!schema || (!mime && !opts.rawOnly)) {
-      return undefined;
-    }
-    this._resolve(schema);
-    if (!options.typeName) {
-      const typeName = /** @type string */ (this._getValue(
-        schema,
-        this.ns.w3.shacl.name
-      ));
-      if (typeName && typeName.indexOf('amf_inline_type') !== 0) {
-        options.typeName = typeName;
-      }
-    }
-    const eKey = this._getAmfKey(this.ns.aml.vocabularies.apiContract.examples);
-    const examples = this._ensureArray(schema[eKey]);
-    if (examples && examples.length) {
-      const result = this._computeFromExamples(examples, mime, options);
-      if (result) {
-        return result;
-      }
+  generateOperationExamples(operation, opts = {}) {
+    const result = {
+      request: {},
+      requestHeaders: {},
+      responses: {},
+      responseHeaders: {},
+    };
+    if (!operation) {
+      return result;
     }
-    const jsonSchema = this._readJsonSchema(schema);
-    if (jsonSchema) {
-      return this._exampleFromJsonSchema(schema, jsonSchema);
+    const expects = this._computeExpects(operation);
+    if (expects) {
+      result.request = this._computeMediaExamples(
+        this._computePayload(expects),
+        { ...opts, direction: 'request' }
+      );
+      result.requestHeaders = this._computeHeadersExamples(
+        this._computeHeaders(expects),
+        opts
+      );
     }
+    const responses = this._computeReturns(operation) || [];
+    responses.forEach(response => {
+      const code = String(
+        this._getValue(
+          response,
+          this.ns.aml.vocabularies.apiContract.statusCode
+        )
+      );
+      result.responses[code] = this._computeMediaExamples(
+        this._computePayload(response),
+        { ...opts, direction: 'response' }
+      );
+      result.responseHeaders[code] = this._computeHeadersExamples(
+        this._computeHeaders(response),
+        opts
+      );
+    });
+    return result;
+  }
 
-    if (options.rawOnly) {
-      return undefined;
-    }
-    if (this._hasType(schema, this.ns.aml.vocabularies.shapes.ArrayShape)) {
-      const value = this._computeExampleArraySchape(schema, mime, options);
-      if (value) {
-        return value;
+  /**
+   * Generates examples for each media type of a list of payloads.
+   *
+   * @param {Array<Object>|undefined} payloads List of AMF Payload shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Object<string, Array<Example>>} Examples keyed by the media type.
+   */
+  _computeMediaExamples(payloads, opts = {}) {
+    /** @type {Object<string, Array<Example>>} */
+    const result = {};
+    const mediaTypes = this.listMedia(payloads) || [];
+    mediaTypes.forEach(mime => {
+      if (!mime) {
+        return;
       }
-    }
-    if (this._hasType(schema, this.ns.aml.vocabularies.apiContract.Example)) {
-      const value = this._generateFromExample(schema, mime, options);
-      if (value) {
-        return [value];
+      const examples = this.generatePayloadsExamples(payloads, mime, opts);
+      if (examples && examples.length) {
+        result[mime] = examples;
       }
-    }
+    });
+    return result;
+  }
 
-    if (this._hasType(schema, this.ns.aml.vocabularies.shapes.UnionShape)) {
-      return this._computeUnionExamples(schema, mime, options);
+  /**
+   * Generates examples for each header of a list of headers.
+   *
+   * @param {Array<Object>|undefined} headers List of AMF Parameter shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Object<string, Array<Example>>} Examples keyed by the header name.
+   */
+  _computeHeadersExamples(headers, opts = {}) {
+    /** @type {Object<string, Array<Example>>} */
+    const result = {};
+    if (!headers) {
+      return result;
     }
+    const sKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.schema);
+    headers.forEach(header => {
+      const name = /** @type {string} */ (this._getValue(
+        header,
+        this.ns.aml.vocabularies.core.name
+      ));
+      const schema = this._ensureArray(header[sKey]);
+      if (!name || !schema) {
+        return;
+      }
+      const examples = this.computeExamples(schema[0], 'application/json', {
+        ...opts,
+        propertyName: name,
+      });
+      if (examples && examples.length) {
+        result[name] = examples;
+      }
+    });
+    return result;
+  }
 
-    if (this._hasProperty(schema, this.ns.w3.shacl.and)) {
-      return this._computeAndExamples(schema, mime, options);
+  /**
+   * Generates examples of the parameters of an operation: the endpoint path
+   * with expanded URI parameters, the query string, and the headers map.
+   *
+   * @param {Object} endpoint AMF EndPoint shape.
+   * @param {Object=} operation AMF SupportedOperation shape of the endpoint.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {ParametersExamples}
+   */
+  generateParametersExamples(endpoint, operation, opts = {}) {
+    const path =
+      /** @type {string} */ (this._getValue(
+        endpoint,
+        this.ns.aml.vocabularies.apiContract.path
+      )) || '';
+    const expects = operation ? this._computeExpects(operation) : undefined;
+    const uriParameters = [
+      ...(this._computeQueryParameters(endpoint) || []),
+      ...((expects && this._computeUriParameters(expects)) || []),
+    ];
+    const expanded = this.expandUriTemplate(path, uriParameters, opts);
+    const queryString = expects
+      ? this.generateQueryString(this._computeQueryParameters(expects), opts)
+      : '';
+    return {
+      path: expanded,
+      queryString,
+      uri: queryString ? `${expanded}?${queryString}` : expanded,
+      headers: expects
+        ? this.generateHeadersMap(this._computeHeaders(expects), opts)
+        : {},
+    };
+  }
+
+  /**
+   * Generates a query string from a list of query parameters.
+   * Arrays are serialized depending on the `urlEncodedArrayFormat` option.
+   *
+   * @param {Array<Object>|undefined} parameters List of AMF Parameter shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string} The query string, without the leading `?`. Empty string
+   * when there are no values.
+   */
+  generateQueryString(parameters, opts = {}) {
+    const values = this._computeParametersValues(parameters, opts);
+    if (!Object.keys(values).length) {
+      return '';
+    }
+    return toUrlEncoded(values, { arrayFormat: opts.urlEncodedArrayFormat });
+  }
+
+  /**
+   * Replaces variables of an URI template (e.g. `/items/{id}`) with values
+   * of the URI parameters. Variables without a value or with an empty value
+   * (e.g. a string parameter without an example) are left unchanged.
+   *
+   * @param {string} template The endpoint path or an URI template.
+   * @param {Array<Object>|undefined} parameters List of AMF Parameter shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string} The URI with expanded variables.
+   */
+  expandUriTemplate(template, parameters, opts = {}) {
+    const values = this._computeParametersValues(parameters, opts);
+    return String(template || '').replace(/{([^{}]+)}/g, (match, name) => {
+      if (!(name in values)) {
+        return match;
+      }
+      const value = parameterValues(values[name])
+        .map(item => encodeURIComponent(item))
+        .join(',');
+      return value || match;
+    });
+  }
+
+  /**
+   * Generates a map of header values from a list of headers.
+   * Values of array headers are joined with a comma.
+   *
+   * @param {Array<Object>|undefined} headers List of AMF Parameter shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Object<string, string>} Header values keyed by the header name.
+   */
+  generateHeadersMap(headers, opts = {}) {
+    const values = this._computeParametersValues(headers, opts);
+    /** @type {Object<string, string>} */
+    const result = {};
+    Object.keys(values).forEach(name => {
+      result[name] = parameterValues(values[name]).join(', ');
+    });
+    return result;
+  }
+
+  /**
+   * Computes values of a list of parameters.
+   *
+   * @param {Array<Object>|undefined} parameters List of AMF Parameter shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Object<string, any>} Parameter values keyed by the parameter name.
+   * Parameters without a value are omitted.
+   */
+  _computeParametersValues(parameters, opts = {}) {
+    const result = {};
+    if (!parameters) {
+      return result;
+    }
+    this._ensureArray(parameters).forEach(parameter => {
+      const name = /** @type {string} */ (this._getValue(
+        parameter,
+        this.ns.aml.vocabularies.apiContract.paramName
+      ) || this._getValue(parameter, this.ns.aml.vocabularies.core.name));
+      if (!name) {
+        return;
+      }
+      const value = this._computeParameterValue(parameter, name, opts);
+      if (value !== undefined) {
+        result[name] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Computes a value of a parameter from its schema. Scalar values are
+   * computed the same way as values of scalar properties of a JSON example:
+   * the default value first, then the example, then the enum, and finally
+   * a generated value.
+   *
+   * @param {Object} parameter AMF Parameter shape.
+   * @param {string} name The name of the parameter.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {any} The value or `undefined` when the parameter has no schema or,
+   * with the `noAuto` option, when the schema declares no value.
+   */
+  _computeParameterValue(parameter, name, opts = {}) {
+    const sKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.schema);
+    let schema = parameter[sKey];
+    if (Array.isArray(schema)) {
+      schema = schema[0];
+    }
+    if (!schema) {
+      return undefined;
+    }
+    schema = this._resolve(schema);
+    if (opts.noAuto && !this._hasDeclaredValue(schema)) {
+      return undefined;
+    }
+    const value = this._computeJsonProperyValue(schema, undefined, {
+      ...opts,
+      propertyName: name,
+    });
+    return value === null ? '' : value;
+  }
+
+  /**
+   * @param {Object} schema AMF shape of a parameter.
+   * @return {boolean} True when the shape (or the items shape of an array)
+   * has a default value, an example, or an enum.
+   */
+  _hasDeclaredValue(schema) {
+    const keys = [
+      this.ns.w3.shacl.defaultValue,
+      this.ns.aml.vocabularies.apiContract.examples,
+      this.ns.w3.shacl.in,
+    ];
+    if (keys.some(key => !!schema[this._getAmfKey(key)])) {
+      return true;
+    }
+    if (this._hasType(schema, this.ns.aml.vocabularies.shapes.ArrayShape)) {
+      const iKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
+      const items = this._ensureArray(schema[iKey]);
+      return !!items && this._hasDeclaredValue(this._resolve(items[0]));
+    }
+    return false;
+  }
+
+  /**
+   * Computes examples from an AMF shape.
+   * It returns examples defined in API spec file. If examples are not defined
+   * and `opts.noAuto` flag is not set then it generates an example value from
+   * object properties (if an object represents scalar, object, union, or an array).
+   *
+   * @param {Object} schema Any AMF schema.
+   * @param {string} mime Examples media type. Currently `application/json`,
+   * `application/xml`, `application/x-www-form-urlencoded`, `multipart/form-data`,
+   * and YAML media types (e.g. `application/yaml`) are supported.
+   * @param {Object=} [opts={}] Generation options. See `generatePayloadsExamples()`.
+   * Besides that, `opts.typeId` is required to compute examples for a payload.
+   * The `typeId` is a value of `@id` of the Payload shape.
+   * @return {Array<Object>|undefined}
+   */
+  computeExamples(schema, mime, opts = {}) {
+    const options = { ...opts };
+    if (!schema || (!mime && !opts.rawOnly)) {
+      return undefined;
+    }
+    if (options.seed !== undefined && !options.random) {
+      options.random = createRandom(options.seed);
+    }
+    this._resolve(schema);
+    if (
+      this._hasType(schema, this.ns.w3.shacl.NodeShape) ||
+      this._hasType(schema, this.ns.aml.vocabularies.shapes.ArrayShape)
+    ) {
+      options.ancestors = withAncestor(schema, options).ancestors;
+    }
+    options.discriminator =
+      opts.discriminator || this._readDiscriminator(schema);
+    if (!options.typeName) {
+      const typeName = /** @type string */ (this._getValue(
+        schema,
+        this.ns.w3.shacl.name
+      ));
+      if (typeName && typeName.indexOf('amf_inline_type') !== 0) {
+        options.typeName = typeName;
+      }
+    }
+    const eKey = this._getAmfKey(this.ns.aml.vocabularies.apiContract.examples);
+    const examples = this._ensureArray(schema[eKey]);
+    if (examples && examples.length) {
+      const result = this._computeFromExamples(examples, mime, options, schema);
+      if (result) {
+        return this._withNullExample(result, schema, mime, options);
+      }
+    }
+    const jsonSchema = this._readJsonSchema(schema);
+    if (jsonSchema) {
+      return this._exampleFromJsonSchema(schema, jsonSchema);
+    }
+
+    if (options.rawOnly) {
+      return undefined;
+    }
+    if (this._hasType(schema, this.ns.aml.vocabularies.shapes.ArrayShape)) {
+      const value = this._computeExampleArraySchape(schema, mime, options);
+      if (value) {
+        return value;
+      }
+    }
+    if (this._hasType(schema, this.ns.aml.vocabularies.apiContract.Example)) {
+      const value = this._generateFromExample(schema, mime, options);
+      if (value) {
+        return [value];
+      }
+    }
+
+    if (this._hasProperty(schema, this.ns.w3.shacl.and)) {
+      return this._computeAndExamples(schema, mime, options);
+    }
+
+    if (this._isUnionShape(schema)) {
+      const member = this._readNullableMember(schema);
+      const result = member
+        ? this.computeExamples(member, mime, options)
+        : this._computeUnionExamples(schema, mime, options);
+      return this._withNullExample(result, schema, mime, options);
+    }
+
+    if (options.discriminator && !options.subtypeOf) {
+      const result = this._computeSubtypesExamples(schema, mime, options);
+      if (result) {
+        return result;
+      }
     }
 
     if (options.noAuto) {
       return undefined;
     }
 
-    if (this._hasType(schema, this.ns.aml.vocabularies.shapes.ScalarShape)) {
-      const result = this._computeJsonScalarValue(schema);
+    if (
+      this._hasType(schema, this.ns.aml.vocabularies.shapes.ScalarShape) ||
+      this._isNotShape(schema)
+    ) {
+      const result = this._computeJsonProperyValue(schema, undefined, options);
       return [
         {
           hasRaw: false,
@@ -413,21 +1281,52 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
       ];
     }
 
-    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
-    let properties = this._ensureArray(schema[pKey]);
+    let properties = this._computeShapeProperties(schema, options);
     if (properties && properties.length) {
-      if (!opts.renderReadOnly) {
-        properties = this._filterReadOnlyProperties(properties);
+      properties = this._filterHiddenProperties(properties, options);
+      if (options.expandUnions && !options.unionChoices) {
+        const expanded = this._computeExpandedUnionExamples(
+          properties,
+          mime,
+          options,
+          schema
+        );
+        if (expanded) {
+          return [expanded];
+        }
       }
       const value = this._exampleFromProperties(
         properties,
         mime,
         options.typeName,
-        options.parentName
+        options.parentName,
+        options,
+        schema
       );
-      if (value) {
+      if (!value) {
+        return undefined;
+      }
+      if (
+        !options.nullVariant ||
+        options.nullValues ||
+        !properties.some(property => this._isNullableProperty(property))
+      ) {
         return [value];
       }
+      const nullValue = this._exampleFromProperties(
+        properties,
+        mime,
+        options.typeName,
+        options.parentName,
+        { ...options, nullValues: true },
+        schema
+      );
+      if (!nullValue) {
+        return [value];
+      }
+      nullValue.hasTitle = true;
+      nullValue.title = 'null';
+      return [value, nullValue];
     }
     return undefined;
   }
@@ -467,14 +1366,17 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
   /**
    * Computes examples value from a list of examples.
    * @param {Array<Object>} examples List of AMF Example schapes.
-   * @param {String} mime Examples media type. Currently `application/json` and
-   * `application/xml` are supported.
+   * @param {String} mime Examples media type. Currently `application/json`,
+   * `application/xml`, `application/x-www-form-urlencoded`, `multipart/form-data`,
+   * and YAML media types are supported.
    * @param {Object} opts Generation options. See `generatePayloadsExamples()`.
    * Besides that, `opts.typeId` is required to compute examples for a payload.
    * The `typeId` is a value of `@id` of the Payload shape.
+   * @param {Object=} schema The shape the examples belong to. Required to validate
+   * the examples when the `validate` option is set.
    * @return {Array<Object>|undefined}
    */
-  _computeFromExamples(examples, mime, opts) {
+  _computeFromExamples(examples, mime, opts, schema) {
     let data = this._processExamples(examples);
     data = this._listTypeExamples(data, opts.typeId);
     if (!data) {
@@ -483,14 +1385,469 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     const result = [];
     for (let i = 0; i < data.length; i++) {
       const shape = data[i];
-      const value = this._generateFromExample(shape, mime, opts);
+      const value = this._generateFromExample(shape, mime, opts, schema);
       if (value) {
+        if (opts.validate && schema) {
+          const validation = this._validateExample(shape, schema, mime);
+          if (validation) {
+            value.validation = validation;
+          }
+        }
         result[result.length] = value;
       }
     }
     return result;
   }
 
+  /**
+   * Validates a declared example against the shape it belongs to.
+   * It checks required properties, data types, and the `enum`, `pattern`,
+   * `minLength`, `maxLength`, `minimum`, `maximum`, `multipleOf`,
+   * `minItems`, and `maxItems` facets.
+   *
+   * @param {Object} example AMF's Example shape.
+   * @param {Object} schema The shape the example belongs to.
+   * @param {String=} mime Example content type.
+   * @return {ExampleValidation|undefined} The validation result or `undefined`
+   * when the value of the example cannot be read.
+   */
+  _validateExample(example, schema, mime) {
+    const value = this._readExampleData(example, mime);
+    if (value === undefined) {
+      return undefined;
+    }
+    const issues = [];
+    this._validateValue(schema, value, '', issues);
+    return {
+      valid: !issues.length,
+      issues,
+    };
+  }
+
+  /**
+   * Reads the value of an example as a JavaScript value.
+   * A JSON example is parsed from the raw value. Otherwise the structured
+   * value of the example is used.
+   *
+   * @param {Object} example AMF's Example shape.
+   * @param {String=} mime Example content type.
+   * @return {any} The value or `undefined` when the example has no value.
+   */
+  _readExampleData(example, mime) {
+    const raw = this._getValue(example, this.ns.aml.vocabularies.document.raw);
+    if (raw && mime && mime.indexOf('json') !== -1) {
+      try {
+        return JSON.parse(String(raw));
+      } catch (_) {
+        // the structured value is used
+      }
+    }
+    const sKey = this._getAmfKey(
+      this.ns.aml.vocabularies.document.structuredValue
+    );
+    let structure = example[sKey];
+    if (!structure) {
+      return undefined;
+    }
+    if (Array.isArray(structure)) {
+      structure = structure[0];
+    }
+    return this._jsonFromStructure(structure);
+  }
+
+  /**
+   * Validates a value against a shape and adds found problems to `issues`.
+   *
+   * @param {Object} shape AMF's shape
+   * @param {any} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateValue(shape, value, path, issues) {
+    let range = Array.isArray(shape) ? shape[0] : shape;
+    if (!range) {
+      return;
+    }
+    range = this._resolve(range);
+    const { shapes } = this.ns.aml.vocabularies;
+    const andKey = this._getAmfKey(this.ns.w3.shacl.and);
+    const and = this._ensureArray(range[andKey]);
+    if (and) {
+      and.forEach(item => this._validateValue(item, value, path, issues));
+    }
+    if (
+      this._hasProperty(range, this.ns.w3.shacl.not) &&
+      this._isExcludedValue(range, value)
+    ) {
+      issues.push({
+        path,
+        keyword: 'not',
+        message: 'Value matches a schema it must not match',
+      });
+    }
+    if (this._hasType(range, shapes.ScalarShape)) {
+      this._validateScalar(range, value, path, issues);
+    } else if (this._isUnionShape(range)) {
+      this._validateUnion(range, value, path, issues);
+    } else if (this._hasType(range, shapes.ArrayShape)) {
+      this._validateArray(range, value, path, issues);
+    } else if (this._hasType(range, shapes.NilShape)) {
+      if (value !== null) {
+        issues.push({
+          path,
+          keyword: 'type',
+          message: `Expected null, got ${jsonTypeName(value)}`,
+        });
+      }
+    } else if (this._hasType(range, this.ns.w3.shacl.NodeShape)) {
+      this._validateObject(range, value, path, issues);
+    }
+  }
+
+  /**
+   * Validates a value against a scalar shape.
+   *
+   * @param {Object} range AMF's scalar shape
+   * @param {any} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateScalar(range, value, path, issues) {
+    const type = this._computeScalarType(range);
+    const typeName = jsonTypeName(value);
+    let expected;
+    switch (type) {
+      case 'Integer':
+      case 'Long':
+        expected = 'integer';
+        break;
+      case 'Number':
+      case 'Float':
+      case 'Double':
+        expected = 'number';
+        break;
+      case 'Boolean':
+        expected = 'boolean';
+        break;
+      case 'Nil':
+      case 'Null':
+        expected = 'null';
+        break;
+      case 'String':
+      case 'Date':
+      case 'Time':
+      case 'DateTimeOnly':
+      case 'DateTime':
+      case 'Byte':
+      case 'Password':
+        expected = 'string';
+        break;
+      default:
+    }
+    const isInteger = typeName === 'number' && Number.isInteger(value);
+    if (
+      expected &&
+      expected !== typeName &&
+      !(expected === 'integer' && isInteger)
+    ) {
+      issues.push({
+        path,
+        keyword: 'type',
+        message: `Expected ${expected}, got ${typeName}`,
+      });
+      return;
+    }
+    const values = this._readEnumValues(range);
+    if (values.length && values.indexOf(String(value)) === -1) {
+      issues.push({
+        path,
+        keyword: 'enum',
+        message: `Value ${JSON.stringify(value)} is not one of: ${values.join(
+          ', '
+        )}`,
+      });
+    }
+    if (typeName === 'string') {
+      this._validateString(range, value, path, issues);
+    } else if (typeName === 'number') {
+      this._validateNumber(range, value, path, issues);
+    }
+  }
+
+  /**
+   * Validates a string against `pattern`, `minLength`, and `maxLength` facets.
+   *
+   * @param {Object} range AMF's scalar shape
+   * @param {String} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateString(range, value, path, issues) {
+    const shacl = this.ns.w3.shacl;
+    const pattern = this._getValue(range, shacl.pattern);
+    if (pattern) {
+      let matches = true;
+      try {
+        matches = new RegExp(String(pattern)).test(value);
+      } catch (_) {
+        // patterns not supported by the platform are not validated
+      }
+      if (!matches) {
+        issues.push({
+          path,
+          keyword: 'pattern',
+          message: `Value does not match the pattern ${pattern}`,
+        });
+      }
+    }
+    const minLength = this._getValue(range, shacl.minLength);
+    if (minLength !== undefined && value.length < Number(minLength)) {
+      issues.push({
+        path,
+        keyword: 'minLength',
+        message: `Length ${value.length} is lower than ${minLength}`,
+      });
+    }
+    const maxLength = this._getValue(range, shacl.maxLength);
+    if (maxLength !== undefined && value.length > Number(maxLength)) {
+      issues.push({
+        path,
+        keyword: 'maxLength',
+        message: `Length ${value.length} is greater than ${maxLength}`,
+      });
+    }
+  }
+
+  /**
+   * Validates a number against `minimum`, `maximum`, and `multipleOf` facets.
+   *
+   * @param {Object} range AMF's scalar shape
+   * @param {Number} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateNumber(range, value, path, issues) {
+    const {
+      minimum,
+      maximum,
+      exclusiveMinimum,
+      exclusiveMaximum,
+      multipleOf,
+    } = this._readNumberConstraints(range, false);
+    if (
+      minimum !== undefined &&
+      (exclusiveMinimum ? value <= minimum : value < minimum)
+    ) {
+      issues.push({
+        path,
+        keyword: 'minimum',
+        message: `Value ${value} is lower than ${
+          exclusiveMinimum ? 'or equal to ' : ''
+        }${minimum}`,
+      });
+    }
+    if (
+      maximum !== undefined &&
+      (exclusiveMaximum ? value >= maximum : value > maximum)
+    ) {
+      issues.push({
+        path,
+        keyword: 'maximum',
+        message: `Value ${value} is greater than ${
+          exclusiveMaximum ? 'or equal to ' : ''
+        }${maximum}`,
+      });
+    }
+    if (multipleOf > 0) {
+      const factor = value / multipleOf;
+      if (Math.abs(factor - Math.round(factor)) > 1e-9) {
+        issues.push({
+          path,
+          keyword: 'multipleOf',
+          message: `Value ${value} is not a multiple of ${multipleOf}`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Validates a value against an object shape.
+   * Missing required properties are reported with the path of the property.
+   * Values of keys matching a pattern property are validated against
+   * the range of the pattern property.
+   *
+   * @param {Object} range AMF's node shape
+   * @param {any} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateObject(range, value, path, issues) {
+    const typeName = jsonTypeName(value);
+    if (typeName !== 'object') {
+      issues.push({
+        path,
+        keyword: 'type',
+        message: `Expected object, got ${typeName}`,
+      });
+      return;
+    }
+    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    const properties = this._ensureArray(range[pKey]) || [];
+    const names = properties
+      .filter(property => !this._isPatternProperty(property))
+      .map(property => String(this._getValue(property, this.ns.w3.shacl.name)));
+    properties.forEach(property => {
+      if (this._isPatternProperty(property)) {
+        this._validatePatternProperty(property, value, names, path, issues);
+        return;
+      }
+      const name = this._getValue(property, this.ns.w3.shacl.name);
+      if (!name) {
+        return;
+      }
+      const propertyPath = jsonPointer(path, String(name));
+      if (!Object.prototype.hasOwnProperty.call(value, String(name))) {
+        const minCount = this._getValue(property, this.ns.w3.shacl.minCount);
+        if (Number(minCount) > 0) {
+          issues.push({
+            path: propertyPath,
+            keyword: 'required',
+            message: `Missing required property ${name}`,
+          });
+        }
+        return;
+      }
+      this._validateValue(
+        property[rKey],
+        value[String(name)],
+        propertyPath,
+        issues
+      );
+    });
+  }
+
+  /**
+   * Validates values of keys of an object that match the pattern of
+   * a pattern property. Keys of declared properties are not validated.
+   *
+   * @param {Object} property AMF property shape with the `patternName`.
+   * @param {Object} value The object to validate
+   * @param {Array<String>} names Names of declared properties of the object
+   * @param {String} path JSON pointer of the object
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validatePatternProperty(property, value, names, path, issues) {
+    const pattern = this._getValue(
+      property,
+      `${this.ns.aml.vocabularies.shapes.key}patternName`
+    );
+    let regexp;
+    try {
+      regexp = new RegExp(String(pattern));
+    } catch (e) {
+      // patterns not supported by the platform are not validated
+      return;
+    }
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    Object.keys(value)
+      .filter(key => !names.includes(key) && regexp.test(key))
+      .forEach(key => {
+        this._validateValue(
+          property[rKey],
+          value[key],
+          jsonPointer(path, key),
+          issues
+        );
+      });
+  }
+
+  /**
+   * Validates a value against an array shape.
+   *
+   * @param {Object} range AMF's array shape
+   * @param {any} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateArray(range, value, path, issues) {
+    if (!Array.isArray(value)) {
+      issues.push({
+        path,
+        keyword: 'type',
+        message: `Expected array, got ${jsonTypeName(value)}`,
+      });
+      return;
+    }
+    const minItems = this._getValue(range, this.ns.w3.shacl.minCount);
+    if (minItems !== undefined && value.length < Number(minItems)) {
+      issues.push({
+        path,
+        keyword: 'minItems',
+        message: `Array has ${value.length} items, expected at least ${minItems}`,
+      });
+    }
+    const maxItems = this._getValue(range, `${this.ns.w3.shacl.key}maxCount`);
+    if (
+      maxItems !== undefined &&
+      maxItems !== null &&
+      value.length > Number(maxItems)
+    ) {
+      issues.push({
+        path,
+        keyword: 'maxItems',
+        message: `Array has ${value.length} items, expected at most ${maxItems}`,
+      });
+    }
+    const key = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
+    const items = this._ensureArray(range[key]);
+    if (!items) {
+      return;
+    }
+    value.forEach((item, index) => {
+      const shape = items.length === 1 ? items[0] : items[index];
+      if (shape) {
+        this._validateValue(shape, item, jsonPointer(path, index), issues);
+      }
+    });
+  }
+
+  /**
+   * Validates a value against an union shape.
+   * The value is valid when it satisfies one of the union members.
+   * A value of a `shacl:xone` shape must satisfy exactly one member.
+   *
+   * @param {Object} range AMF's union shape
+   * @param {any} value The value to validate
+   * @param {String} path JSON pointer of the value
+   * @param {Array<ValidationIssue>} issues List of found problems
+   */
+  _validateUnion(range, value, path, issues) {
+    const members = this._readUnionMembers(range);
+    if (!members || !members.length) {
+      return;
+    }
+    const matches = members.filter(member => {
+      const memberIssues = [];
+      this._validateValue(member, value, path, memberIssues);
+      return !memberIssues.length;
+    }).length;
+    const exclusive = this._hasProperty(range, this.ns.w3.shacl.xone);
+    if (!matches) {
+      issues.push({
+        path,
+        keyword: exclusive ? 'oneOf' : 'anyOf',
+        message: 'Value does not match any member of the union',
+      });
+    } else if (exclusive && matches > 1) {
+      issues.push({
+        path,
+        keyword: 'oneOf',
+        message: `Value matches ${matches} members of the union`,
+      });
+    }
+  }
+
   /**
    * In AMF 4 the examples model changes from being an array of examples
    * to an object that contains an array of examples.
@@ -584,9 +1941,11 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param {Object} example Resolved example.
    * @param {String} mime Example content type.
    * @param {ExampleOptions=} opts Processing options.
+   * @param {Object=} schema The shape the example belongs to. XML examples
+   * use its XML serialization facets.
    * @return {Example|undefined}
    */
-  _generateFromExample(example, mime, opts) {
+  _generateFromExample(example, mime, opts, schema) {
     let raw = /** @type {string} */ (this._getValue(
       example,
       this.ns.aml.vocabularies.document.raw
@@ -622,6 +1981,9 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     }
     const isJson = mime.indexOf('json') !== -1;
     const isXml = !isJson && mime.indexOf('xml') !== -1;
+    const isYaml = !isJson && !isXml && mime.indexOf('yaml') !== -1;
+    const isForm = mime.indexOf('x-www-form-urlencoded') !== -1;
+    const isMultipart = mime.indexOf('multipart/form-data') !== -1;
     if (hasRaw) {
       if (isJson) {
         try {
@@ -683,106 +2045,515 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         return result;
       }
     } else if (isXml) {
-      const data = this._xmlFromStructure(structure, opts);
+      const data = this._xmlFromStructure(structure, opts, schema);
       result.value = data;
       return result;
+    } else if (isYaml) {
+      const data = this._jsonFromStructure(structure);
+      if (data !== undefined) {
+        result.value = toYaml(data);
+        return result;
+      }
+    } else if (isForm) {
+      const data = this._jsonFromStructure(structure);
+      if (data !== undefined) {
+        result.value = toUrlEncoded(data, {
+          arrayFormat: opts.urlEncodedArrayFormat,
+        });
+        return result;
+      }
+    } else if (isMultipart) {
+      const data = this._jsonFromStructure(structure);
+      if (data !== undefined) {
+        const properties = this._readMultipartProperties(schema);
+        result.value = properties
+          ? this._multipartFromProperties(properties, opts, data)
+          : multipartFromData(data, opts);
+        return result;
+      }
     } else {
       if (result.raw) {
         result.value = result.raw;
       } else {
         result.value = '';
       }
-      return result;
+      return result;
+    }
+    return undefined;
+  }
+
+  /**
+   * Computes list of examples for an array shape.
+   * @param {Object} schema The AMF's array shape
+   * @param {String} mime Current mime type
+   * @param {ExampleOptions} [opts={}]
+   * @return {Array<Example>|undefined}
+   */
+  _computeExampleArraySchape(schema, mime, opts = {}) {
+    const options = { ...opts };
+    const iKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
+    const items = this._ensureArray(schema[iKey]);
+    if (!items) {
+      return undefined;
+    }
+    const isJson = mime.indexOf('json') !== -1;
+    const isYaml = !isJson && mime.indexOf('yaml') !== -1;
+    options.parentName = options.typeName;
+    delete options.typeName;
+    // We need only first type here as arras can have different types
+    for (let i = 0, len = items.length; i < len; i++) {
+      const item = items[i];
+      const result = this.computeExamples(item, mime, options);
+      if (result) {
+        if (isJson) {
+          processJsonArrayExamples(result);
+        } else if (isYaml) {
+          processYamlArrayExamples(result);
+        }
+        return result;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Computes example for an `and` shape.
+   * @param {Object} schema The AMF's array shape
+   * @param {String} mime Current mime type
+   * @param {ExampleOptions=} [opts={}]
+   * @return {Array<Example>|undefined}
+   */
+  _computeAndExamples(schema, mime, opts) {
+    const mergedSchema = this._computeAndShape(schema);
+    if (!mergedSchema) {
+      return undefined;
+    }
+    return this.computeExamples(mergedSchema, mime, opts);
+  }
+
+  /**
+   * Merges members of an `and` shape into a single shape.
+   * Properties of the members are merged with the properties of the shape.
+   * Other facets of the members, like the data type, `oneOf`, `anyOf`, `not`,
+   * or the discriminator, are added when the shape does not define them.
+   * This way a member that is a composition is processed as a part
+   * of the merged shape.
+   *
+   * @param {Object} schema A shape with the `and` members.
+   * @return {Object|undefined} A new shape without the `and` members or
+   * `undefined` when the shape has no members.
+   */
+  _computeAndShape(schema) {
+    const andKey = this._getAmfKey(this.ns.w3.shacl.and);
+    const and = this._ensureArray(schema[andKey]);
+    if (!and) {
+      return undefined;
+    }
+    const mergedSchema = this._mergeSchemaWithProperties(schema, and);
+    // Remove the shacl:and property to avoid infinite recursion
+    delete mergedSchema[andKey];
+    const { document } = this.ns.aml.vocabularies;
+    const skipped = [
+      '@id',
+      '@type',
+      '__apicResolved',
+      andKey,
+      this._getAmfKey(this.ns.aml.vocabularies.apiContract.examples),
+      this._getAmfKey(document.linkTarget),
+      this._getAmfKey(`${document.key}link-label`),
+    ];
+    and.forEach(item => {
+      const shape = this._resolve(Array.isArray(item) ? item[0] : item);
+      Object.keys(shape).forEach(key => {
+        if (skipped.indexOf(key) === -1 && mergedSchema[key] === undefined) {
+          mergedSchema[key] = shape[key];
+        }
+      });
+      const types = mergedSchema['@type'] || [];
+      mergedSchema['@type'] = [
+        ...types,
+        ...(shape['@type'] || []).filter(type => types.indexOf(type) === -1),
+      ];
+    });
+    return mergedSchema;
+  }
+
+  /**
+   * Merges a schema's properties with all the properties in a list of shapes
+   * Returns a new object to avoid changing the original schema object
+   * @param {Object} schema AMF schema object
+   * @param {Array<Object>} shapes List of shapes whose properties we want to merge
+   * @private
+   */
+  _mergeSchemaWithProperties(schema, shapes) {
+    const newSchema = { ...schema };
+    const propertyKey = this._getAmfKey(this.ns.w3.shacl.property);
+    for (let i = 0; i < shapes.length; i++) {
+      const shape = shapes[i];
+      this._resolve(shape);
+      if (!shape[propertyKey] && !newSchema[propertyKey]) {
+        continue;
+      }
+      const properties = shape[propertyKey] || [];
+      const currentProps = newSchema[propertyKey] || [];
+      newSchema[propertyKey] = [...currentProps, ...properties];
+    }
+    return newSchema;
+  }
+
+  /**
+   * Reads the discriminator of a shape. The value is the `discriminatorValue`
+   * of a RAML type, the key of the OAS `mapping` that points to the shape,
+   * or the name of the shape.
+   *
+   * @param {Object} shape AMF shape.
+   * @param {String=} typeName The name of the type the value is read for.
+   * By default it is the name of the shape.
+   * @return {Discriminator|undefined} The discriminator or `undefined` when
+   * the shape has no discriminator.
+   */
+  _readDiscriminator(shape, typeName) {
+    const key = this.ns.aml.vocabularies.shapes.key;
+    const name = /** @type {string} */ (this._getValue(
+      shape,
+      `${key}discriminator`
+    ));
+    if (!name) {
+      return undefined;
+    }
+    let value = typeName
+      ? undefined
+      : /** @type {string} */ (this._getValue(
+          shape,
+          `${key}discriminatorValue`
+        ));
+    const type =
+      typeName ||
+      /** @type {string} */ (this._getValue(shape, this.ns.w3.shacl.name));
+    if (!value && type) {
+      const mKey = this._getAmfKey(`${key}discriminatorMapping`);
+      const mapping = (this._ensureArray(shape[mKey]) || []).find(item => {
+        const link = String(
+          this._getValue(
+            item,
+            this.ns.aml.vocabularies.apiContract.linkExpression
+          ) || ''
+        );
+        return link.split('/').pop() === type;
+      });
+      value = /** @type {string} */ (this._getValue(
+        mapping,
+        this.ns.aml.vocabularies.apiContract.templateVariable
+      ));
+    }
+    if (!value && type && !/^(schema|amf_inline_type)/.test(type)) {
+      value = type;
+    }
+    return value ? { name, value: String(value) } : undefined;
+  }
+
+  /**
+   * Lists declared subtypes of a discriminated shape. A subtype inherits
+   * from the parent (RAML `type`, kept in `inherits` of a model that is not
+   * resolved), has the parent in `allOf` (OAS), or, in a resolved model,
+   * has the same discriminator and the properties of the parent. The
+   * resolved model keeps the ranges of inherited properties as the same
+   * nodes, so properties are compared by the `@id` of their range.
+   *
+   * @param {Object} schema A shape with a discriminator.
+   * @return {Array<Object>} Declared subtypes of the shape.
+   */
+  _computeDiscriminatorSubtypes(schema) {
+    const declares = this._computeDeclares(this.amf) || [];
+    const dKey = `${this.ns.aml.vocabularies.shapes.key}discriminator`;
+    const andKey = this._getAmfKey(this.ns.w3.shacl.and);
+    const inheritsKey = this._getAmfKey(
+      `${this.ns.aml.vocabularies.shapes.key}inherits`
+    );
+    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    const id = schema['@id'];
+    const name = this._getValue(schema, this.ns.w3.shacl.name);
+    const discriminator = this._getValue(schema, dKey);
+    const isParent = member =>
+      member['@id'] === id || this._resolve(member)['@id'] === id;
+    const rangeIds = shape =>
+      (this._ensureArray(shape[pKey]) || []).map(property => {
+        const range = this._ensureArray(property[rKey]);
+        return range && range[0]['@id'];
+      });
+    const parentRanges = rangeIds(schema);
+    return declares.filter(item => {
+      const shape = this._resolve(item);
+      if (
+        shape['@id'] === id ||
+        this._getValue(shape, this.ns.w3.shacl.name) === name
+      ) {
+        return false;
+      }
+      const and = this._ensureArray(shape[andKey]);
+      if (and) {
+        return and.some(
+          member =>
+            isParent(member) ||
+            this._getValue(this._resolve(member), this.ns.w3.shacl.name) ===
+              name
+        );
+      }
+      const inherits = this._ensureArray(shape[inheritsKey]);
+      if (inherits) {
+        return inherits.some(isParent);
+      }
+      if (
+        !parentRanges.length ||
+        this._getValue(shape, dKey) !== discriminator
+      ) {
+        return false;
+      }
+      const ranges = rangeIds(shape);
+      return parentRanges.every(
+        range => !!range && ranges.indexOf(range) !== -1
+      );
+    });
+  }
+
+  /**
+   * Generates an example for each declared subtype of a discriminated shape.
+   *
+   * @param {Object} schema A shape with a discriminator.
+   * @param {String} mime Examples media type.
+   * @param {ExampleOptions} opts Processing options.
+   * @return {Array<Example>|undefined} An union example with a value for each
+   * subtype, titled with the subtype name, or `undefined` when the shape
+   * has no subtypes.
+   */
+  _computeSubtypesExamples(schema, mime, opts) {
+    const subtypes = this._computeDiscriminatorSubtypes(schema);
+    if (!subtypes.length) {
+      return undefined;
+    }
+    const values = [];
+    subtypes.forEach(subtype => {
+      const shape = this._resolve(subtype);
+      const name = String(this._getValue(shape, this.ns.w3.shacl.name));
+      const [data] =
+        this.computeExamples(shape, mime, {
+          ...opts,
+          typeName: name,
+          subtypeOf: schema['@id'],
+          discriminator: undefined,
+        }) || [];
+      if (!data) {
+        return;
+      }
+      data.hasTitle = true;
+      data.title = name;
+      values[values.length] = data;
+    });
+    if (!values.length) {
+      return undefined;
+    }
+    return [
+      {
+        hasRaw: false,
+        hasTitle: false,
+        hasUnion: true,
+        values,
+      },
+    ];
+  }
+
+  /**
+   * Tests whether a shape is an union (`anyOf`) or has `oneOf` (`shacl:xone`)
+   * or `anyOf` (`shacl:or`) members.
+   *
+   * @param {Object} shape AMF shape.
+   * @return {boolean}
+   */
+  _isUnionShape(shape) {
+    return (
+      this._hasType(shape, this.ns.aml.vocabularies.shapes.UnionShape) ||
+      this._hasProperty(shape, this.ns.w3.shacl.xone) ||
+      this._hasProperty(shape, this.ns.w3.shacl.or)
+    );
+  }
+
+  /**
+   * Reads members of an union, `shacl:xone`, or `shacl:or` shape.
+   * When the shape has own properties, they are added to the properties
+   * of object members.
+   *
+   * @param {Object} shape AMF shape.
+   * @return {Array<Object>|undefined} Members of the shape or `undefined`
+   * when the shape has no members.
+   */
+  _readUnionMembers(shape) {
+    const keys = [
+      this.ns.aml.vocabularies.shapes.anyOf,
+      this.ns.w3.shacl.xone,
+      this.ns.w3.shacl.or,
+    ];
+    let members;
+    for (let i = 0; i < keys.length && !members; i++) {
+      members = this._ensureArray(shape[this._getAmfKey(keys[i])]);
+    }
+    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    const properties = this._ensureArray(shape[pKey]);
+    if (!members || !properties || !properties.length) {
+      return members;
+    }
+    return members.map(item => {
+      const member = this._resolve(Array.isArray(item) ? item[0] : item);
+      if (!this._hasType(member, this.ns.w3.shacl.NodeShape)) {
+        return member;
+      }
+      return {
+        ...member,
+        [pKey]: [...properties, ...(this._ensureArray(member[pKey]) || [])],
+      };
+    });
+  }
+
+  /**
+   * Tests whether a shape is nullable: an union of a `nil` shape and other
+   * shapes, e.g. `string?` or `string | nil` in RAML, or a schema with
+   * `nullable: true` in OAS.
+   *
+   * @param {Object} shape AMF shape.
+   * @return {boolean}
+   */
+  _isNullableShape(shape) {
+    if (!shape || !this._isUnionShape(shape)) {
+      return false;
     }
-    return undefined;
+    const members = this._readUnionMembers(shape) || [];
+    const values = this._filterNilMembers(members);
+    return values.length > 0 && values.length < members.length;
   }
 
   /**
-   * Computes list of examples for an array shape.
-   * @param {Object} schema The AMF's array shape
-   * @param {String} mime Current mime type
-   * @param {ExampleOptions} [opts={}]
-   * @return {Array<Example>|undefined}
+   * @param {Object} property AMF property shape.
+   * @return {boolean} True when the range of the property is nullable.
    */
-  _computeExampleArraySchape(schema, mime, opts = {}) {
-    const options = { ...opts };
-    const iKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
-    const items = this._ensureArray(schema[iKey]);
-    if (!items) {
+  _isNullableProperty(property) {
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    const range = this._ensureArray(property[rKey]);
+    return !!range && this._isNullableShape(range[0]);
+  }
+
+  /**
+   * Reads the member of a nullable shape that is not `nil`.
+   *
+   * @param {Object} shape AMF shape.
+   * @return {Object|undefined} The resolved member or `undefined` when the shape
+   * is not nullable or it has more than one member that is not `nil`.
+   */
+  _readNullableMember(shape) {
+    if (!this._isNullableShape(shape)) {
       return undefined;
     }
-    const isJson = mime.indexOf('json') !== -1;
-    options.parentName = options.typeName;
-    delete options.typeName;
-    // We need only first type here as arras can have different types
-    for (let i = 0, len = items.length; i < len; i++) {
-      const item = items[i];
-      const result = this.computeExamples(item, mime, options);
-      if (result) {
-        if (isJson) {
-          processJsonArrayExamples(result);
-        }
-        return result;
-      }
+    const values = this._filterNilMembers(this._readUnionMembers(shape));
+    if (values.length !== 1) {
+      return undefined;
     }
-    return undefined;
+    const [member] = values;
+    return this._resolve(Array.isArray(member) ? member[0] : member);
   }
 
   /**
-   * Computes example for an `and` shape.
-   * @param {Object} schema The AMF's array shape
-   * @param {String} mime Current mime type
-   * @param {ExampleOptions=} [opts={}]
+   * Removes `nil` shapes from members of an union so the generator prefers
+   * a value over `null`.
+   *
+   * @param {Array<Object>} members Members of an union.
+   * @return {Array<Object>} Members that are not `nil` or all members when
+   * all of them are `nil`.
+   */
+  _filterNilMembers(members) {
+    const values = members.filter(
+      item =>
+        !this._hasType(
+          this._resolve(Array.isArray(item) ? item[0] : item),
+          this.ns.aml.vocabularies.shapes.NilShape
+        )
+    );
+    return values.length ? values : members;
+  }
+
+  /**
+   * Adds the `null` example of a nullable shape to its examples when
+   * the `nullVariant` option is set.
+   *
+   * @param {Array<Example>|undefined} result Examples of the shape.
+   * @param {Object} schema AMF shape.
+   * @param {String} mime Examples media type.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {Array<Example>|undefined}
    */
-  _computeAndExamples(schema, mime, opts) {
-    const andKey = this._getAmfKey(this.ns.w3.shacl.and);
-    const and = this._ensureArray(schema[andKey]);
-    if (!and) {
-      return undefined;
+  _withNullExample(result, schema, mime, opts = {}) {
+    if (!result || !opts.nullVariant || !this._isNullableShape(schema)) {
+      return result;
     }
-    const mergedSchema = this._mergeSchemaWithProperties(schema, and);
-    // Remove the shacl:and property to avoid infinite recursion
-    delete mergedSchema[andKey];
-    return this.computeExamples(mergedSchema, mime, opts);
+    return [...result, this._computeNullExample(schema, mime, opts)];
   }
 
   /**
-   * Merges a schema's properties with all the properties in a list of shapes
-   * Returns a new object to avoid changing the original schema object
-   * @param {Object} schema AMF schema object
-   * @param {Array<Object>} shapes List of shapes whose properties we want to merge
-   * @private
+   * Creates the `null` example of a nullable shape, generated with
+   * the `nullVariant` option.
+   *
+   * @param {Object} schema AMF nullable shape.
+   * @param {String} mime Examples media type.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Example}
    */
-  _mergeSchemaWithProperties(schema, shapes) {
-    const newSchema = { ...schema };
-    const propertyKey = this._getAmfKey(this.ns.w3.shacl.property);
-    for (let i = 0; i < shapes.length; i++) {
-      const shape = shapes[i];
-      this._resolve(shape);
-      if (!shape[propertyKey] && !newSchema[propertyKey]) {
-        continue;
-      }
-      const properties = shape[propertyKey] || [];
-      const currentProps = newSchema[propertyKey] || [];
-      newSchema[propertyKey] = [...currentProps, ...properties];
+  _computeNullExample(schema, mime, opts = {}) {
+    let value = 'null';
+    if (mime.indexOf('xml') !== -1) {
+      const name = normalizeXmlTagName(
+        opts.typeName ||
+          /** @type {string} */ (this._getValue(
+            schema,
+            this.ns.w3.shacl.name
+          )) ||
+          UNKNOWN_TYPE
+      );
+      const doc = new XmlDocument(name);
+      setXmlNil(doc.documentElement);
+      value = formatXml(
+        `<?xml version="1.0" encoding="UTF-8"?>${serializeXml(doc)}`
+      );
     }
-    return newSchema;
+    return {
+      hasRaw: false,
+      hasTitle: true,
+      title: 'null',
+      hasUnion: false,
+      value,
+    };
   }
 
   /**
    * Computes example for an union shape.
+   * Each member of an enum of a scalar union member is rendered as a separate value.
+   * Members of `shacl:xone` and `shacl:or` shapes are titled with the member name
+   * or the data type. A `shacl:xone` member has a value that does not match
+   * other members, when the generator can find one.
+   *
    * @param {Object} schema The AMF's array shape
    * @param {String} mime Current mime type
    * @param {ExampleOptions} [opts={}]
    * @return {Array<Example>|undefined}
    */
   _computeUnionExamples(schema, mime, opts) {
-    const key = this._getAmfKey(this.ns.aml.vocabularies.shapes.anyOf);
-    const anyOf = this._ensureArray(schema[key]);
-    if (!anyOf) {
+    const members = this._readUnionMembers(schema);
+    if (!members) {
       return undefined;
     }
+    const anyOf = this._filterNilMembers(members);
+    const isUnion = this._hasProperty(
+      schema,
+      this.ns.aml.vocabularies.shapes.anyOf
+    );
+    const exclusive = this._hasProperty(schema, this.ns.w3.shacl.xone);
     const result = {
       hasTitle: false,
       hasRaw: false,
@@ -795,6 +2566,45 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         unionSchape = unionSchape[0];
       }
       this._resolve(unionSchape);
+      const enumValues = this._readUnionEnumValues(unionSchape);
+      if (enumValues.length) {
+        enumValues.forEach((value, index) => {
+          const [data] =
+            this.computeExamples(unionSchape, mime, {
+              ...opts,
+              enumIndex: index,
+            }) || [];
+          if (!data) {
+            return;
+          }
+          data.hasTitle = true;
+          data.title = value;
+          result.values[result.values.length] = data;
+        });
+        continue;
+      }
+      if (!isUnion) {
+        const options = {
+          ...opts,
+          discriminator: this._readDiscriminator(
+            schema,
+            /** @type {string} */ (this._getValue(
+              unionSchape,
+              this.ns.w3.shacl.name
+            ))
+          ),
+        };
+        const siblings = anyOf.filter((_, index) => index !== i);
+        const data = exclusive
+          ? this._computeExclusiveExample(unionSchape, siblings, mime, options)
+          : (this.computeExamples(unionSchape, mime, options) || [])[0];
+        if (data) {
+          data.hasTitle = true;
+          data.title = this._computeUnionMemberName(unionSchape, i);
+          result.values[result.values.length] = data;
+        }
+        continue;
+      }
       const dataList = this.computeExamples(unionSchape, mime, opts);
       if (!dataList) {
         continue;
@@ -811,6 +2621,194 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     return result.values.length ? [result] : undefined;
   }
 
+  /**
+   * Generates an example of a `shacl:xone` (`oneOf`) member with a value that
+   * does not match other members. When the value matches a sibling, values
+   * generated with random seeds are tried. A member with a discriminator is
+   * told apart by the discriminator value.
+   * Examples in other media types than JSON are generated with the same
+   * options as the JSON value that was validated.
+   *
+   * @param {Object} shape A member of the `shacl:xone` shape.
+   * @param {Array<Object>} siblings Other members of the shape.
+   * @param {String} mime Examples media type.
+   * @param {ExampleOptions} opts Processing options.
+   * @return {Example|undefined} The example of the member. It is the first
+   * generated example when no exclusive value was found.
+   */
+  _computeExclusiveExample(shape, siblings, mime, opts) {
+    const [first] = this.computeExamples(shape, mime, opts) || [];
+    if (!first || opts.discriminator || this._readDiscriminator(shape)) {
+      return first;
+    }
+    const isJson = mime.indexOf('json') !== -1;
+    const seed = opts.seed === undefined ? '' : String(opts.seed);
+    for (let attempt = 0; attempt <= EXCLUSIVE_VALUE_ATTEMPTS; attempt++) {
+      const options =
+        attempt || (!isJson && opts.random)
+          ? { ...opts, seed: `${seed}:${attempt}`, random: undefined }
+          : opts;
+      const [data] =
+        !attempt && isJson
+          ? [first]
+          : this.computeExamples(shape, 'application/json', options) || [];
+      if (!data) {
+        return first;
+      }
+      const value = exampleData(data);
+      const matches = siblings.some(sibling => {
+        const issues = [];
+        this._validateValue(sibling, value, '', issues);
+        return !issues.length;
+      });
+      if (!matches) {
+        if (options === opts) {
+          return first;
+        }
+        if (isJson) {
+          return data;
+        }
+        const [result] = this.computeExamples(shape, mime, options) || [];
+        return result || first;
+      }
+    }
+    return first;
+  }
+
+  /**
+   * Reads enum values of a scalar member of an union that has no
+   * example or default value. Each value is rendered as a separate
+   * union value.
+   *
+   * @param {Object} shape A member of an union.
+   * @return {Array<string>} Raw values of the enum members. Empty array
+   * when the member is not a scalar with an enum or it has an example.
+   */
+  _readUnionEnumValues(shape) {
+    if (
+      !this._hasType(shape, this.ns.aml.vocabularies.shapes.ScalarShape) ||
+      this._hasProperty(shape, this.ns.w3.shacl.defaultValue) ||
+      this._hasProperty(shape, this.ns.aml.vocabularies.apiContract.examples)
+    ) {
+      return [];
+    }
+    return this._readEnumValues(shape);
+  }
+
+  /**
+   * Generates an example for each combination of members of the unions used
+   * in the properties, including unions nested in the selected members.
+   * Combinations that produce the same value as a previous one are skipped.
+   * The number of examples is limited by the `unionExamplesLimit` option.
+   *
+   * @param {Array<Object>} properties Properties of an object shape.
+   * @param {string} mime Examples media type.
+   * @param {ExampleOptions} opts Processing options.
+   * @param {Object=} schema The object shape of the properties.
+   * @return {Example|undefined} An union example with a value for each
+   * combination, titled with the selected members, or `undefined` when
+   * the properties have no unions.
+   */
+  _computeExpandedUnionExamples(properties, mime, opts, schema) {
+    const limit = opts.unionExamplesLimit || UNION_EXAMPLES_LIMIT;
+    const values = [];
+    let hasUnions = false;
+    const expand = selected => {
+      if (values.length >= limit) {
+        return;
+      }
+      const trace = [];
+      const example = this._exampleFromProperties(
+        properties,
+        mime,
+        opts.typeName,
+        opts.parentName,
+        { ...opts, unionChoices: { selected, trace } },
+        schema
+      );
+      hasUnions = hasUnions || !!trace.length;
+      if (trace.length > selected.length) {
+        const point = trace[selected.length];
+        for (let i = 0, len = point.members.length; i < len; i++) {
+          expand([...selected, i]);
+        }
+        return;
+      }
+      if (!example || values.some(item => item.value === example.value)) {
+        return;
+      }
+      example.hasTitle = true;
+      example.title = trace
+        .map((item, index) => `${item.name}: ${item.members[selected[index]]}`)
+        .join(', ');
+      values[values.length] = example;
+    };
+    expand([]);
+    if (!hasUnions || !values.length) {
+      return undefined;
+    }
+    return {
+      hasRaw: false,
+      hasTitle: false,
+      hasUnion: true,
+      values,
+    };
+  }
+
+  /**
+   * Selects a member of an union when generating examples with
+   * the `expandUnions` option and records the union in the choices trace.
+   *
+   * @param {Array<Object>} members Members of the union.
+   * @param {string} name The name of the property that is an union.
+   * @param {UnionChoices} choices The union choices of the example.
+   * @return {Object} The selected member.
+   */
+  _selectUnionMember(members, name, choices) {
+    const index = choices.trace.length;
+    choices.trace.push({
+      name,
+      members: members.map((item, i) =>
+        this._computeUnionMemberName(
+          this._resolve(Array.isArray(item) ? item[0] : item),
+          i
+        )
+      ),
+    });
+    const member = members[choices.selected[index] || 0];
+    return this._resolve(Array.isArray(member) ? member[0] : member);
+  }
+
+  /**
+   * @param {Object} shape A member of an union.
+   * @param {number} index The index of the member in the union.
+   * @return {string} The title or the type name of the member, the data type
+   * of a scalar, `nil`, `array`, or the position of the member.
+   */
+  _computeUnionMemberName(shape, index) {
+    const title = this._getValue(shape, this.ns.aml.vocabularies.core.name);
+    if (title) {
+      return String(title);
+    }
+    const name = this._getValue(shape, this.ns.w3.shacl.name);
+    if (name && !/^(amf_inline_type|item\d+$)/.test(String(name))) {
+      return String(name);
+    }
+    if (this._hasType(shape, this.ns.aml.vocabularies.shapes.ScalarShape)) {
+      const type = this._readDataType(shape);
+      if (type) {
+        return type;
+      }
+    }
+    if (this._hasType(shape, this.ns.aml.vocabularies.shapes.NilShape)) {
+      return 'nil';
+    }
+    if (this._hasType(shape, this.ns.aml.vocabularies.shapes.ArrayShape)) {
+      return 'array';
+    }
+    return `Union #${index + 1}`;
+  }
+
   /**
    * Computes value from defined `datatype` property.
    * @param {Object} shape A shape with `datatype` property.
@@ -925,13 +2923,19 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * Generates XML example string value from AMF's structured value definition.
    * @param {Object} structure Value of the `structuredValue` property of AMF's example object.
    * @param {ExampleOptions} opts Examples processing options
+   * @param {Object=} schema The shape of the example. Elements get the namespace
+   * and the prefix from the XML serialization of the shape and its properties.
    * @return {String}
    */
-  _xmlFromStructure(structure, opts) {
+  _xmlFromStructure(structure, opts, schema) {
     let typeName = (opts && opts.typeName) || UNKNOWN_TYPE;
     typeName = normalizeXmlTagName(typeName);
-    const doc = document.implementation.createDocument('', typeName, null);
+    const serialization = this._readXmlSerialization(schema);
+    const doc = new XmlDocument(
+      this._computeXmlQualifiedName(typeName, serialization)
+    );
     const main = doc.documentElement;
+    this._declareXmlNamespace(main, serialization);
     const keys = Object.keys(structure);
     const dataPrefix = this._getAmfKey(
       this.ns.aml.vocabularies.data.toString()
@@ -946,10 +2950,15 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         item = item[0];
       }
       const name = dataNameFromKey(key);
-      this._xmlProcessDataProperty(doc, main, item, name);
+      this._xmlProcessDataProperty(
+        doc,
+        main,
+        item,
+        name,
+        this._readXmlPropertyRange(schema, name)
+      );
     }
-    const s = new XMLSerializer();
-    let value = s.serializeToString(doc);
+    let value = serializeXml(doc);
     value = `<?xml version="1.0" encoding="UTF-8"?>${value}`;
     return formatXml(value);
   }
@@ -1030,30 +3039,280 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param {string} mime Media type
    * @param {string=} typeName Name of the RAML type.
    * @param {string=} parentType For XML processing, parent type name in case of Array type.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @param {Object=} schema The object shape of the properties. XML examples use
+   * its XML serialization facets.
    * @return {Example|undefined}
    */
-  _exampleFromProperties(properties, mime, typeName, parentType) {
+  _exampleFromProperties(
+    properties,
+    mime,
+    typeName,
+    parentType,
+    opts = {},
+    schema
+  ) {
     const name = typeName || UNKNOWN_TYPE;
     let result;
     if (mime.indexOf('json') !== -1) {
-      const value = this._jsonExampleFromProperties(properties);
+      const value = this._jsonExampleFromProperties(properties, opts);
       if (value) {
         result = JSON.stringify(value, null, 2);
       }
     } else if (mime.indexOf('xml') !== -1) {
-      result = this._xmlExampleFromProperties(properties, name, parentType);
+      result = this._xmlExampleFromProperties(
+        properties,
+        name,
+        parentType,
+        opts,
+        schema
+      );
       if (result) {
         result = `<?xml version="1.0" encoding="UTF-8"?>${result}`;
         result = formatXml(result);
       }
+    } else if (mime.indexOf('yaml') !== -1) {
+      const value = this._jsonExampleFromProperties(properties, opts);
+      if (value) {
+        result = toYaml(value);
+      }
+    } else if (mime.indexOf('x-www-form-urlencoded') !== -1) {
+      const value = this._jsonExampleFromProperties(properties, opts);
+      if (value) {
+        result = toUrlEncoded(value, {
+          arrayFormat: opts.urlEncodedArrayFormat,
+        });
+      }
+    } else if (mime.indexOf('multipart/form-data') !== -1) {
+      result = this._multipartFromProperties(properties, opts);
+    }
+    if (result) {
+      return {
+        hasRaw: false,
+        hasTitle: false,
+        hasUnion: false,
+        value: result,
+      };
+    }
+    return undefined;
+  }
+
+  /**
+   * Reads OAS 3 encoding definitions of a payload.
+   * @param {Object} payload AMF Payload shape.
+   * @return {Object<String, MultipartEncoding>|undefined} Encoding definitions
+   * keyed by the property name or undefined when the payload has no encoding.
+   */
+  _readPayloadEncoding(payload) {
+    const contract = this.ns.aml.vocabularies.apiContract.key;
+    const key = this._getAmfKey(`${contract}encoding`);
+    const encodings = this._ensureArray(payload[key]);
+    if (!encodings || !encodings.length) {
+      return undefined;
+    }
+    const hKey = this._getAmfKey(this.ns.aml.vocabularies.apiContract.header);
+    const sKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.schema);
+    const result = {};
+    for (let i = 0, len = encodings.length; i < len; i++) {
+      const encoding = encodings[i];
+      const name = /** @type string */ (this._getValue(
+        encoding,
+        `${contract}propertyName`
+      ));
+      if (!name) {
+        continue;
+      }
+      const item = {};
+      const contentType = /** @type string */ (this._getValue(
+        encoding,
+        `${contract}contentType`
+      ));
+      if (contentType) {
+        item.contentType = contentType.split(',')[0].trim();
+      }
+      const headers = this._ensureArray(encoding[hKey]);
+      if (headers && headers.length) {
+        item.headers = {};
+        headers.forEach(header => {
+          const headerName = /** @type string */ (this._getValue(
+            header,
+            this.ns.aml.vocabularies.core.name
+          ));
+          if (!headerName) {
+            return;
+          }
+          let schema = header[sKey];
+          if (Array.isArray(schema)) {
+            schema = schema[0];
+          }
+          let value;
+          if (
+            schema &&
+            this._hasType(schema, this.ns.aml.vocabularies.shapes.ScalarShape)
+          ) {
+            value = this._computeJsonScalarValue(schema);
+          }
+          item.headers[headerName] =
+            value === null || value === undefined ? '' : String(value);
+        });
+      }
+      result[name] = item;
+    }
+    return result;
+  }
+
+  /**
+   * Reads properties of a shape of a `multipart/form-data` example.
+   *
+   * @param {Object=} schema The shape the example belongs to.
+   * @return {Array<Object>|undefined} The properties or undefined when the
+   * shape is not an object with properties.
+   */
+  _readMultipartProperties(schema) {
+    if (!schema || !this._hasType(schema, this.ns.w3.shacl.NodeShape)) {
+      return undefined;
+    }
+    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    const properties = this._ensureArray(schema[pKey]);
+    return properties && properties.length ? properties : undefined;
+  }
+
+  /**
+   * Creates a `multipart/form-data` example from RAML type properties.
+   * Each property is a separate part of the message.
+   *
+   * @param {Array<Object>} properties List of AMF type properties to process.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @param {Object=} data Value of a declared example. When not set the value
+   * is generated from the properties. Values of the example that have no
+   * property are added as parts after the properties.
+   * @return {String}
+   */
+  _multipartFromProperties(properties, opts = {}, data) {
+    const hasData = !!data && typeof data === 'object';
+    const values = hasData
+      ? data
+      : this._jsonExampleFromProperties(properties, opts);
+    const encodings = opts.multipartEncoding || {};
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    const parts = [];
+    const names = [];
+    for (let i = 0, len = properties.length; i < len; i++) {
+      const property = properties[i];
+      const name = /** @type string */ (this._getValue(
+        property,
+        this.ns.w3.shacl.name
+      ));
+      if (!name) {
+        continue;
+      }
+      let range = property[rKey];
+      if (!range) {
+        continue;
+      }
+      if (range instanceof Array) {
+        range = range[0];
+      }
+      names[names.length] = name;
+      if (hasData && !(name in values)) {
+        continue;
+      }
+      const encoding = encodings[name] || {};
+      const fileShape = this._readFileShape(range);
+      if (fileShape) {
+        const value = hasData ? values[name] : undefined;
+        const files = Array.isArray(value) ? value : [value];
+        files.forEach(file => {
+          parts[parts.length] = this._multipartFilePart(
+            name,
+            fileShape,
+            encoding,
+            file
+          );
+        });
+        continue;
+      }
+      appendMultipartParts(parts, name, values[name], encoding);
+    }
+    if (hasData) {
+      Object.keys(values)
+        .filter(name => names.indexOf(name) === -1)
+        .forEach(name => {
+          appendMultipartParts(
+            parts,
+            name,
+            values[name],
+            encodings[name] || {}
+          );
+        });
+    }
+    return toMultipart(parts, opts.multipartBoundary);
+  }
+
+  /**
+   * Creates a form part for a file property.
+   * Without a declared value the body of the part is a placeholder as it is
+   * not possible to generate the content of a file.
+   *
+   * @param {String} name Name of the property
+   * @param {Object} shape The file shape
+   * @param {MultipartEncoding} encoding The encoding definition of the property
+   * @param {any=} value The value of the property in a declared example.
+   * @return {Object} The part definition
+   */
+  _multipartFilePart(name, shape, encoding, value) {
+    let { contentType } = encoding;
+    if (!contentType) {
+      const types = this._getValueArray(
+        shape,
+        this.ns.aml.vocabularies.shapes.fileType
+      );
+      if (types && types.length) {
+        contentType = String(types[0]);
+      }
+    }
+    if (!contentType || contentType.indexOf('*') !== -1) {
+      contentType = 'application/octet-stream';
+    }
+    const ext = FILE_EXTENSIONS[contentType] || 'bin';
+    return {
+      name,
+      value:
+        value === null || value === undefined || value === ''
+          ? FILE_PLACEHOLDER
+          : String(value),
+      filename: `${name}.${ext}`,
+      contentType,
+      headers: encoding.headers,
+    };
+  }
+
+  /**
+   * Reads a shape that describes a file from a property range.
+   * This is the RAML `file` type or OAS' string with the `binary` format.
+   * For an array of files this returns the array items.
+   *
+   * @param {Object} range AMF range of a property
+   * @return {Object|undefined} The file shape or undefined if the range is not a file.
+   */
+  _readFileShape(range) {
+    if (this._hasType(range, this.ns.aml.vocabularies.shapes.ArrayShape)) {
+      const iKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
+      let items = range[iKey];
+      if (Array.isArray(items)) {
+        items = items[0];
+      }
+      return items ? this._readFileShape(this._resolve(items)) : undefined;
     }
-    if (result) {
-      return {
-        hasRaw: false,
-        hasTitle: false,
-        hasUnion: false,
-        value: result,
-      };
+    if (this._hasType(range, this.ns.aml.vocabularies.shapes.FileShape)) {
+      return range;
+    }
+    const format = this._getValue(
+      range,
+      `${this.ns.aml.vocabularies.shapes.key}format`
+    );
+    if (format === 'binary') {
+      return range;
     }
     return undefined;
   }
@@ -1061,14 +3320,19 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
   /**
    * Generates a JSON example from RAML's type properties.
    * @param {Array<Object>} properties List of type properties
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {Object|undefined}
    */
-  _jsonExampleFromProperties(properties) {
+  _jsonExampleFromProperties(properties, opts = {}) {
     const result = {};
     for (let i = 0, len = properties.length; i < len; i++) {
       const property = properties[i];
       const name = this._getValue(property, this.ns.w3.shacl.name);
-      if (!name) {
+      if (!name || this._isHiddenProperty(property, opts)) {
+        continue;
+      }
+      if (opts.discriminator && opts.discriminator.name === name) {
+        result[name] = opts.discriminator.value;
         continue;
       }
       const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
@@ -1079,6 +3343,10 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
       if (range instanceof Array) {
         range = range[0];
       }
+      if (opts.nullValues && this._isNullableShape(range)) {
+        result[name] = null;
+        continue;
+      }
       const eKey = this._getAmfKey(
         this.ns.aml.vocabularies.apiContract.examples
       );
@@ -1102,7 +3370,10 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
           }
         });
       } else {
-        let value = this._computeJsonProperyValue(range);
+        let value = this._computeJsonProperyValue(range, undefined, {
+          ...opts,
+          propertyName: String(name),
+        });
         if (value === undefined) {
           value = '';
         }
@@ -1116,39 +3387,144 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * Computes JSON value from a range shape.
    * @param {Object} range AMF's range model.
    * @param {string=} typeName Optional, type name to use in Union type. By default first NodeShape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {string|number|boolean|null|Array<any>|object|undefined}
    */
-  _computeJsonProperyValue(range, typeName) {
+  _computeJsonProperyValue(range, typeName, opts = {}) {
+    if (this._isRecursionCutOff(range, opts)) {
+      return this._computeCutOffValue(range, opts);
+    }
+    if (this._hasProperty(range, this.ns.w3.shacl.and)) {
+      return this._computeJsonProperyValue(
+        this._computeAndShape(range),
+        typeName,
+        opts
+      );
+    }
     if (this._hasType(range, this.ns.aml.vocabularies.shapes.ScalarShape)) {
-      return this._computeJsonScalarValue(range);
+      return this._computeJsonScalarValue(range, opts);
     }
-    if (this._hasType(range, this.ns.aml.vocabularies.shapes.UnionShape)) {
-      return this._computeJsonUnionValue(range, typeName);
+    if (this._isUnionShape(range)) {
+      const member = this._readNullableMember(range);
+      if (!member) {
+        return this._computeJsonUnionValue(range, typeName, opts);
+      }
+      // a recursive member ends with `null` rather than an empty value
+      return opts.nullValues || this._isRecursionCutOff(member, opts)
+        ? null
+        : this._computeJsonProperyValue(member, typeName, opts);
     }
     if (this._hasType(range, this.ns.w3.shacl.NodeShape)) {
-      return this._computeJsonObjectValue(range);
+      return this._computeJsonObjectValue(range, opts);
     }
     if (this._hasType(range, this.ns.aml.vocabularies.shapes.ArrayShape)) {
-      return this._computeJsonArrayValue(range);
+      return this._computeJsonArrayValue(range, opts);
     }
     if (this._hasType(range, this.ns.aml.vocabularies.shapes.NilShape)) {
       return null;
     }
+    if (this._isNotShape(range)) {
+      return this._computeAllowedValue(range, '', opts);
+    }
     return undefined;
   }
 
+  /**
+   * Tests whether generating a value for a shape should stop. This is the
+   * case of AMF's RecursiveShape, an object or an array shape that is already
+   * being processed, or an object or an array that is nested deeper than
+   * the `maxDepth` option allows.
+   *
+   * @param {Object} shape AMF shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {boolean}
+   */
+  _isRecursionCutOff(shape, opts = {}) {
+    if (!shape) {
+      return false;
+    }
+    if (this._hasType(shape, this.ns.aml.vocabularies.shapes.RecursiveShape)) {
+      return true;
+    }
+    if (
+      !this._hasType(shape, this.ns.w3.shacl.NodeShape) &&
+      !this._hasType(shape, this.ns.aml.vocabularies.shapes.ArrayShape)
+    ) {
+      return false;
+    }
+    const ancestors = opts.ancestors || [];
+    const id = shape['@id'];
+    if (id && ancestors.some(item => item['@id'] === id)) {
+      return true;
+    }
+    return opts.maxDepth !== undefined && ancestors.length >= opts.maxDepth;
+  }
+
+  /**
+   * Computes the value of a shape for which the generation stopped.
+   * A RecursiveShape has the value of the shape it points to, looked up
+   * in the processed shapes and then in the declarations of the API.
+   *
+   * @param {Object} shape AMF shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Object|Array<any>|null} `{}` for an object, `[]` for an array,
+   * and `null` otherwise.
+   */
+  _computeCutOffValue(shape, opts = {}) {
+    let target = shape;
+    if (this._hasType(shape, this.ns.aml.vocabularies.shapes.RecursiveShape)) {
+      const key = this._getAmfKey(
+        `${this.ns.aml.vocabularies.shapes.key}fixPoint`
+      );
+      const fixPoint = this._ensureArray(shape[key]);
+      const id = fixPoint && fixPoint[0] && fixPoint[0]['@id'];
+      target =
+        (opts.ancestors || []).find(item => item['@id'] === id) ||
+        this._getLinkTarget(this.amf, id);
+    }
+    if (target && this._hasType(target, this.ns.w3.shacl.NodeShape)) {
+      return {};
+    }
+    if (
+      target &&
+      this._hasType(target, this.ns.aml.vocabularies.shapes.ArrayShape)
+    ) {
+      return [];
+    }
+    return null;
+  }
+
   /**
    * Computes scalar value for AMF's range and casts it to the corresponding type.
    * When the value is not defined then it creates a default value.
    * This is for the mocking service to work with generated example.
+   * A value excluded by the `not` facet of the range is replaced with
+   * an allowed one, when possible.
    *
    * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string|number|boolean|null} Value casted to the corresponding type
+   */
+  _computeJsonScalarValue(range, opts = {}) {
+    const value = this._readJsonScalarValue(range, opts);
+    if (!this._hasProperty(range, this.ns.w3.shacl.not)) {
+      return value;
+    }
+    return this._computeAllowedValue(range, value, opts);
+  }
+
+  /**
+   * Reads a JSON value of a scalar shape. It is the default value, the example,
+   * the enum member, or a generated value, in this order.
+   *
+   * @param {Object} range AMF's range definition for a scalar shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {string|number|boolean|null} Value casted to the corresponding type
    */
-  _computeJsonScalarValue(range) {
-    const value = this._getTypeScalarValue(range);
+  _readJsonScalarValue(range, opts = {}) {
+    const value = this._getTypeScalarValue(range, opts);
     if (!value) {
-      return this._computeDefaultRangleValue(range);
+      return this._computeDefaultRangleValue(range, opts);
     }
     const dtKey = this._getAmfKey(this.ns.w3.shacl.datatype);
     let dt = range[dtKey];
@@ -1161,6 +3537,93 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     return this._typeToValue(value, dt['@id']);
   }
 
+  /**
+   * Tests whether a shape without a data type has the `not` facet.
+   *
+   * @param {Object} shape AMF shape.
+   * @return {boolean}
+   */
+  _isNotShape(shape) {
+    const { shapes } = this.ns.aml.vocabularies;
+    return (
+      this._hasProperty(shape, this.ns.w3.shacl.not) &&
+      ![
+        shapes.ScalarShape,
+        shapes.ArrayShape,
+        shapes.NilShape,
+        this.ns.w3.shacl.NodeShape,
+      ].some(type => this._hasType(shape, type))
+    );
+  }
+
+  /**
+   * Tests whether a value matches one of the `not` shapes of a shape.
+   * A `not` shape with an `enum` excludes the members of the enum.
+   *
+   * @param {Object} shape AMF shape with the `not` facet.
+   * @param {any} value The value to test.
+   * @return {boolean}
+   */
+  _isExcludedValue(shape, value) {
+    const key = this._getAmfKey(this.ns.w3.shacl.not);
+    const excluded = this._ensureArray(shape[key]) || [];
+    return excluded.some(item => {
+      const range = this._resolve(Array.isArray(item) ? item[0] : item);
+      const issues = [];
+      this._validateValue(range, value, '', issues);
+      if (issues.length) {
+        return false;
+      }
+      const values = this._readEnumValues(range);
+      return !values.length || values.indexOf(String(value)) !== -1;
+    });
+  }
+
+  /**
+   * Computes a value that is not excluded by the `not` facet of a shape.
+   * Members of the `enum` facet, random values of the data type, or values
+   * of other types when the shape has no data type are tried, in this order.
+   *
+   * @param {Object} range AMF shape with the `not` facet.
+   * @param {any} value The value computed for the shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {any} The first allowed value or `value` when none is found.
+   */
+  _computeAllowedValue(range, value, opts = {}) {
+    if (!this._isExcludedValue(range, value)) {
+      return value;
+    }
+    const values = this._readEnumValues(range);
+    const isScalar = this._hasType(
+      range,
+      this.ns.aml.vocabularies.shapes.ScalarShape
+    );
+    let count = UNTYPED_VALUES.length;
+    if (values.length) {
+      count = values.length;
+    } else if (isScalar) {
+      count = EXCLUSIVE_VALUE_ATTEMPTS;
+    }
+    const seed = opts.seed === undefined ? '' : String(opts.seed);
+    for (let i = 0; i < count; i++) {
+      let candidate;
+      if (values.length) {
+        candidate = this._readJsonScalarValue(range, { ...opts, enumIndex: i });
+      } else if (isScalar) {
+        candidate = this._computeDefaultRangleValue(range, {
+          ...opts,
+          random: createRandom(`${seed}:${i + 1}`),
+        });
+      } else {
+        candidate = UNTYPED_VALUES[i];
+      }
+      if (!this._isExcludedValue(range, candidate)) {
+        return candidate;
+      }
+    }
+    return value;
+  }
+
   /**
    * Computes default value for given range.
    *
@@ -1169,28 +3632,237 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * even of this alters the `default` value for the API (when one does not
    * exist)
    *
+   * String values respect `pattern`, `minLength` and `maxLength` facets
+   * of the range. Numeric values respect range facets and `multipleOf`.
+   * When the `random` option is set the values are random.
+   * When the `realistic` option is set the value is inferred from the
+   * property name, if possible.
+   *
    * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {string|number|boolean|null} Value casted to the corresponding type
    */
-  _computeDefaultRangleValue(range) {
+  _computeDefaultRangleValue(range, opts = {}) {
+    if (opts.realistic) {
+      const value = this._computeRealisticValue(range, opts);
+      if (value !== undefined) {
+        return value;
+      }
+    }
     const type = this._computeScalarType(range);
     switch (type) {
-      case 'Number':
       case 'Integer':
       case 'Long':
+        return this._computeDefaultNumberValue(range, true, opts);
+      case 'Number':
       case 'Float':
       case 'Double':
-        return 0;
+        return this._computeDefaultNumberValue(range, false, opts);
       case 'Boolean':
-        return false;
+        return opts.random ? opts.random() < 0.5 : false;
       case 'Nil':
       case 'Null':
         return null;
+      default: {
+        const formatted = this._computeFormattedValue(range, opts);
+        if (
+          formatted !== undefined &&
+          !this._getValue(range, this.ns.w3.shacl.pattern)
+        ) {
+          return formatted;
+        }
+        return this._computeDefaultStringValue(range, opts);
+      }
+    }
+  }
+
+  /**
+   * Infers a value of a scalar from the property name, the data type and
+   * the `format` facet, using the built-in rules and the `nameRules` option.
+   * The value is discarded when it does not satisfy the facets of the range,
+   * e.g. `pattern`, `maxLength`, exclusive bounds, or `multipleOf`.
+   *
+   * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string|number|boolean|undefined} The value or `undefined` when
+   * no rule matches the property.
+   */
+  _computeRealisticValue(range, opts = {}) {
+    const name =
+      opts.propertyName ||
+      /** @type string */ (this._getValue(range, this.ns.w3.shacl.name));
+    const type = this._computeScalarType(range);
+    if (!name || !type) {
+      return undefined;
+    }
+    const format = this._getValue(
+      range,
+      `${this.ns.aml.vocabularies.shapes.key}format`
+    );
+    const value = realisticValue(
+      {
+        name,
+        type,
+        format: format ? String(format) : undefined,
+        random: opts.random,
+      },
+      mergeNameRules(opts.nameRules)
+    );
+    if (value === undefined || !this._isValidRealisticValue(range, value)) {
+      return undefined;
+    }
+    return value;
+  }
+
+  /**
+   * @param {Object} range AMF's range definition for a shape.
+   * @param {any} value A value computed by a name rule.
+   * @return {boolean} True when the value satisfies facets of the range.
+   */
+  _isValidRealisticValue(range, value) {
+    const issues = [];
+    this._validateValue(range, value, '', issues);
+    return !issues.length;
+  }
+
+  /**
+   * Generates a value for date and time types (RAML `date-only`, `time-only`,
+   * `datetime-only`, and `datetime`) and for string formats (OAS `uuid`,
+   * `email`, `uri`, `ipv4`, `ipv6`, `byte`, etc).
+   *
+   * The RAML `datetime` value uses RFC 3339 notation unless the `format` facet
+   * is set to `rfc2616`.
+   * When the `random` option is set the date and `uuid` values are random.
+   *
+   * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string|undefined} Generated value or `undefined` when the range
+   * has no supported format.
+   */
+  _computeFormattedValue(range, opts = {}) {
+    const format = this._getValue(
+      range,
+      `${this.ns.aml.vocabularies.shapes.key}format`
+    );
+    const { random } = opts;
+    const date = random ? randomDate(random) : undefined;
+    switch (this._computeScalarType(range)) {
+      case 'Date':
+        return generateFormattedValue('date-only', date);
+      case 'Time':
+        return generateFormattedValue('time-only', date);
+      case 'DateTimeOnly':
+        return generateFormattedValue('datetime-only', date);
+      case 'DateTime':
+        return generateFormattedValue(
+          String(format).toLowerCase() === 'rfc2616' ? 'rfc2616' : 'rfc3339',
+          date
+        );
+      case 'Byte':
+        return generateFormattedValue('byte');
+      case 'String':
+        return format
+          ? generateFormattedValue(String(format), date, random)
+          : undefined;
       default:
-        return '';
+        return undefined;
     }
   }
 
+  /**
+   * Generates a number that satisfies `minimum`, `maximum`,
+   * `exclusiveMinimum`, `exclusiveMaximum` and `multipleOf` facets of the range.
+   *
+   * @param {Object} range AMF's range definition for a shape.
+   * @param {Boolean} integer Whether the data type is an integer.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {number} Generated value. `0` when the range has no facets
+   * and the `random` option is not set.
+   */
+  _computeDefaultNumberValue(range, integer, opts = {}) {
+    return generateNumber(
+      this._readNumberConstraints(range, integer),
+      opts.random
+    );
+  }
+
+  /**
+   * Reads `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+   * `multipleOf` and `format` facets of the range.
+   *
+   * AMF keeps the bounds in `shacl:minInclusive` and `shacl:maxInclusive`.
+   * The `shacl:minExclusive` and `shacl:maxExclusive` properties are either
+   * a flag (OAS 3.0 `exclusiveMinimum: true`) or the exclusive bound itself.
+   *
+   * @param {Object} range AMF's range definition for a shape.
+   * @param {Boolean} integer Whether the data type is an integer.
+   * @return {Object} Number constraints as accepted by `generateNumber()`.
+   */
+  _readNumberConstraints(range, integer) {
+    const shacl = this.ns.w3.shacl;
+    const readNumber = key => {
+      const value = this._getValue(range, key);
+      return value === undefined || value === null ? undefined : Number(value);
+    };
+    const constraints = {
+      minimum: readNumber(shacl.minInclusive),
+      maximum: readNumber(shacl.maxInclusive),
+      multipleOf:
+        readNumber(`${this.ns.aml.vocabularies.shapes.key}multipleOf`) ||
+        readNumber(shacl.multipleOf),
+      exclusiveMinimum: false,
+      exclusiveMaximum: false,
+      integer,
+    };
+    const format = this._getValue(
+      range,
+      `${this.ns.aml.vocabularies.shapes.key}format`
+    );
+    if (format) {
+      constraints.format = String(format);
+    }
+    const minExclusive = this._getValue(range, `${shacl.key}minExclusive`);
+    if (typeof minExclusive === 'boolean' || minExclusive === 'true') {
+      constraints.exclusiveMinimum = String(minExclusive) === 'true';
+    } else if (minExclusive !== undefined && minExclusive !== null) {
+      constraints.minimum = Number(minExclusive);
+      constraints.exclusiveMinimum = true;
+    }
+    const maxExclusive = this._getValue(range, `${shacl.key}maxExclusive`);
+    if (typeof maxExclusive === 'boolean' || maxExclusive === 'true') {
+      constraints.exclusiveMaximum = String(maxExclusive) === 'true';
+    } else if (maxExclusive !== undefined && maxExclusive !== null) {
+      constraints.maximum = Number(maxExclusive);
+      constraints.exclusiveMaximum = true;
+    }
+    return constraints;
+  }
+
+  /**
+   * Generates a string value that satisfies `pattern`, `minLength` and
+   * `maxLength` facets of the range.
+   * When the pattern cannot be processed it generates a value that satisfies
+   * length facets only.
+   *
+   * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string} Generated value. Empty string when the range has no facets
+   * and the `random` option is not set.
+   */
+  _computeDefaultStringValue(range, opts = {}) {
+    const pattern = this._getValue(range, this.ns.w3.shacl.pattern);
+    const minLength = this._getValue(range, this.ns.w3.shacl.minLength);
+    const maxLength = this._getValue(range, this.ns.w3.shacl.maxLength);
+    return generateString(
+      {
+        pattern: pattern ? String(pattern) : undefined,
+        minLength: minLength === undefined ? undefined : Number(minLength),
+        maxLength: maxLength === undefined ? undefined : Number(maxLength),
+      },
+      opts.random
+    );
+  }
+
   /**
    * Casts the value to given data type represented in AMF notation.
    * @param {string} value Value encoded in AMF
@@ -1248,16 +3920,36 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
   /**
    * Computes JSON example from UnionShape
    * @param {Object} range Type definition
-   * @param {String=} typeName Optional, type name to use. By default first NodeShape.
+   * @param {String=} typeName Optional, type name to use. By default first NodeShape,
+   * or a random NodeShape when the `random` option is set.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {Object|undefined}
    */
-  _computeJsonUnionValue(range, typeName) {
-    const key = this._getAmfKey(this.ns.aml.vocabularies.shapes.anyOf);
-    const list = this._ensureArray(range[key]);
+  _computeJsonUnionValue(range, typeName, opts = {}) {
+    let list = this._readUnionMembers(range);
     if (!list) {
       return undefined;
     }
-    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    if (!typeName && opts.unionChoices) {
+      const member = this._selectUnionMember(
+        list,
+        opts.propertyName || '',
+        opts.unionChoices
+      );
+      return this._computeJsonProperyValue(member, undefined, opts);
+    }
+    if (!typeName && opts.random) {
+      const objects = list.filter(item =>
+        this._hasType(
+          Array.isArray(item) ? item[0] : item,
+          this.ns.w3.shacl.NodeShape
+        )
+      );
+      if (objects.length) {
+        list = [randomItem(opts.random, objects)];
+      }
+    }
+    let cutOff = false;
     for (let i = 0, len = list.length; i < len; i++) {
       let item = list[i];
       if (Array.isArray(item)) {
@@ -1270,28 +3962,38 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
           continue;
         }
       }
+      if (this._isRecursionCutOff(item, opts)) {
+        cutOff = true;
+        continue;
+      }
       if (this._hasType(item, this.ns.w3.shacl.NodeShape)) {
         item = this._resolve(item);
-        const data = this._ensureArray(item[pKey]);
+        const data = this._computeShapeProperties(item, opts);
         if (data) {
-          return this._jsonExampleFromProperties(data);
+          return this._jsonExampleFromProperties(data, {
+            ...withAncestor(item, opts),
+            discriminator: this._readDiscriminator(item),
+          });
         }
       }
     }
-    return undefined;
+    return cutOff ? null : undefined;
   }
 
   /**
    * Computes JSON object as an example from a range that is an object.
    *
    * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {Object|undefined} A JavaScript object computed from the properties.
    */
-  _computeJsonObjectValue(range) {
-    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
-    const properties = this._ensureArray(range[pKey]);
+  _computeJsonObjectValue(range, opts = {}) {
+    const properties = this._computeShapeProperties(range, opts);
     if (properties && properties.length) {
-      return this._jsonExampleFromProperties(properties);
+      return this._jsonExampleFromProperties(properties, {
+        ...withAncestor(range, opts),
+        discriminator: this._readDiscriminator(range),
+      });
     }
     return {};
   }
@@ -1300,22 +4002,51 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * Computes JSON object as an example from a range that is an array.
    *
    * @param {Object} range AMF's range definition for a shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {Array<Object>|undefined} A JavaScript array computed from the items.
    */
-  _computeJsonArrayValue(range) {
+  _computeJsonArrayValue(range, opts = {}) {
     const key = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
     const items = this._ensureArray(range[key]);
     if (!items) {
       return undefined;
     }
+    const options = withAncestor(range, opts);
     const result = [];
+    if (items.length === 1) {
+      let item = items[0];
+      if (item instanceof Array) {
+        item = item[0];
+      }
+      this._resolve(item);
+      if (this._isRecursionCutOff(item, options)) {
+        return result;
+      }
+      const count = this._computeArrayItemsCount(range, options);
+      if (
+        this._getValue(
+          range,
+          `${this.ns.aml.vocabularies.shapes.key}uniqueItems`
+        )
+      ) {
+        return this._computeJsonUniqueItems(item, count, options);
+      }
+      for (let i = 0; i < count; i++) {
+        const value = this._computeJsonProperyValue(item, undefined, options);
+        if (value === undefined) {
+          break;
+        }
+        result[result.length] = value;
+      }
+      return result;
+    }
     for (let i = 0, len = items.length; i < len; i++) {
       let item = items[i];
       if (item instanceof Array) {
         item = item[0];
       }
       this._resolve(item);
-      const value = this._computeJsonProperyValue(item);
+      const value = this._computeJsonProperyValue(item, undefined, options);
       if (value !== undefined) {
         result[result.length] = value;
       }
@@ -1323,8 +4054,126 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     return result;
   }
 
+  /**
+   * Computes a list of distinct values for an array with `uniqueItems` facet.
+   * See `_computeUniqueItems()` for how the values are generated.
+   *
+   * @param {Object} item AMF's shape of the array items.
+   * @param {Number} count The number of items to generate.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Array<any>} List of distinct values.
+   */
+  _computeJsonUniqueItems(item, count, opts = {}) {
+    return this._computeUniqueItems(item, count, opts).map(
+      ({ value }) => value
+    );
+  }
+
+  /**
+   * Computes distinct items for an array with `uniqueItems` facet.
+   * Items that have an enum use consecutive enum members. A number that
+   * equals a previous item is increased by `multipleOf` and a boolean is
+   * negated. When the value still does not differ from the previous items
+   * or does not match the facets of the items shape then values generated
+   * with random seeds are tried.
+   * The list is shorter than `count` when no distinct valid value is found.
+   *
+   * @param {Object} item AMF's shape of the array items.
+   * @param {Number} count The number of items to generate.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Array<UniqueItem>} List of distinct items with the options
+   * each value was generated with.
+   */
+  _computeUniqueItems(item, count, opts = {}) {
+    const hasEnum = this._readEnumValues(item).length > 0;
+    const step =
+      Number(
+        this._getValue(item, `${this.ns.aml.vocabularies.shapes.key}multipleOf`)
+      ) || 1;
+    const startIndex = uniqueItemsStartIndex(opts);
+    const seed = opts.seed === undefined ? '' : String(opts.seed);
+    const attempts = hasEnum ? 0 : EXCLUSIVE_VALUE_ATTEMPTS;
+    const result = [];
+    const keys = [];
+    for (let i = 0; i < count && result.length === i; i++) {
+      for (let attempt = 0; attempt <= attempts; attempt++) {
+        const reseed = attempt && !opts.random;
+        let options = opts;
+        if (hasEnum) {
+          options = { ...opts, enumIndex: startIndex + i };
+        } else if (reseed) {
+          const itemSeed = `${seed}:${i}:${attempt}`;
+          options = { ...opts, seed: itemSeed, random: createRandom(itemSeed) };
+        }
+        // The returned options keep an unused random function so other
+        // media types generate the item with the same values.
+        let value = this._computeJsonProperyValue(
+          item,
+          undefined,
+          reseed ? { ...options, random: createRandom(options.seed) } : options
+        );
+        if (value === undefined && !attempt) {
+          return result;
+        }
+        if (
+          !attempt &&
+          !hasEnum &&
+          keys.indexOf(JSON.stringify(value)) !== -1
+        ) {
+          value = uniqueArrayItem(value, i, step);
+        }
+        if (value === undefined || keys.indexOf(JSON.stringify(value)) !== -1) {
+          continue;
+        }
+        const issues = [];
+        if (i) {
+          this._validateValue(item, value, '', issues);
+        }
+        if (!issues.length) {
+          keys.push(JSON.stringify(value));
+          result[result.length] = { value, options };
+          break;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Computes the number of items to generate for an array.
+   * It is the `arrayItemsCount` option (1 by default) adjusted to
+   * the `minItems` and `maxItems` facets of the array.
+   * When the option is not set and the `random` option is set, it is a random
+   * number between `minItems` (at least 1) and `maxItems` (up to 4 items more
+   * than the minimum).
+   *
+   * @param {Object} range AMF's range definition for an array shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Number}
+   */
+  _computeArrayItemsCount(range, opts = {}) {
+    const preferred = Number(opts.arrayItemsCount);
+    let count = Number.isNaN(preferred) ? 1 : Math.max(0, preferred);
+    const min = Number(this._getValue(range, this.ns.w3.shacl.minCount));
+    if (opts.arrayItemsCount === undefined && opts.random) {
+      const low = Math.max(min || 0, 1);
+      count = randomInt(opts.random, low, low + RANDOM_ARRAY_ITEMS);
+    }
+    if (min > count) {
+      count = min;
+    }
+    const max = this._getValue(range, `${this.ns.w3.shacl.key}maxCount`);
+    if (max !== undefined && max !== null && Number(max) < count) {
+      count = Math.max(0, Number(max));
+    }
+    return count;
+  }
+
   /**
    * Reads raw value of the example.
+   * RAML 0.8 examples of named parameters have no raw value. In that case
+   * the value of a scalar structured value is used.
+   *
    * @param {Array<Object>|Object} example AMF's example definition.
    * @return {String|undefined} Raw example value.
    */
@@ -1342,19 +4191,35 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         data = data[0];
       }
     }
-    return /** @type string */ (this._getValue(
+    const raw = /** @type string */ (this._getValue(
       data,
       this.ns.aml.vocabularies.document.raw
     ));
+    if (raw !== undefined || !data) {
+      return raw;
+    }
+    const svKey = this._getAmfKey(
+      this.ns.aml.vocabularies.document.structuredValue
+    );
+    const structure = this._ensureArray(data[svKey]);
+    if (
+      !structure ||
+      !this._hasType(structure[0], this.ns.aml.vocabularies.data.Scalar)
+    ) {
+      return undefined;
+    }
+    const value = this._computeStructuredExampleValue(structure[0]);
+    return value === null ? undefined : String(value);
   }
 
   /**
    * Reads a value from a Range shape for a scalar value.
    *
    * @param {Object} range AMF's range model.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    * @return {string|undefined}
    */
-  _getTypeScalarValue(range) {
+  _getTypeScalarValue(range, opts = {}) {
     const dvKey = this._getAmfKey(this.ns.w3.shacl.defaultValue);
     let dv = range[dvKey];
     if (dv) {
@@ -1371,7 +4236,74 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     if (ex) {
       return this._extractExampleRawValue(ex);
     }
-    return undefined;
+    return this._getEnumValue(range, opts);
+  }
+
+  /**
+   * Reads values of the `enum` facet of a shape.
+   *
+   * @param {Object} range AMF's range model.
+   * @return {Array<string>} Raw values of the enum members. Empty array
+   * when the shape has no enum.
+   */
+  _readEnumValues(range) {
+    const key = this._getAmfKey(this.ns.w3.shacl.in);
+    let list = range[key];
+    if (Array.isArray(list)) {
+      list = list[0];
+    }
+    if (!list) {
+      return [];
+    }
+    let members = [];
+    if (this._hasProperty(list, this.ns.w3.rdfSchema.member)) {
+      const mKey = this._getAmfKey(this.ns.w3.rdfSchema.member);
+      members = this._ensureArray(list[mKey]);
+    } else {
+      const prefix = `${this.ns.w3.rdfSchema.key}_`;
+      for (let i = 1; ; i++) {
+        const item = list[this._getAmfKey(`${prefix}${i}`)];
+        if (!item) {
+          break;
+        }
+        members.push(item);
+      }
+    }
+    const result = [];
+    members.forEach(item => {
+      const member = Array.isArray(item) ? item[0] : item;
+      if (!this._hasType(member, this.ns.aml.vocabularies.data.Scalar)) {
+        return;
+      }
+      const value = this._getValue(member, this.ns.aml.vocabularies.data.value);
+      if (value !== undefined && value !== null) {
+        result.push(String(value));
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Selects a member of the `enum` facet of a shape.
+   * By default it is the first member. Use `enumIndex` option to select other.
+   * When the `enumIndex` option is not set and the `random` option is set
+   * then a random member is selected.
+   *
+   * @param {Object} range AMF's range model.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string|undefined} Raw value of the enum member or `undefined`
+   * when the shape has no enum.
+   */
+  _getEnumValue(range, opts = {}) {
+    const values = this._readEnumValues(range);
+    if (!values.length) {
+      return undefined;
+    }
+    if (opts.enumIndex === undefined && opts.random) {
+      return randomItem(opts.random, values);
+    }
+    const index = Number(opts.enumIndex) || 0;
+    return values[Math.abs(index) % values.length];
   }
 
   /**
@@ -1380,50 +4312,63 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * @param {Array<Object>} properties Properies read from the range object that represents an object
    * @param {String=} typeName Object name in API specification
    * @param {String=} parentType When the XML is an array then the type is the parent type
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @param {Object=} schema The object shape of the properties. The element of
+   * the type gets the namespace and the prefix of its XML serialization.
    * @return {String}
    */
-  _xmlExampleFromProperties(properties, typeName, parentType) {
-    const type = normalizeXmlTagName(typeName);
+  _xmlExampleFromProperties(
+    properties,
+    typeName,
+    parentType,
+    opts = {},
+    schema
+  ) {
+    const serialization = this._readXmlSerialization(schema);
+    const type = this._computeXmlQualifiedName(
+      normalizeXmlTagName(typeName),
+      serialization
+    );
     let parent = parentType;
     if (parent) {
       parent = normalizeXmlTagName(parent);
     }
-    const doc = document.implementation.createDocument(
-      '',
-      parent || type,
-      null
-    );
+    const doc = new XmlDocument(parent || type);
     let main = doc.documentElement;
     if (parent) {
       const element = doc.createElement(type);
       main.appendChild(element);
       main = element;
     }
+    this._declareXmlNamespace(main, serialization);
     for (let i = 0, len = properties.length; i < len; i++) {
-      this._xmlProcessProperty(doc, main, properties[i]);
+      this._xmlProcessProperty(doc, main, properties[i], opts);
     }
-    const s = new XMLSerializer();
-    return s.serializeToString(doc);
+    return serializeXml(doc);
   }
 
   /**
    * Processes an XML property
-   * @param {Document} doc Main document
-   * @param {Element} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} property AMF property
+   * @param {ExampleOptions=} [opts={}] Processing options.
    */
-  _xmlProcessProperty(doc, node, property) {
-    if (!property) {
+  _xmlProcessProperty(doc, node, property, opts = {}) {
+    if (!property || this._isHiddenProperty(property, opts)) {
       return;
     }
     if (this._hasType(property, this.ns.w3.shacl.NodeShape)) {
-      const pKey = this._getAmfKey(this.ns.w3.shacl.property);
-      const properties = this._ensureArray(property[pKey]);
-      if (!properties) {
+      const properties = this._computeShapeProperties(property, opts);
+      if (!properties || this._isRecursionCutOff(property, opts)) {
         return;
       }
+      const options = {
+        ...withAncestor(property, opts),
+        discriminator: this._readDiscriminator(property),
+      };
       for (let i = 0, len = properties.length; i < len; i++) {
-        this._xmlProcessProperty(doc, node, properties[i]);
+        this._xmlProcessProperty(doc, node, properties[i], options);
       }
       return;
     }
@@ -1435,12 +4380,47 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     if (range instanceof Array) {
       range = range[0];
     }
-    const sKey = this._getAmfKey(
-      this.ns.aml.vocabularies.shapes.xmlSerialization
-    );
-    let serialization = range[sKey];
-    if (serialization instanceof Array) {
-      serialization = serialization[0];
+    if (this._hasProperty(range, this.ns.w3.shacl.and)) {
+      range = this._computeAndShape(range);
+    }
+    const member = this._readNullableMember(range);
+    const rendersMember =
+      !!member &&
+      !this._hasProperty(range, this.ns.aml.vocabularies.apiContract.examples);
+    // a nullable shape is rendered with the name of the member that is not nil
+    const nameKey = this._getAmfKey(this.ns.w3.shacl.name);
+    const nameValue =
+      range[nameKey] || (rendersMember && member[nameKey]) || property[nameKey];
+    if (
+      this._hasType(range, this.ns.aml.vocabularies.shapes.NilShape) ||
+      (opts.nullValues && this._isNullableShape(range))
+    ) {
+      const name = this._getXmlNormalizedName({ [nameKey]: nameValue });
+      if (name) {
+        const element = this._createXmlElement(
+          doc,
+          node,
+          name,
+          this._readXmlSerialization(rendersMember ? member : range)
+        );
+        setXmlNil(element);
+      }
+      return;
+    }
+    if (rendersMember) {
+      range = { ...member, [nameKey]: nameValue };
+      if (this._hasProperty(range, this.ns.w3.shacl.and)) {
+        range = this._computeAndShape(range);
+      }
+    }
+    const serialization = this._readXmlSerialization(range);
+    if (
+      opts.discriminator &&
+      opts.discriminator.name ===
+        this._getValue(property, this.ns.w3.shacl.name)
+    ) {
+      this._appendXmlDiscriminator(doc, node, range, serialization, opts);
+      return;
     }
     const eKey = this._getAmfKey(this.ns.aml.vocabularies.apiContract.examples);
     const examples = this._ensureArray(range[eKey]);
@@ -1453,22 +4433,38 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         name = /** @type {string} */ (this._getValue(
           range,
           this.ns.w3.shacl.name
-        ));
+        ) || this._getValue(property, this.ns.w3.shacl.name));
       }
-      this._xmlFromExamples(doc, node, examples[0], name);
+      this._xmlFromExamples(doc, node, examples[0], name, range);
       return;
     }
-    if (this._hasType(range, this.ns.aml.vocabularies.shapes.UnionShape)) {
-      const key = this._getAmfKey(this.ns.aml.vocabularies.shapes.anyOf);
-      const list = this._ensureArray(range[key]);
+    if (this._isRecursionCutOff(range, opts)) {
+      const name = this._getXmlNormalizedName(range);
+      if (name) {
+        this._createXmlElement(doc, node, name, serialization);
+      }
+      return;
+    }
+    if (this._isUnionShape(range)) {
+      const list = this._readUnionMembers(range);
       if (!list) {
         return;
       }
-      const shape = list[0];
+      let shape;
+      if (opts.unionChoices) {
+        shape = this._selectUnionMember(
+          list,
+          String(this._getValue(property, this.ns.w3.shacl.name) || ''),
+          opts.unionChoices
+        );
+      } else {
+        const values = this._filterNilMembers(list);
+        shape = opts.random ? randomItem(opts.random, values) : values[0];
+      }
       if (this._hasType(shape, this.ns.aml.vocabularies.shapes.ScalarShape)) {
-        this._xmlProcessUnionScalarProperty(doc, property, shape);
+        this._xmlProcessUnionScalarProperty(doc, node, property, shape, opts);
       } else {
-        this._xmlProcessProperty(doc, node, shape);
+        this._xmlProcessProperty(doc, node, shape, opts);
       }
       return;
     }
@@ -1479,7 +4475,7 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         this.ns.aml.vocabularies.shapes.xmlAttribute
       );
       if (isAtribute) {
-        this._appendXmlAttribute(node, range, serialization);
+        this._appendXmlAttribute(node, range, serialization, property);
         return;
       }
       isWrapped = /** @type {boolean} */ (this._getValue(
@@ -1488,14 +4484,14 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
       ));
     }
     if (this._hasType(range, this.ns.w3.shacl.NodeShape)) {
-      this._appendXmlElements(doc, node, range);
+      this._appendXmlElements(doc, node, range, opts);
       return;
     }
     if (this._hasType(range, this.ns.aml.vocabularies.shapes.ArrayShape)) {
-      this._appendXmlArray(doc, node, range, isWrapped);
+      this._appendXmlArray(doc, node, range, isWrapped, opts);
       return;
     }
-    this._appendXmlElement(doc, node, range);
+    this._appendXmlElement(doc, node, range, opts);
   }
 
   /**
@@ -1503,12 +4499,14 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
    * property. This way it does not generate example values from type values
    * but uses object's example.
    *
-   * @param {Document} doc XML document
-   * @param {Element} node A node to which append values
+   * @param {XmlDocument} doc XML document
+   * @param {XmlElement} node A node to which append values
    * @param {Object} example AMF's example definition.
    * @param {String} propertyName Name of the property being processed
+   * @param {Object=} range AMF range of the property. Its XML serialization
+   * sets the namespace and the prefix of the elements.
    */
-  _xmlFromExamples(doc, node, example, propertyName) {
+  _xmlFromExamples(doc, node, example, propertyName, range) {
     const sKey = this._getAmfKey(
       this.ns.aml.vocabularies.document.structuredValue
     );
@@ -1519,7 +4517,7 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     if (!structure) {
       return;
     }
-    this._xmlProcessDataProperty(doc, node, structure, propertyName);
+    this._xmlProcessDataProperty(doc, node, structure, propertyName, range);
   }
 
   /**
@@ -1541,47 +4539,117 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
   }
 
   /**
-   * Appends an attribute to the node from AMF property
-   * @param {Element} node Current node
+   * Appends an attribute to the node from AMF property.
+   * The name of the attribute is the XML name, the name of the property,
+   * or the name of the range, in this order. A prefixed attribute declares
+   * its namespace on the node.
+   *
+   * @param {XmlElement} node Current node
    * @param {Object} range AMF range
    * @param {Object} serialization Serialization info
+   * @param {Object=} property AMF property shape
    */
-  _appendXmlAttribute(node, range, serialization) {
-    let name = /** @type {string} */ (this._getValue(
+  _appendXmlAttribute(node, range, serialization, property) {
+    const name = /** @type {string} */ (this._getValue(
       serialization,
       this.ns.aml.vocabularies.shapes.xmlName
-    ));
-    if (!name) {
-      name = /** @type {string} */ (this._getValue(
-        range,
-        this.ns.w3.shacl.name
-      ));
-    }
+    ) ||
+      (property && this._getValue(property, this.ns.w3.shacl.name)) ||
+      this._getValue(range, this.ns.w3.shacl.name));
     if (!name) {
       return;
     }
-    if (name.indexOf('?') !== -1) {
-      name = name.replace('?', '');
-    }
     let value = this._readDataType(range);
     if (!value) {
       value = '';
     }
-    node.setAttribute(name, value);
+    this._setXmlAttribute(node, name, value, serialization);
+  }
+
+  /**
+   * Appends the discriminator property to the node, as an attribute when
+   * the property is serialized as an XML attribute.
+   *
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
+   * @param {Object} range AMF range of the discriminator property
+   * @param {Object|undefined} serialization Serialization info
+   * @param {ExampleOptions} opts Processing options with the `discriminator`.
+   */
+  _appendXmlDiscriminator(doc, node, range, serialization, opts) {
+    const name =
+      /** @type {string} */ (this._getValue(
+        serialization,
+        this.ns.aml.vocabularies.shapes.xmlName
+      )) || opts.discriminator.name;
+    if (
+      this._getValue(
+        serialization,
+        this.ns.aml.vocabularies.shapes.xmlAttribute
+      )
+    ) {
+      this._setXmlAttribute(
+        node,
+        name,
+        opts.discriminator.value,
+        serialization
+      );
+      return;
+    }
+    const element = this._createXmlElement(
+      doc,
+      node,
+      normalizeXmlTagName(name),
+      serialization
+    );
+    element.appendChild(doc.createTextNode(opts.discriminator.value));
   }
 
   /**
    * Appends an element to the node tree from a type
-   * @param {Document} doc Main document
-   * @param {Element} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} range AMF range
-   * @return {Element|null} Newly created element
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {XmlElement|null} Newly created element
    */
-  _appendXmlElement(doc, node, range) {
+  _appendXmlElement(doc, node, range, opts = {}) {
     const name = this._getXmlNormalizedName(range);
     if (!name) {
       return null;
     }
+    const nodeValue = this._readXmlElementValue(range, opts);
+    const element = this._createXmlElement(
+      doc,
+      node,
+      name,
+      this._readXmlSerialization(range)
+    );
+    if (nodeValue) {
+      const vn = doc.createTextNode(nodeValue);
+      element.appendChild(vn);
+    }
+    return element;
+  }
+
+  /**
+   * Reads a text value of an XML element generated for a shape.
+   * It is the default value, the example, the enum member, the value inferred
+   * from the name (with the `realistic` option), or a value generated for
+   * the format and facets of the shape, in this order.
+   *
+   * @param {Object} range AMF range
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string} The value of the element. A space when the value
+   * cannot be computed.
+   */
+  _readXmlElementValue(range, opts = {}) {
+    if (this._hasProperty(range, this.ns.w3.shacl.not)) {
+      const value = this._computeJsonProperyValue(range, undefined, opts);
+      if (value !== undefined && value !== null && value !== '') {
+        return String(value);
+      }
+    }
     let nodeValue = this._getValue(range, this.ns.w3.shacl.defaultValueStr);
     if (!nodeValue) {
       const eKey = this._getAmfKey(
@@ -1592,36 +4660,83 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         nodeValue = this._extractExampleRawValue(example);
       }
     }
+    if (!nodeValue) {
+      nodeValue = this._getEnumValue(range, opts);
+    }
+    if (!nodeValue && opts.realistic) {
+      nodeValue = this._computeRealisticValue(range, opts);
+    }
+    if (!nodeValue) {
+      nodeValue = this._computeXmlScalarValue(range, opts);
+    }
     if (!nodeValue) {
       nodeValue = ' ';
       // Do not add default type name as users do not like this.
       // Mocking service would mark is as an error.
       // this._readDataType(range);
     }
-    const element = doc.createElement(name);
-    if (nodeValue) {
-      const vn = doc.createTextNode(String(nodeValue));
-      element.appendChild(vn);
+    return String(nodeValue);
+  }
+
+  /**
+   * Generates a text value of an XML element for a scalar shape the same way
+   * a JSON value is generated, so it satisfies the format, `pattern`,
+   * `minLength` and `maxLength` facets of a string and the range facets and
+   * `multipleOf` of a number. A number without these facets is generated
+   * only with the `random` option.
+   *
+   * @param {Object} range AMF range
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {string|undefined} Generated value or `undefined` when the shape
+   * is not a string or number shape or the value is empty.
+   */
+  _computeXmlScalarValue(range, opts = {}) {
+    if (!this._hasType(range, this.ns.aml.vocabularies.shapes.ScalarShape)) {
+      return undefined;
     }
-    node.appendChild(element);
-    return element;
+    const type = this._computeScalarType(range);
+    if (NUMBER_TYPES.indexOf(type) !== -1) {
+      const { minimum, maximum, multipleOf } = this._readNumberConstraints(
+        range,
+        false
+      );
+      if (
+        !opts.random &&
+        minimum === undefined &&
+        maximum === undefined &&
+        !multipleOf
+      ) {
+        return undefined;
+      }
+    } else if (NON_STRING_TYPES.indexOf(type) !== -1) {
+      return undefined;
+    }
+    const value = this._computeDefaultRangleValue(range, opts);
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    return String(value);
   }
 
   /**
    * Appends a list of elements to the node tree from a type
-   * @param {Document} doc Main document
-   * @param {Element} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} range AMF range
+   * @param {ExampleOptions=} [opts={}] Processing options.
    */
-  _appendXmlElements(doc, node, range) {
-    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
-    const properties = this._ensureArray(range[pKey]);
-    const element = this._appendXmlElement(doc, node, range);
+  _appendXmlElements(doc, node, range, opts = {}) {
+    const properties = this._computeShapeProperties(range, opts);
+    const element = this._appendXmlElement(doc, node, range, opts);
     if (!properties) {
       return;
     }
+    const options = {
+      ...withAncestor(range, opts),
+      discriminator: this._readDiscriminator(range),
+    };
     for (let i = 0, len = properties.length; i < len; i++) {
-      this._xmlProcessProperty(doc, element, properties[i]);
+      this._xmlProcessProperty(doc, element, properties[i], options);
     }
   }
 
@@ -1641,17 +4756,167 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     return null;
   }
 
+  /**
+   * Reads the XML serialization facets of a shape.
+   * @param {Object=} shape AMF shape
+   * @return {Object|undefined} The serialization node or undefined when the
+   * shape does not define XML facets.
+   */
+  _readXmlSerialization(shape) {
+    if (!shape) {
+      return undefined;
+    }
+    const key = this._getAmfKey(
+      this.ns.aml.vocabularies.shapes.xmlSerialization
+    );
+    let serialization = shape[key];
+    if (serialization instanceof Array) {
+      [serialization] = serialization;
+    }
+    return serialization;
+  }
+
+  /**
+   * Adds the prefix of the XML serialization to an element or attribute name.
+   * @param {String} name Element or attribute name
+   * @param {Object=} serialization Serialization info
+   * @return {String} The name with the prefix, if any.
+   */
+  _computeXmlQualifiedName(name, serialization) {
+    const prefix = this._getValue(
+      serialization,
+      `${this.ns.aml.vocabularies.shapes.key}xmlPrefix`
+    );
+    if (!name || !prefix) {
+      return name;
+    }
+    return `${prefix}:${name}`;
+  }
+
+  /**
+   * Declares the namespace of the XML serialization on an element.
+   * It is the default namespace when the serialization has no prefix.
+   *
+   * @param {XmlElement} element The element using the namespace
+   * @param {Object=} serialization Serialization info
+   */
+  _declareXmlNamespace(element, serialization) {
+    const { key } = this.ns.aml.vocabularies.shapes;
+    const namespace = this._getValue(serialization, `${key}xmlNamespace`);
+    if (!element || !namespace) {
+      return;
+    }
+    const prefix = this._getValue(serialization, `${key}xmlPrefix`);
+    declareXmlNamespace(
+      element,
+      String(namespace),
+      prefix ? String(prefix) : undefined
+    );
+  }
+
+  /**
+   * Creates an element named with the prefix of the XML serialization,
+   * appends it to the node, and declares the namespace of the serialization.
+   *
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
+   * @param {String} name Normalized name of the element
+   * @param {Object=} serialization Serialization info
+   * @return {XmlElement} Newly created element
+   */
+  _createXmlElement(doc, node, name, serialization) {
+    const element = doc.createElement(
+      this._computeXmlQualifiedName(name, serialization)
+    );
+    node.appendChild(element);
+    this._declareXmlNamespace(element, serialization);
+    return element;
+  }
+
+  /**
+   * Sets an attribute named with the prefix of the XML serialization.
+   * Attributes without a prefix are in no namespace so the namespace is
+   * declared only for a prefixed attribute.
+   *
+   * @param {XmlElement} node Current node
+   * @param {String} name Name of the attribute
+   * @param {String} value Value of the attribute
+   * @param {Object=} serialization Serialization info
+   */
+  _setXmlAttribute(node, name, value, serialization) {
+    const qualified = this._computeXmlQualifiedName(name, serialization);
+    node.setAttribute(qualified, value);
+    if (qualified !== name) {
+      this._declareXmlNamespace(node, serialization);
+    }
+  }
+
+  /**
+   * Finds the range of an object shape property to serialize an example value
+   * of the property.
+   *
+   * @param {Object|undefined} shape AMF object shape
+   * @param {String} name Name of the property
+   * @return {Object|undefined} Resolved range of the property or undefined
+   * when the shape has no such property.
+   */
+  _readXmlPropertyRange(shape, name) {
+    if (!shape) {
+      return undefined;
+    }
+    let resolved = this._resolve(shape);
+    if (this._hasProperty(resolved, this.ns.w3.shacl.and)) {
+      resolved = this._computeAndShape(resolved);
+    }
+    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    const properties = this._ensureArray(resolved[pKey]) || [];
+    for (let i = 0, len = properties.length; i < len; i++) {
+      let property = properties[i];
+      if (property instanceof Array) {
+        [property] = property;
+      }
+      if (this._getValue(property, this.ns.w3.shacl.name) !== name) {
+        continue;
+      }
+      const range = this._ensureArray(property[rKey]);
+      return range ? this._resolve(range[0]) : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Reads the resolved items shape of an array shape.
+   * @param {Object=} shape AMF array shape
+   * @return {Object|undefined} The items shape or undefined when the shape
+   * has no items.
+   */
+  _readXmlItemsShape(shape) {
+    if (!shape) {
+      return undefined;
+    }
+    const key = this._getAmfKey(this.ns.aml.vocabularies.shapes.items);
+    const items = this._ensureArray(this._resolve(shape)[key]);
+    if (!items || !items.length) {
+      return undefined;
+    }
+    const [item] = items;
+    return this._resolve(item instanceof Array ? item[0] : item);
+  }
+
   /**
    * Adds elements to the node which are an array.
+   * The items are repeated the number of times computed by `_computeArrayItemsCount()`.
    *
-   * @param {Document} doc Main document
-   * @param {Element} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} range AMF range
    * @param {Boolean} isWrapped Whether RAML's `wrapped` property is set.
+   * @param {ExampleOptions=} [opts={}] Processing options.
    */
-  _appendXmlArray(doc, node, range, isWrapped) {
+  _appendXmlArray(doc, node, range, isWrapped, opts = {}) {
     let processNode = node;
-    const element = this._appendXmlElement(doc, processNode, range);
+    const element = this._appendXmlElement(doc, processNode, range, opts);
     processNode.appendChild(element);
     processNode = element;
 
@@ -1660,64 +4925,141 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     if (!properties) {
       return;
     }
-    for (let i = 0, len = properties.length; i < len; i++) {
-      const prop = properties[i];
-      if (isWrapped) {
-        const name = this._getXmlNormalizedName(prop);
-        if (!name) {
+    const itemsOptions = withAncestor(range, opts);
+    let count =
+      properties.length === 1 ? this._computeArrayItemsCount(range, opts) : 1;
+    let uniqueItems;
+    if (
+      properties.length === 1 &&
+      this._getValue(range, `${this.ns.aml.vocabularies.shapes.key}uniqueItems`)
+    ) {
+      const [item] = properties;
+      uniqueItems = this._computeUniqueItems(
+        this._resolve(Array.isArray(item) ? item[0] : item),
+        count,
+        itemsOptions
+      );
+      count = uniqueItems.length;
+    }
+    for (let n = 0; n < count; n++) {
+      const options = uniqueItems ? uniqueItems[n].options : itemsOptions;
+      for (let i = 0, len = properties.length; i < len; i++) {
+        let prop = properties[i];
+        if (prop instanceof Array) {
+          prop = prop[0];
+        }
+        if (this._hasType(prop, this.ns.aml.vocabularies.shapes.ScalarShape)) {
+          const itemName =
+            this._getXmlNormalizedName(prop) ||
+            xmlArrayItemName(processNode.nodeName);
+          const itemElement = this._createXmlElement(
+            doc,
+            processNode,
+            itemName,
+            this._readXmlSerialization(prop)
+          );
+          let value;
+          if (uniqueItems) {
+            const item = uniqueItems[n].value;
+            value = item === null || item === undefined ? '' : String(item);
+          } else {
+            value = this._readXmlElementValue(prop, {
+              ...options,
+              propertyName: itemName,
+            });
+          }
+          itemElement.appendChild(doc.createTextNode(value));
           continue;
         }
-        const propElement = doc.createElement(name);
-        processNode.appendChild(propElement);
-        processNode = propElement;
+        let itemNode = processNode;
+        if (isWrapped) {
+          const name = this._getXmlNormalizedName(prop);
+          if (!name) {
+            continue;
+          }
+          itemNode = this._createXmlElement(
+            doc,
+            processNode,
+            name,
+            this._readXmlSerialization(prop)
+          );
+        }
+        this._xmlProcessProperty(doc, itemNode, prop, options);
       }
-      this._xmlProcessProperty(doc, processNode, properties[i]);
     }
   }
 
   /**
    * Processes scalara property that is an union in an XML example.
-   * @param {Document} doc Main document
+   * The element has the value of the selected member. When the value is
+   * empty it is the JSON value of the member so examples of members
+   * differ, e.g. `0` for an integer member.
+   *
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} property A property to process
    * @param {Object} shape AMF shape of a property in the union
+   * @param {ExampleOptions=} [opts={}] Processing options.
    */
-  _xmlProcessUnionScalarProperty(doc, property, shape) {
+  _xmlProcessUnionScalarProperty(doc, node, property, shape, opts = {}) {
     const name = this._getXmlNormalizedName(property) || 'unknown';
-    const type = this._readDataType(shape);
-    const element = doc.createElement(name);
-    element.appendChild(doc.createTextNode(type));
+    let value = this._readXmlElementValue(shape, opts);
+    if (!value.trim()) {
+      const member = this._computeJsonProperyValue(shape, undefined, opts);
+      if (member !== undefined && member !== null) {
+        value = String(member);
+      }
+    }
+    const element = this._createXmlElement(
+      doc,
+      node,
+      name,
+      this._readXmlSerialization(shape)
+    );
+    element.appendChild(doc.createTextNode(value));
   }
 
   /**
    * Processes XML property from a data shape.
-   * @param {Document} doc Main document
-   * @param {Node} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} property AMF property
    * @param {string} name Current property name
+   * @param {Object=} shape The shape of the value. The element gets the
+   * namespace and the prefix of its XML serialization.
    */
-  _xmlProcessDataProperty(doc, node, property, name) {
+  _xmlProcessDataProperty(doc, node, property, name, shape) {
     if (!property || !name) {
       return;
     }
+    const { data } = this.ns.aml.vocabularies;
+    const isScalar = this._hasType(property, data.Scalar);
+    const isArray = this._hasType(property, data.Array);
+    const isObject = this._hasType(property, data.Object);
+    if (!isScalar && !isArray && !isObject && property['@value']) {
+      const vn = doc.createTextNode(property['@value']);
+      node.appendChild(vn);
+      // Skips adding new element
+      return;
+    }
     const tagName = normalizeXmlTagName(name);
-    const element = doc.createElement(tagName);
-    if (this._hasType(property, this.ns.aml.vocabularies.data.Scalar)) {
+    const element = this._createXmlElement(
+      doc,
+      node,
+      tagName,
+      this._readXmlSerialization(shape)
+    );
+    if (isScalar) {
       const value = this._computeStructuredExampleValue(property);
       if (value !== undefined) {
         const vn = doc.createTextNode(String(value));
         element.appendChild(vn);
       }
-    } else if (this._hasType(property, this.ns.aml.vocabularies.data.Array)) {
-      this._processDataArrayProperties(doc, element, property, tagName);
-    } else if (this._hasType(property, this.ns.aml.vocabularies.data.Object)) {
-      this._processDataObjectProperties(doc, element, property);
-    } else if (property['@value']) {
-      const vn = doc.createTextNode(property['@value']);
-      node.appendChild(vn);
-      // Skips adding new element
-      return;
+    } else if (isArray) {
+      this._processDataArrayProperties(doc, element, property, tagName, shape);
+    } else if (isObject) {
+      this._processDataObjectProperties(doc, element, property, shape);
     }
-    node.appendChild(element);
   }
 
   /**
@@ -1767,8 +5109,10 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     if (this._hasType(model, this.ns.aml.vocabularies.data.Scalar)) {
       const key = this._getAmfKey(this.ns.aml.vocabularies.data.value);
       const mValue = this._ensureArray(model[key])[0];
-      const value = mValue['@value'];
-      let type = mValue['@type'];
+      // flattened models have plain values and the type in `shacl:datatype`
+      const isNode = !!mValue && typeof mValue === 'object';
+      const value = isNode ? mValue['@value'] : mValue;
+      let type = isNode ? mValue['@type'] : undefined;
       if (!type) {
         const dtKey = this._getAmfKey(this.ns.w3.shacl.datatype);
         type = this._ensureArray(model[dtKey]);
@@ -1795,12 +5139,13 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
   /**
    * Adds to the node an XML element which is an array item.
    *
-   * @param {Document} doc Main document
-   * @param {Element} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} property Array item
    * @param {String} name Array property name. Must be already normalized.
+   * @param {Object=} shape The array shape of the property.
    */
-  _processDataArrayProperties(doc, node, property, name) {
+  _processDataArrayProperties(doc, node, property, name, shape) {
     let childName;
     if (name.endsWith('s')) {
       childName = name.substr(0, name.length - 1);
@@ -1809,23 +5154,25 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     }
     const key = this._getAmfKey(this.ns.w3.rdfSchema.member);
     const items = this._ensureArray(property[key]);
+    const itemsShape = this._readXmlItemsShape(shape);
     for (let i = 0, len = items.length; i < len; i++) {
       let item = items[i];
       if (item instanceof Array) {
         item = item[0];
       }
-      this._xmlProcessDataProperty(doc, node, item, childName);
+      this._xmlProcessDataProperty(doc, node, item, childName, itemsShape);
     }
   }
 
   /**
    * Adds to the node an XML element which is an object property.
    *
-   * @param {Document} doc Main document
-   * @param {Element} node Current node
+   * @param {XmlDocument} doc Main document
+   * @param {XmlElement} node Current node
    * @param {Object} property Array item
+   * @param {Object=} shape The object shape of the property.
    */
-  _processDataObjectProperties(doc, node, property) {
+  _processDataObjectProperties(doc, node, property, shape) {
     const resolvedPrefix = this._getAmfKey(
       this.ns.aml.vocabularies.data.toString()
     );
@@ -1838,7 +5185,13 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
         item = item[0];
       }
       const name = dataNameFromKey(key);
-      this._xmlProcessDataProperty(doc, node, item, name);
+      this._xmlProcessDataProperty(
+        doc,
+        node,
+        item,
+        name,
+        this._readXmlPropertyRange(shape, name)
+      );
     });
   }
 
@@ -1868,4 +5221,232 @@ export class ExampleGenerator extends AmfHelperMixin(Object) {
     const roKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.readOnly);
     return this._getValue(node, roKey);
   }
+
+  /**
+   * @param {Object} property AMF property shape.
+   * @return {boolean} True when the range of the property is writeOnly.
+   */
+  _isPropertyWriteOnly(property) {
+    const item = Array.isArray(property) ? property[0] : property;
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    let range = item[rKey];
+    if (Array.isArray(range)) {
+      [range] = range;
+    }
+    if (!range) {
+      return false;
+    }
+    return !!this._getValue(
+      range,
+      `${this.ns.aml.vocabularies.shapes.key}writeOnly`
+    );
+  }
+
+  /**
+   * Tests whether a property is omitted for the `direction` and `profile` options.
+   * Requests omit readOnly properties, unless the `renderReadOnly` option is set,
+   * and responses omit writeOnly properties. The `minimal` profile omits
+   * properties that are not required.
+   *
+   * @param {Object} property AMF property shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {boolean}
+   */
+  _isHiddenProperty(property, opts = {}) {
+    if (
+      opts.profile === 'minimal' &&
+      this._hasType(property, this.ns.w3.shacl.PropertyShape) &&
+      !(Number(this._getValue(property, this.ns.w3.shacl.minCount)) > 0)
+    ) {
+      return true;
+    }
+    if (opts.direction === 'response') {
+      return this._isPropertyWriteOnly(property);
+    }
+    if (opts.direction === 'request' && !opts.renderReadOnly) {
+      return !!this._isPropertyReadOnly(property);
+    }
+    return false;
+  }
+
+  /**
+   * Filters properties of the processed shape for the `direction` and `profile`
+   * options. Without a direction readOnly properties are omitted, unless
+   * the `renderReadOnly` option is set.
+   *
+   * @param {Array<Object>} properties AMF property shapes.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Array<Object>} Properties to render.
+   */
+  _filterHiddenProperties(properties, opts = {}) {
+    const list =
+      opts.direction || opts.renderReadOnly
+        ? properties
+        : this._filterReadOnlyProperties(properties);
+    return list.filter(property => !this._isHiddenProperty(property, opts));
+  }
+
+  /**
+   * Lists properties of an object shape.
+   * Pattern properties are replaced with properties which names match
+   * the pattern. Properties generated by `_computeAdditionalProperties()`
+   * are added with the `maximal` profile or when the shape has no properties.
+   *
+   * @param {Object} shape AMF node shape.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Array<Object>|undefined} Property shapes or `undefined` when
+   * the shape has no properties.
+   */
+  _computeShapeProperties(shape, opts = {}) {
+    const pKey = this._getAmfKey(this.ns.w3.shacl.property);
+    const rKey = this._getAmfKey(this.ns.aml.vocabularies.shapes.range);
+    const properties = this._ensureArray(shape[pKey]);
+    const list = properties || [];
+    const names = list
+      .filter(property => !this._isPatternProperty(property))
+      .map(property => String(this._getValue(property, this.ns.w3.shacl.name)));
+    const result = [];
+    list.forEach(property => {
+      if (!this._isPatternProperty(property)) {
+        result.push(property);
+        return;
+      }
+      const pattern = this._getValue(
+        property,
+        `${this.ns.aml.vocabularies.shapes.key}patternName`
+      );
+      const name = patternPropertyName(String(pattern), names, opts.random);
+      if (!name) {
+        return;
+      }
+      names.push(name);
+      let range = property[rKey];
+      if (Array.isArray(range)) {
+        [range] = range;
+      }
+      result.push(this._createPropertyShape(shape, name, this._resolve(range)));
+    });
+    if (opts.profile === 'maximal' || !list.length) {
+      result.push(...this._computeAdditionalProperties(shape, names, opts));
+    }
+    if (!properties && !result.length) {
+      return properties;
+    }
+    return result;
+  }
+
+  /**
+   * @param {Object} property AMF property shape.
+   * @return {boolean} True when the property is a pattern property, e.g.
+   * `/^note\d+$/` in RAML.
+   */
+  _isPatternProperty(property) {
+    const key = `${this.ns.aml.vocabularies.shapes.key}patternName`;
+    return this._getValue(property, key) !== undefined;
+  }
+
+  /**
+   * Creates properties of an object shape generated from
+   * the `additionalProperties` schema of the shape.
+   *
+   * @param {Object} shape AMF node shape.
+   * @param {Array<String>=} [names=[]] Names of properties of the object.
+   * @param {ExampleOptions=} [opts={}] Processing options.
+   * @return {Array<Object>} Property shapes. Empty array when the shape has
+   * no `additionalProperties` schema.
+   */
+  _computeAdditionalProperties(shape, names = [], opts = {}) {
+    const key = `${this.ns.w3.shacl.key}additionalPropertiesSchema`;
+    const schemas = this._ensureArray(shape[this._getAmfKey(key)]);
+    if (!schemas || !schemas.length) {
+      return [];
+    }
+    const name = patternPropertyName(undefined, names, opts.random);
+    const range = this._resolve(
+      Array.isArray(schemas[0]) ? schemas[0][0] : schemas[0]
+    );
+    return [this._createPropertyShape(shape, name, range)];
+  }
+
+  /**
+   * Creates a property shape that is not defined in the API.
+   * The range is a copy of `range` with the name of the property so
+   * XML elements have the name of the property.
+   *
+   * @param {Object} shape AMF node shape the property belongs to.
+   * @param {String} name The name of the property.
+   * @param {Object} range AMF range of the property.
+   * @return {Object} AMF property shape.
+   */
+  _createPropertyShape(shape, name, range) {
+    const nameKey = this._getAmfKey(this.ns.w3.shacl.name);
+    return {
+      '@id': `${shape['@id']}/property/${name}`,
+      '@type': [this._getAmfKey(this.ns.w3.shacl.PropertyShape)],
+      [nameKey]: [{ '@value': name }],
+      [this._getAmfKey(this.ns.aml.vocabularies.shapes.range)]: [
+        { ...range, [nameKey]: [{ '@value': name }] },
+      ],
+    };
+  }
+
+  /**
+   * Finds whether a payload belongs to a request or to a response
+   * of an operation of the API.
+   *
+   * @param {Object} payload AMF Payload shape.
+   * @return {'request'|'response'|undefined} `request`, `response`, or `undefined` when
+   * the payload is not a part of an operation.
+   */
+  _computePayloadDirection(payload) {
+    const id = payload['@id'];
+    if (!id) {
+      return undefined;
+    }
+    return this._computePayloadDirections()[id];
+  }
+
+  /**
+   * Maps ids of payloads of operations of the API to the direction of the
+   * message. The map is computed once per model.
+   *
+   * @return {Record<string, 'request'|'response'>} The direction keyed by the
+   * payload id.
+   */
+  _computePayloadDirections() {
+    if (this.__payloadDirections) {
+      return this.__payloadDirections;
+    }
+    /** @type {Record<string, 'request'|'response'>} */
+    const result = {};
+    this.__payloadDirections = result;
+    const webApi = this._computeWebApi(this.amf);
+    if (!webApi) {
+      return result;
+    }
+    const add = (message, direction) => {
+      (this._computePayload(message) || []).forEach(item => {
+        const id = item['@id'];
+        if (id && !result[id]) {
+          result[id] = direction;
+        }
+      });
+    };
+    const opKey = this._getAmfKey(
+      this.ns.aml.vocabularies.apiContract.supportedOperation
+    );
+    const endpoints = this._computeEndpoints(webApi) || [];
+    endpoints.forEach(endpoint => {
+      const operations = this._ensureArray(endpoint[opKey]) || [];
+      operations.forEach(operation => {
+        const expects = this._computeExpects(operation);
+        if (expects) {
+          add(expects, 'request');
+        }
+        const responses = this._computeReturns(operation) || [];
+        responses.forEach(response => add(response, 'response'));
+      });
+    });
+    return result;
+  }
 }
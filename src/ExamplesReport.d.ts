@@ -0,0 +1,31 @@
+import {CollectedExamples} from './ApiExamplesCollector';
+
+/**
+ * Report formats supported by `renderExamplesReport()`: `json` and `markdown`.
+ */
+export declare const REPORT_FORMATS: string[];
+
+/**
+ * Renders collected examples as a markdown document.
+ */
+export declare function toMarkdownReport(entries: CollectedExamples[]): string;
+
+/**
+ * Renders collected examples as a JSON document.
+ */
+export declare function toJsonReport(entries: CollectedExamples[]): string;
+
+/**
+ * Renders collected examples in a report format.
+ */
+export declare function renderExamplesReport(entries: CollectedExamples[], format: string): string;
+
+/**
+ * Computes the path of the report file for collected examples, relative to
+ * the output directory. The path is built from the endpoint path segments,
+ * the method, `request` or `response/<status code>`, and the media type, e.g.
+ * `people/{id}/get/response/200/application_json.json`.
+ *
+ * @returns The path, with `/` as a separator.
+ */
+export declare function reportFilePath(entry: CollectedExamples, format: string): string;
@@ -0,0 +1,131 @@
+/** @typedef {import('./ApiExamplesCollector.js').CollectedExamples} CollectedExamples */
+
+/**
+ * Report formats supported by `renderExamplesReport()`.
+ */
+export const REPORT_FORMATS = ['json', 'markdown'];
+
+const FENCE = '```';
+
+/**
+ * @param {String} mediaType
+ * @return {String} Markdown code block language for the media type.
+ */
+const codeLanguage = mediaType => {
+  if (/json/.test(mediaType)) {
+    return 'json';
+  }
+  if (/xml/.test(mediaType)) {
+    return 'xml';
+  }
+  if (/yaml/.test(mediaType)) {
+    return 'yaml';
+  }
+  return 'text';
+};
+
+/**
+ * @param {String} value
+ * @return {String} A value safe to use in a directory or a file name.
+ * A name of dots only, like `..`, has the dots replaced so it does not point
+ * to a parent directory.
+ */
+const fileSafeName = value => {
+  const name = value.replace(/[^a-zA-Z0-9._{}-]/g, '_');
+  return /^\.+$/.test(name) ? name.replace(/\./g, '_') : name;
+};
+
+/**
+ * @param {CollectedExamples} entry
+ * @return {String} The heading of the examples in a markdown report.
+ */
+const entryHeading = entry => {
+  const label =
+    entry.kind === 'response' ? `Response ${entry.statusCode}` : 'Request';
+  return `${entry.method.toUpperCase()} ${entry.path} - ${label} - ${
+    entry.mediaType
+  }`;
+};
+
+/**
+ * @param {Object} example An example generated by the `ExampleGenerator`
+ * @param {String} mediaType The media type of the example
+ * @param {String} prefix Markdown heading prefix
+ * @return {Array<String>} Markdown lines of the example.
+ */
+const exampleLines = (example, mediaType, prefix) => {
+  const lines = [];
+  if (example.hasTitle && example.title) {
+    lines.push(`${prefix} ${example.title}`, '');
+  }
+  if (example.hasUnion && Array.isArray(example.values)) {
+    example.values.forEach(item => {
+      lines.push(...exampleLines(item, mediaType, `${prefix}#`));
+    });
+    return lines;
+  }
+  const value = example.value === undefined ? '' : String(example.value);
+  lines.push(`${FENCE}${codeLanguage(mediaType)}`, value, FENCE, '');
+  return lines;
+};
+
+/**
+ * Renders collected examples as a markdown document.
+ *
+ * @param {Array<CollectedExamples>} entries
+ * @return {String}
+ */
+export const toMarkdownReport = entries => {
+  const lines = [];
+  entries.forEach(entry => {
+    lines.push(`## ${entryHeading(entry)}`, '');
+    entry.examples.forEach(example => {
+      lines.push(...exampleLines(example, entry.mediaType, '###'));
+    });
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Renders collected examples as a JSON document.
+ *
+ * @param {Array<CollectedExamples>} entries
+ * @return {String}
+ */
+export const toJsonReport = entries => `${JSON.stringify(entries, null, 2)}\n`;
+
+/**
+ * Renders collected examples in a report format.
+ *
+ * @param {Array<CollectedExamples>} entries
+ * @param {String} format Either `json` or `markdown`.
+ * @return {String}
+ */
+export const renderExamplesReport = (entries, format) =>
+  format === 'markdown' ? toMarkdownReport(entries) : toJsonReport(entries);
+
+/**
+ * Computes the path of the report file for collected examples, relative to
+ * the output directory. The path is built from the endpoint path segments,
+ * the method, `request` or `response/<status code>`, and the media type, e.g.
+ * `people/{id}/get/response/200/application_json.json`.
+ *
+ * @param {CollectedExamples} entry
+ * @param {String} format Either `json` or `markdown`.
+ * @return {String} The path, with `/` as a separator.
+ */
+export const reportFilePath = (entry, format) => {
+  const segments = entry.path.split('/').filter(Boolean).map(fileSafeName);
+  if (!segments.length) {
+    segments.push('_');
+  }
+  segments.push(fileSafeName(entry.method));
+  if (entry.kind === 'response') {
+    segments.push('response', fileSafeName(String(entry.statusCode)));
+  } else {
+    segments.push('request');
+  }
+  const extension = format === 'markdown' ? 'md' : 'json';
+  segments.push(`${fileSafeName(entry.mediaType)}.${extension}`);
+  return segments.join('/');
+};
@@ -0,0 +1,29 @@
+/**
+ * The date used to generate date and time values.
+ * It does not change between calls so generated examples can be compared.
+ */
+import { RandomFunction } from './RandomGenerator';
+
+export declare const EXAMPLE_DATE: Date;
+
+/**
+ * Generates a syntactically valid value for a format.
+ *
+ * @param format RAML date type name (`date-only`, `time-only`,
+ * `datetime-only`), `rfc3339` or `rfc2616` for RAML `datetime`, or an OAS
+ * `format` value (`date`, `date-time`, `uuid`, `email`, `uri`, `ipv4`, `ipv6`,
+ * `byte`, etc).
+ * @param date The date to use for date and time formats.
+ * @param random Random function used to generate random `uuid` values.
+ * @returns Generated value or `undefined` when the format
+ * is not supported.
+ */
+export declare function generateFormattedValue(format: string, date?: Date, random?: RandomFunction): string|undefined;
+
+/**
+ * Selects a random date, with seconds precision, in the year before and after
+ * the `EXAMPLE_DATE`.
+ *
+ * @param random Random function returning a number in `[0, 1)`.
+ */
+export declare function randomDate(random: RandomFunction): Date;
@@ -0,0 +1,133 @@
+import { randomInt } from './RandomGenerator.js';
+
+/**
+ * The date used to generate date and time values.
+ * It does not change between calls so generated examples can be compared.
+ */
+export const EXAMPLE_DATE = new Date(Date.UTC(2020, 0, 15, 10, 30, 0));
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+
+/**
+ * @param {Number} value
+ * @return {String} The value padded to 2 digits.
+ */
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * @param {Date} date
+ * @return {String} RAML `date-only` / OAS `date` value.
+ */
+const dateOnly = date =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+    date.getUTCDate()
+  )}`;
+
+/**
+ * @param {Date} date
+ * @return {String} RAML `time-only` value.
+ */
+const timeOnly = date =>
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(
+    date.getUTCSeconds()
+  )}`;
+
+/**
+ * @param {Date} date
+ * @return {String} RFC 2616 (HTTP date) value.
+ */
+const rfc2616 = date =>
+  `${DAYS[date.getUTCDay()]}, ${pad(date.getUTCDate())} ${
+    MONTHS[date.getUTCMonth()]
+  } ${date.getUTCFullYear()} ${timeOnly(date)} GMT`;
+
+/**
+ * @param {() => number} random Random function
+ * @return {String} Random version 4 UUID value.
+ */
+const randomUuid = random => {
+  const hex = size =>
+    Array.from({ length: size }, () =>
+      randomInt(random, 0, 15).toString(16)
+    ).join('');
+  const variant = randomInt(random, 8, 11).toString(16);
+  return `${hex(8)}-${hex(4)}-4${hex(3)}-${variant}${hex(3)}-${hex(12)}`;
+};
+
+/**
+ * Value generators for supported formats.
+ * Keys are RAML date type names and OAS / JSON schema `format` values.
+ */
+const FORMATS = {
+  'date-only': dateOnly,
+  date: dateOnly,
+  'time-only': timeOnly,
+  time: date => `${timeOnly(date)}Z`,
+  'datetime-only': date => `${dateOnly(date)}T${timeOnly(date)}`,
+  'date-time': date => `${dateOnly(date)}T${timeOnly(date)}Z`,
+  rfc3339: date => `${dateOnly(date)}T${timeOnly(date)}Z`,
+  rfc2616,
+  uuid: (date, random) =>
+    random ? randomUuid(random) : '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  email: () => 'user@example.com',
+  'idn-email': () => 'user@example.com',
+  uri: () => 'https://example.com/path',
+  url: () => 'https://example.com/path',
+  iri: () => 'https://example.com/path',
+  'uri-reference': () => '/path',
+  'iri-reference': () => '/path',
+  hostname: () => 'example.com',
+  'idn-hostname': () => 'example.com',
+  ipv4: () => '192.168.0.1',
+  ipv6: () => '2001:db8::1',
+  byte: () => 'ZXhhbXBsZQ==',
+};
+
+/**
+ * Generates a syntactically valid value for a format.
+ *
+ * @param {String} format RAML date type name (`date-only`, `time-only`,
+ * `datetime-only`), `rfc3339` or `rfc2616` for RAML `datetime`, or an OAS
+ * `format` value (`date`, `date-time`, `uuid`, `email`, `uri`, `ipv4`, `ipv6`,
+ * `byte`, etc).
+ * @param {Date=} [date=EXAMPLE_DATE] The date to use for date and time formats.
+ * @param {(() => number)=} random Random function used to generate random `uuid`
+ * values.
+ * @return {String|undefined} Generated value or `undefined` when the format
+ * is not supported.
+ */
+export const generateFormattedValue = (
+  format,
+  date = EXAMPLE_DATE,
+  random = undefined
+) => {
+  const fn = FORMATS[String(format).toLowerCase()];
+  return fn ? fn(date, random) : undefined;
+};
+
+/**
+ * Selects a random date, with seconds precision, in the year before and after
+ * the `EXAMPLE_DATE`.
+ *
+ * @param {() => number} random Random function returning a number in `[0, 1)`.
+ * @return {Date}
+ */
+export const randomDate = random => {
+  const year = 365 * 24 * 60 * 60;
+  const offset = randomInt(random, -year, year);
+  return new Date(EXAMPLE_DATE.getTime() + offset * 1000);
+};
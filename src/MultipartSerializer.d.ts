@@ -0,0 +1,37 @@
+export declare interface MultipartPart {
+  /**
+   * The name of the form field.
+   */
+  name: string;
+  /**
+   * The body of the part.
+   */
+  value: string;
+  /**
+   * When set the part represents a file.
+   */
+  filename?: string;
+  /**
+   * The value of the `Content-Type` header of the part.
+   */
+  contentType?: string;
+  /**
+   * Additional headers of the part.
+   */
+  headers?: Record<string, string>;
+}
+
+/**
+ * The boundary used when the boundary is not set in the generator options.
+ * It does not change between calls so generated examples can be compared.
+ */
+export declare const DEFAULT_MULTIPART_BOUNDARY: string;
+
+/**
+ * Serializes a list of parts into a `multipart/form-data` body.
+ *
+ * @param parts List of parts to serialize
+ * @param boundary The boundary to use.
+ * @returns The body of the message. Lines are separated with CRLF.
+ */
+export declare function toMultipart(parts: MultipartPart[], boundary?: string): string;
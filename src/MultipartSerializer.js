@@ -0,0 +1,59 @@
+/**
+ * @typedef {Object} MultipartPart
+ * @property {String} name The name of the form field.
+ * @property {String} value The body of the part.
+ * @property {String=} filename When set the part represents a file.
+ * @property {String=} contentType The value of the `Content-Type` header of the part.
+ * @property {Object<String, String>=} headers Additional headers of the part.
+ */
+
+/**
+ * The boundary used when the boundary is not set in the generator options.
+ * It does not change between calls so generated examples can be compared.
+ */
+export const DEFAULT_MULTIPART_BOUNDARY = 'api-example-generator-boundary';
+
+/**
+ * Encodes a value of a `Content-Disposition` parameter as defined
+ * in the HTML specification for `multipart/form-data`.
+ *
+ * @param {string} value The value to encode
+ * @return {string}
+ */
+const encodeDispositionValue = value =>
+  String(value)
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A')
+    .replace(/"/g, '%22');
+
+/**
+ * Serializes a list of parts into a `multipart/form-data` body.
+ *
+ * @param {Array<MultipartPart>} parts List of parts to serialize
+ * @param {string=} [boundary=DEFAULT_MULTIPART_BOUNDARY] The boundary to use.
+ * @return {string} The body of the message. Lines are separated with CRLF.
+ */
+export const toMultipart = (parts, boundary = DEFAULT_MULTIPART_BOUNDARY) => {
+  const lines = [];
+  parts.forEach(part => {
+    lines.push(`--${boundary}`);
+    let disposition = `form-data; name="${encodeDispositionValue(part.name)}"`;
+    if (part.filename !== undefined) {
+      disposition += `; filename="${encodeDispositionValue(part.filename)}"`;
+    }
+    lines.push(`Content-Disposition: ${disposition}`);
+    if (part.contentType) {
+      lines.push(`Content-Type: ${part.contentType}`);
+    }
+    if (part.headers) {
+      Object.keys(part.headers).forEach(name => {
+        lines.push(`${name}: ${part.headers[name]}`);
+      });
+    }
+    lines.push('');
+    lines.push(part.value);
+  });
+  lines.push(`--${boundary}--`);
+  lines.push('');
+  return lines.join('\r\n');
+};
@@ -0,0 +1,51 @@
+import { RandomFunction } from './RandomGenerator';
+
+export declare interface NumberConstraints {
+  /**
+   * The lower bound of the value.
+   */
+  minimum?: number;
+  /**
+   * The upper bound of the value.
+   */
+  maximum?: number;
+  /**
+   * When set the value must be greater than `minimum`.
+   */
+  exclusiveMinimum?: boolean;
+  /**
+   * When set the value must be lower than `maximum`.
+   */
+  exclusiveMaximum?: boolean;
+  /**
+   * The value must be a multiple of this number.
+   */
+  multipleOf?: number;
+  /**
+   * When set the value must be an integer.
+   */
+  integer?: boolean;
+  /**
+   * The format of the number, e.g. `int8`. Random
+   * values are selected from the range of an integer format.
+   */
+  format?: string;
+}
+
+/**
+ * Generates a number that satisfies `minimum`, `maximum`, `exclusiveMinimum`,
+ * `exclusiveMaximum` and `multipleOf` facets of a scalar shape.
+ * The value closest to `0` is selected.
+ *
+ * When the constraints cannot be satisfied (e.g. there is no multiple of
+ * `multipleOf` between the bounds) then the `multipleOf` facet is ignored.
+ *
+ * When the `random` function is set then a random value is selected.
+ * The value closest to `0` is returned when the random value does not satisfy
+ * the constraints.
+ *
+ * @param constraints
+ * @param random Random function returning a number in `[0, 1)`.
+ * @returns Generated value.
+ */
+export declare function generateNumber(constraints?: NumberConstraints, random?: RandomFunction): number;
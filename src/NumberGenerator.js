@@ -0,0 +1,228 @@
+import { randomInt } from './RandomGenerator.js';
+
+/**
+ * @typedef {Object} NumberConstraints
+ * @property {Number=} minimum The lower bound of the value.
+ * @property {Number=} maximum The upper bound of the value.
+ * @property {Boolean=} exclusiveMinimum When set the value must be greater than `minimum`.
+ * @property {Boolean=} exclusiveMaximum When set the value must be lower than `maximum`.
+ * @property {Number=} multipleOf The value must be a multiple of this number.
+ * @property {Boolean=} integer When set the value must be an integer.
+ * @property {String=} format The format of the number, e.g. `int8`. Random
+ * values are selected from the range of an integer format.
+ */
+
+/**
+ * Tolerance used when comparing results of floating point division.
+ */
+const EPSILON = 1e-9;
+
+/**
+ * The size of the range a random value is selected from when the value
+ * has no lower or upper bound.
+ */
+const RANDOM_RANGE = 1000;
+
+/**
+ * The lowest and highest values of integer formats.
+ */
+const FORMAT_LIMITS = {
+  int8: [-128, 127],
+  int16: [-32768, 32767],
+  int32: [-2147483648, 2147483647],
+  int64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  long: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+};
+
+/**
+ * @param {Number} value
+ * @return {Number} The value rounded to an integer when it is very close to one.
+ */
+const snap = value => {
+  const rounded = Math.round(value);
+  return Math.abs(value - rounded) < EPSILON ? rounded : value;
+};
+
+/**
+ * @param {Number} value
+ * @return {Number} Number of decimal places of the value.
+ */
+const decimals = value => {
+  const [base, exponent] = String(value).split('e');
+  const [, fraction = ''] = base.split('.');
+  return Math.max(0, fraction.length - Number(exponent || 0));
+};
+
+/**
+ * @param {Number} value The value to test
+ * @param {NumberConstraints} constraints
+ * @return {Boolean} True when the value is inside the bounds.
+ */
+const inBounds = (value, constraints) => {
+  const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = constraints;
+  if (minimum !== undefined) {
+    if (exclusiveMinimum ? value <= minimum : value < minimum) {
+      return false;
+    }
+  }
+  if (maximum !== undefined) {
+    if (exclusiveMaximum ? value >= maximum : value > maximum) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Computes a value inside the bounds, closest to `0`.
+ *
+ * @param {NumberConstraints} constraints
+ * @return {Number}
+ */
+const fromBounds = constraints => {
+  const {
+    minimum,
+    maximum,
+    exclusiveMinimum,
+    exclusiveMaximum,
+    integer,
+  } = constraints;
+  if (inBounds(0, constraints)) {
+    return 0;
+  }
+  // `0` is either below the lower bound or above the upper bound
+  const belowMinimum =
+    minimum !== undefined && (exclusiveMinimum ? minimum >= 0 : minimum > 0);
+  if (integer) {
+    if (belowMinimum) {
+      return exclusiveMinimum ? Math.floor(minimum) + 1 : Math.ceil(minimum);
+    }
+    return exclusiveMaximum ? Math.ceil(maximum) - 1 : Math.floor(maximum);
+  }
+  if (belowMinimum) {
+    if (!exclusiveMinimum) {
+      return minimum;
+    }
+    return maximum === undefined ? minimum + 1 : (minimum + maximum) / 2;
+  }
+  if (!exclusiveMaximum) {
+    return maximum;
+  }
+  return minimum === undefined ? maximum - 1 : (minimum + maximum) / 2;
+};
+
+/**
+ * Computes a multiple of `multipleOf` inside the bounds, closest to `0`.
+ *
+ * @param {NumberConstraints} constraints
+ * @return {Number|undefined} The value or `undefined` when there is no
+ * such a value in the bounds.
+ */
+const fromMultiple = constraints => {
+  const { minimum, maximum, multipleOf, integer } = constraints;
+  let low =
+    minimum === undefined ? -Infinity : Math.ceil(snap(minimum / multipleOf));
+  let high =
+    maximum === undefined ? Infinity : Math.floor(snap(maximum / multipleOf));
+  if (constraints.exclusiveMinimum && low * multipleOf <= minimum) {
+    low += 1;
+  }
+  if (constraints.exclusiveMaximum && high * multipleOf >= maximum) {
+    high -= 1;
+  }
+  if (low > high) {
+    return undefined;
+  }
+  const factor = Math.min(Math.max(0, low), high);
+  const value = Number((factor * multipleOf).toFixed(decimals(multipleOf)));
+  if (integer && !Number.isInteger(value)) {
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * Computes a random value inside the bounds.
+ * When the value has no bounds it is selected from the `[0, 1000]` range.
+ * The range is limited to the values of an integer format.
+ * Non-integer values are rounded to 2 decimal places.
+ *
+ * @param {NumberConstraints} constraints
+ * @param {() => number} random Random function
+ * @return {Number|undefined} The value or `undefined` when the random value
+ * does not satisfy the constraints.
+ */
+const randomFromBounds = (constraints, random) => {
+  const { minimum, maximum, multipleOf, integer, format } = constraints;
+  let low = minimum;
+  if (low === undefined) {
+    low = maximum !== undefined && maximum < 0 ? maximum - RANDOM_RANGE : 0;
+  }
+  let high = maximum === undefined ? low + RANDOM_RANGE : maximum;
+  const limits = format && FORMAT_LIMITS[format.toLowerCase()];
+  if (limits) {
+    low = Math.max(low, limits[0]);
+    high = Math.min(high, limits[1]);
+  }
+  let value;
+  if (multipleOf > 0) {
+    const from = Math.ceil(snap(low / multipleOf));
+    const to = Math.floor(snap(high / multipleOf));
+    const factor = randomInt(random, from, Math.min(to, from + RANDOM_RANGE));
+    value = Number((factor * multipleOf).toFixed(decimals(multipleOf)));
+  } else if (integer) {
+    value = randomInt(
+      random,
+      constraints.exclusiveMinimum ? Math.floor(low) + 1 : Math.ceil(low),
+      constraints.exclusiveMaximum ? Math.ceil(high) - 1 : Math.floor(high)
+    );
+  } else {
+    value = Math.round((low + random() * (high - low)) * 100) / 100;
+  }
+  if (!inBounds(value, constraints) || (integer && !Number.isInteger(value))) {
+    return undefined;
+  }
+  return value;
+};
+
+/**
+ * Generates a number that satisfies `minimum`, `maximum`, `exclusiveMinimum`,
+ * `exclusiveMaximum` and `multipleOf` facets of a scalar shape.
+ * The value closest to `0` is selected.
+ *
+ * When the constraints cannot be satisfied (e.g. there is no multiple of
+ * `multipleOf` between the bounds) then the `multipleOf` facet is ignored.
+ *
+ * When the `random` function is set then a random value is selected.
+ * The value closest to `0` is returned when the random value does not satisfy
+ * the constraints.
+ *
+ * @param {NumberConstraints=} [constraints={}]
+ * @param {(() => number)=} random Random function returning a number in `[0, 1)`.
+ * @return {Number} Generated value.
+ */
+export const generateNumber = (constraints = {}, random) => {
+  const { minimum, maximum, multipleOf } = constraints;
+  if (
+    minimum !== undefined &&
+    maximum !== undefined &&
+    (minimum > maximum ||
+      (minimum === maximum &&
+        (constraints.exclusiveMinimum || constraints.exclusiveMaximum)))
+  ) {
+    return 0;
+  }
+  if (random) {
+    const value = randomFromBounds(constraints, random);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  if (multipleOf > 0) {
+    const value = fromMultiple(constraints);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return fromBounds(constraints);
+};
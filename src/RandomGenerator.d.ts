@@ -0,0 +1,26 @@
+/**
+ * A function returning a pseudo-random number in the `[0, 1)` range,
+ * like `Math.random()`.
+ */
+export declare type RandomFunction = () => number;
+
+/**
+ * Creates a seeded pseudo-random number generator (Mulberry32).
+ * The same seed always produces the same sequence of numbers, regardless of
+ * the platform.
+ *
+ * @param seed The seed of the generator.
+ */
+export declare function createRandom(seed: number|string): RandomFunction;
+
+/**
+ * Selects a random integer between `min` and `max` (inclusive).
+ */
+export declare function randomInt(random: RandomFunction, min: number, max: number): number;
+
+/**
+ * Selects a random item of a list.
+ *
+ * @returns The item or `undefined` when the list is empty.
+ */
+export declare function randomItem<T>(random: RandomFunction, list: T[]): T|undefined;
@@ -0,0 +1,74 @@
+/* eslint-disable no-bitwise */
+/* eslint-disable no-plusplus */
+
+/**
+ * A function returning a pseudo-random number in the `[0, 1)` range,
+ * like `Math.random()`.
+ * @typedef {() => number} RandomFunction
+ */
+
+/**
+ * Computes a 32-bit hash of a string (FNV-1a) so string seeds can be used.
+ *
+ * @param {String} value
+ * @return {Number}
+ */
+const hashString = value => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (Mulberry32).
+ * The same seed always produces the same sequence of numbers, regardless of
+ * the platform.
+ *
+ * @param {Number|String} seed The seed of the generator.
+ * @return {RandomFunction}
+ */
+export const createRandom = seed => {
+  let state =
+    typeof seed === 'number' && Number.isFinite(seed)
+      ? Math.floor(seed) >>> 0
+      : hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Selects a random integer between `min` and `max` (inclusive).
+ *
+ * @param {RandomFunction} random
+ * @param {Number} min
+ * @param {Number} max
+ * @return {Number}
+ */
+export const randomInt = (random, min, max) => {
+  if (max <= min) {
+    return min;
+  }
+  return min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * Selects a random item of a list.
+ *
+ * @param {RandomFunction} random
+ * @param {Array<any>} list
+ * @return {any} The item or `undefined` when the list is empty.
+ */
+export const randomItem = (random, list) => {
+  if (!list.length) {
+    return undefined;
+  }
+  return list[randomInt(random, 0, list.length - 1)];
+};
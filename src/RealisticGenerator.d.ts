@@ -0,0 +1,77 @@
+export declare interface NameRuleContext {
+  /**
+   * The name of the property.
+   */
+  name: string;
+  /**
+   * The data type of the property, as returned by
+   * `ExampleGenerator._computeScalarType()` (`String`, `Integer`, `Number`,
+   * `Boolean`, `Date`, `DateTime`, etc).
+   */
+  type: string;
+  /**
+   * The value of the `format` facet of the property.
+   */
+  format?: string;
+  /**
+   * Random function, set when the `seed` or the `random` option is set.
+   */
+  random?: () => number;
+}
+
+export declare interface NameRule {
+  /**
+   * The name of the rule. A rule with the name of a built-in rule replaces it.
+   */
+  name: string;
+  /**
+   * The pattern tested against the normalized property name: lower case,
+   * without `_`, `-`, `.` and spaces (`first_name` and `firstName` are both `firstname`).
+   */
+  pattern: RegExp|string;
+  /**
+   * Data types the rule applies to. By default the rule applies to any type.
+   */
+  types?: string[];
+  /**
+   * The value or a function that receives `NameRuleContext` and returns the value.
+   * When the function returns `undefined` then the next matching rule is used.
+   */
+  value: any|((context: NameRuleContext) => any);
+}
+
+/**
+ * Built-in dictionary of realistic values.
+ * The first item of each list is used unless a random function is set.
+ */
+export declare const DICTIONARY: Record<string, string[]>;
+
+/**
+ * Built-in rules, in order of precedence.
+ */
+export declare const DEFAULT_NAME_RULES: NameRule[];
+
+/**
+ * Merges custom rules with the built-in rules.
+ * Custom rules take precedence over built-in rules. A custom rule with the
+ * name of a built-in rule replaces it.
+ *
+ * @param rules Custom rules
+ */
+export declare function mergeNameRules(rules?: NameRule[]): NameRule[];
+
+/**
+ * @returns Lower case name without `_`, `-`, `.`, and spaces.
+ */
+export declare function normalizePropertyName(name: string): string;
+
+/**
+ * Computes a realistic value for a property from its name.
+ * Plural names are also tested in the singular form (without the trailing `s`).
+ *
+ * @param context
+ * @param rules Rules to use.
+ * @returns The value of the first matching rule or `undefined` when
+ * no rule matches the property.
+ */
+export declare function realisticValue(context: NameRuleContext, rules?: NameRule[]): any;
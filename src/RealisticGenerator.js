@@ -0,0 +1,391 @@
+import { randomInt, randomItem } from './RandomGenerator.js';
+import {
+  EXAMPLE_DATE,
+  generateFormattedValue,
+  randomDate,
+} from './FormatGenerator.js';
+
+/**
+ * @typedef {Object} NameRuleContext
+ * @property {String} name The name of the property.
+ * @property {String} type The data type of the property, as returned by
+ * `ExampleGenerator._computeScalarType()` (`String`, `Integer`, `Number`,
+ * `Boolean`, `Date`, `DateTime`, etc).
+ * @property {String=} format The value of the `format` facet of the property.
+ * @property {(() => number)=} random Random function, set when the `seed`
+ * or the `random` option is set.
+ */
+
+/**
+ * @typedef {Object} NameRule
+ * @property {String} name The name of the rule. A rule with the name of
+ * a built-in rule replaces it.
+ * @property {RegExp|String} pattern The pattern tested against the normalized
+ * property name: lower case, without `_`, `-`, `.` and spaces
+ * (`first_name` and `firstName` are both `firstname`).
+ * @property {Array<String>=} types Data types the rule applies to.
+ * By default the rule applies to any type.
+ * @property {any} value The value or a function that receives
+ * `NameRuleContext` and returns the value. When the function returns
+ * `undefined` then the next matching rule is used.
+ */
+
+/**
+ * Built-in dictionary of realistic values.
+ * The first item of each list is used unless a random function is set.
+ */
+export const DICTIONARY = {
+  firstNames: ['Jane', 'John', 'Maria', 'Ahmed', 'Yuki', 'Olivia', 'Lucas'],
+  lastNames: ['Doe', 'Smith', 'Garcia', 'Khan', 'Tanaka', 'Brown', 'Silva'],
+  cities: ['San Francisco', 'London', 'Berlin', 'Tokyo', 'Madrid', 'Toronto'],
+  states: ['California', 'Texas', 'New York', 'Ontario', 'Bavaria'],
+  countries: ['United States', 'United Kingdom', 'Germany', 'Japan', 'Spain'],
+  countryCodes: ['US', 'GB', 'DE', 'JP', 'ES', 'CA'],
+  streets: ['Main Street', 'Market Street', 'High Street', 'Oak Avenue'],
+  companies: ['Acme Corporation', 'Globex', 'Initech', 'Umbrella Inc.'],
+  jobTitles: ['Software Engineer', 'Product Manager', 'Designer', 'Analyst'],
+  currencies: ['USD', 'EUR', 'GBP', 'JPY', 'CAD'],
+  languages: ['en-US', 'en-GB', 'de-DE', 'ja-JP', 'es-ES'],
+  domains: ['example.com', 'example.org', 'example.net'],
+  sentences: [
+    'Lorem ipsum dolor sit amet.',
+    'The quick brown fox jumps over the lazy dog.',
+    'Sample text for this field.',
+  ],
+};
+
+/**
+ * @param {Array<any>} list
+ * @param {NameRuleContext} context
+ * @return {any} The first item of the list or a random one when the
+ * random function is set.
+ */
+const pick = (list, { random }) =>
+  random ? randomItem(random, list) : list[0];
+
+/**
+ * @param {NameRuleContext} context
+ * @param {Number} value The stable value
+ * @param {Number} min The minimum of the random value
+ * @param {Number} max The maximum of the random value
+ * @return {Number}
+ */
+const pickInt = ({ random }, value, min, max) =>
+  random ? randomInt(random, min, max) : value;
+
+/**
+ * @param {NameRuleContext} context
+ * @return {String} Lower case `first.last` value.
+ */
+const personHandle = context =>
+  `${pick(DICTIONARY.firstNames, context)}.${pick(
+    DICTIONARY.lastNames,
+    context
+  )}`.toLowerCase();
+
+/**
+ * @param {Date} date The date to format
+ * @param {NameRuleContext} context
+ * @return {String|Number|undefined} The date formatted for the data type and
+ * the format of the property.
+ */
+const formatDate = (date, { type, format }) => {
+  switch (type) {
+    case 'Date':
+      return generateFormattedValue('date-only', date);
+    case 'Time':
+      return generateFormattedValue('time-only', date);
+    case 'DateTimeOnly':
+      return generateFormattedValue('datetime-only', date);
+    case 'DateTime':
+      return generateFormattedValue(
+        String(format).toLowerCase() === 'rfc2616' ? 'rfc2616' : 'rfc3339',
+        date
+      );
+    case 'Integer':
+    case 'Long':
+      return Math.floor(date.getTime() / 1000);
+    case 'String':
+      return generateFormattedValue(format || 'date-time', date);
+    default:
+      return undefined;
+  }
+};
+
+const DATE_TYPES = [
+  'Date',
+  'Time',
+  'DateTimeOnly',
+  'DateTime',
+  'Integer',
+  'Long',
+  'String',
+];
+const NUMBER_TYPES = ['Integer', 'Long', 'Number', 'Float', 'Double'];
+
+/**
+ * Built-in rules, in order of precedence.
+ * @type {Array<NameRule>}
+ */
+export const DEFAULT_NAME_RULES = [
+  {
+    name: 'email',
+    pattern: /e?mail(address)?$/,
+    types: ['String'],
+    value: context =>
+      `${personHandle(context)}@${pick(DICTIONARY.domains, context)}`,
+  },
+  {
+    name: 'firstName',
+    pattern: /^(first|given|fore)name$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.firstNames, context),
+  },
+  {
+    name: 'lastName',
+    pattern: /^(last|family|sur)name$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.lastNames, context),
+  },
+  {
+    name: 'fullName',
+    pattern: /^(full|display|person|contact)?name$/,
+    types: ['String'],
+    value: context =>
+      `${pick(DICTIONARY.firstNames, context)} ${pick(
+        DICTIONARY.lastNames,
+        context
+      )}`,
+  },
+  {
+    name: 'username',
+    pattern: /^(user|login|nick|screen)name$|^login$/,
+    types: ['String'],
+    value: context => personHandle(context).replace('.', '_'),
+  },
+  {
+    name: 'phone',
+    pattern: /(phone|mobile|fax)(number|no)?$|^(tel|cell)$/,
+    types: ['String'],
+    value: context =>
+      `+1-555-01${String(pickInt(context, 0, 0, 99)).padStart(2, '0')}`,
+  },
+  {
+    name: 'city',
+    pattern: /^(home|billing|shipping|delivery|birth)?(city|town)(name)?$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.cities, context),
+  },
+  {
+    name: 'state',
+    pattern: /^(state|province|region)$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.states, context),
+  },
+  {
+    name: 'countryCode',
+    pattern: /^country(code|iso)$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.countryCodes, context),
+  },
+  {
+    name: 'country',
+    pattern: /country(name)?$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.countries, context),
+  },
+  {
+    name: 'postalCode',
+    pattern: /^(zip|zipcode|postalcode|postcode)$/,
+    types: ['String'],
+    value: context => String(pickInt(context, 94105, 10000, 99999)),
+  },
+  {
+    name: 'street',
+    pattern: /^(street|streetaddress|address|addressline\d?|line\d)$/,
+    types: ['String'],
+    value: context =>
+      `${pickInt(context, 123, 1, 999)} ${pick(DICTIONARY.streets, context)}`,
+  },
+  {
+    name: 'image',
+    pattern: /(avatar|image|photo|picture|thumbnail)(url|uri)?$/,
+    types: ['String'],
+    value: context =>
+      `https://www.${pick(DICTIONARY.domains, context)}/images/${pickInt(
+        context,
+        1,
+        1,
+        999
+      )}.png`,
+  },
+  {
+    name: 'url',
+    pattern: /(url|uri|website|homepage|link|href)$/,
+    types: ['String'],
+    value: context => `https://www.${pick(DICTIONARY.domains, context)}`,
+  },
+  {
+    name: 'birthDate',
+    pattern: /^(birthdate|birthday|dateofbirth|dob)$/,
+    types: DATE_TYPES,
+    value: context => {
+      const year = pickInt(context, 1990, 1950, 2005);
+      const day = pickInt(context, 100, 0, 364);
+      return formatDate(new Date(Date.UTC(year, 0, 1 + day)), context);
+    },
+  },
+  {
+    name: 'timestamp',
+    pattern: /(created|updated|modified|deleted|published|expires|expired)(at|on|date|time|datetime)?$|(start|end|due|issue|expiry|expiration)(date|datetime|time)$|^(date|datetime)$|timestamp$/,
+    types: DATE_TYPES,
+    value: context =>
+      formatDate(
+        context.random ? randomDate(context.random) : EXAMPLE_DATE,
+        context
+      ),
+  },
+  {
+    name: 'company',
+    pattern: /^(company|organization|organisation|employer)(name)?$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.companies, context),
+  },
+  {
+    name: 'jobTitle',
+    pattern: /^(jobtitle|position|occupation|role)$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.jobTitles, context),
+  },
+  {
+    name: 'description',
+    pattern: /^(description|summary|comment|bio|about|notes?|message)$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.sentences, context),
+  },
+  {
+    name: 'password',
+    pattern: /^(password|passwd|secret)$/,
+    types: ['String'],
+    value: () => 'S3cure-Passw0rd',
+  },
+  {
+    name: 'currency',
+    pattern: /^currency(code)?$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.currencies, context),
+  },
+  {
+    name: 'language',
+    pattern: /^(language|lang|locale)$/,
+    types: ['String'],
+    value: context => pick(DICTIONARY.languages, context),
+  },
+  {
+    name: 'id',
+    pattern: /^(id|uuid|guid)$/,
+    types: ['String', 'Integer', 'Long'],
+    value: context =>
+      context.type === 'String'
+        ? generateFormattedValue('uuid', undefined, context.random)
+        : pickInt(context, 1001, 1, 99999),
+  },
+  {
+    name: 'age',
+    pattern: /^age$/,
+    types: NUMBER_TYPES,
+    value: context => pickInt(context, 34, 18, 90),
+  },
+  {
+    name: 'price',
+    pattern: /^(price|amount|total|cost|balance|subtotal)$/,
+    types: NUMBER_TYPES,
+    value: context => {
+      const cents = pickInt(context, 1999, 100, 99999);
+      return ['Integer', 'Long'].includes(context.type)
+        ? Math.round(cents / 100)
+        : cents / 100;
+    },
+  },
+  {
+    name: 'latitude',
+    pattern: /^lat(itude)?$/,
+    types: ['Number', 'Float', 'Double'],
+    value: context =>
+      context.random
+        ? Math.round((context.random() * 180 - 90) * 10000) / 10000
+        : 37.7749,
+  },
+  {
+    name: 'longitude',
+    pattern: /^(lng|lon|long|longitude)$/,
+    types: ['Number', 'Float', 'Double'],
+    value: context =>
+      context.random
+        ? Math.round((context.random() * 360 - 180) * 10000) / 10000
+        : -122.4194,
+  },
+];
+
+/**
+ * Merges custom rules with the built-in rules.
+ * Custom rules take precedence over built-in rules. A custom rule with the
+ * name of a built-in rule replaces it.
+ *
+ * @param {Array<NameRule>=} rules Custom rules
+ * @return {Array<NameRule>}
+ */
+export const mergeNameRules = rules => {
+  if (!rules || !rules.length) {
+    return DEFAULT_NAME_RULES;
+  }
+  const names = rules.map(rule => rule.name);
+  return [
+    ...rules,
+    ...DEFAULT_NAME_RULES.filter(rule => names.indexOf(rule.name) === -1),
+  ];
+};
+
+/**
+ * @param {String} name
+ * @return {String} Lower case name without `_`, `-`, `.`, and spaces.
+ */
+export const normalizePropertyName = name =>
+  String(name)
+    .replace(/[\s_.-]/g, '')
+    .toLowerCase();
+
+/**
+ * Computes a realistic value for a property from its name.
+ * Plural names are also tested in the singular form (without the trailing `s`).
+ *
+ * @param {NameRuleContext} context
+ * @param {Array<NameRule>=} [rules=DEFAULT_NAME_RULES] Rules to use.
+ * @return {any} The value of the first matching rule or `undefined` when
+ * no rule matches the property.
+ */
+export const realisticValue = (context, rules = DEFAULT_NAME_RULES) => {
+  if (!context.name) {
+    return undefined;
+  }
+  const name = normalizePropertyName(context.name);
+  // plural names of arrays (e.g. `emails`) are matched in the singular form
+  const names =
+    name.length > 3 && name.endsWith('s') ? [name, name.slice(0, -1)] : [name];
+  let value;
+  rules.some(rule => {
+    if (rule.types && rule.types.indexOf(context.type) === -1) {
+      return false;
+    }
+    const pattern =
+      typeof rule.pattern === 'string'
+        ? new RegExp(rule.pattern, 'i')
+        : rule.pattern;
+    if (!names.some(item => pattern.test(item))) {
+      return false;
+    }
+    value = typeof rule.value === 'function' ? rule.value(context) : rule.value;
+    return value !== undefined;
+  });
+  return value;
+};
@@ -0,0 +1,46 @@
+import { RandomFunction } from './RandomGenerator';
+
+export declare interface StringConstraints {
+  /**
+   * The regular expression the value must match.
+   */
+  pattern?: string;
+  /**
+   * Minimum length of the value.
+   */
+  minLength?: number;
+  /**
+   * Maximum length of the value.
+   */
+  maxLength?: number;
+}
+
+/**
+ * Generates a value matching a regular expression pattern.
+ *
+ * @param pattern The pattern to match.
+ * @param minLength Minimum length of the value.
+ * @param random Random function returning a number in `[0, 1)`.
+ * When set, characters, alternatives and repetitions are selected randomly.
+ * @returns The generated value or `undefined` when the
+ * pattern uses constructs not supported by the generator.
+ */
+export declare function stringFromPattern(pattern: string, minLength?: number, random?: RandomFunction): string|undefined;
+
+/**
+ * Generates a string value that satisfies `pattern`, `minLength` and
+ * `maxLength` facets of a scalar shape.
+ *
+ * When the pattern uses unsupported constructs or the generated value
+ * does not satisfy the constraints then a value that respects the length
+ * constraints only is returned.
+ *
+ * When the `random` function is set the value is random. The stable value
+ * is returned when a random value satisfying the constraints cannot be
+ * generated.
+ *
+ * @param constraints
+ * @param random Random function returning a number in `[0, 1)`.
+ * @returns Generated value.
+ */
+export declare function generateString(constraints?: StringConstraints, random?: RandomFunction): string;
@@ -0,0 +1,574 @@
+/* eslint-disable no-use-before-define */
+/* eslint-disable max-classes-per-file */
+/* eslint-disable prefer-destructuring */
+/* eslint-disable no-plusplus */
+/* eslint-disable no-continue */
+/* eslint-disable no-param-reassign */
+import { randomInt, randomItem } from './RandomGenerator.js';
+
+/**
+ * @typedef {Object} StringConstraints
+ * @property {String=} pattern The regular expression the value must match.
+ * @property {Number=} minLength Minimum length of the value.
+ * @property {Number=} maxLength Maximum length of the value.
+ */
+
+/**
+ * Characters checked, in order, when a character has to be selected from
+ * a character class. The first character allowed by the class is used so
+ * the generated values are stable between calls.
+ */
+const CANDIDATES =
+  'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 -_.@:/+=,;!?#$%&*()[]{}<>\'"~^|\\`\t\n';
+
+/**
+ * The maximum number of repetitions added to unbounded quantifiers
+ * (`*`, `+`, `{n,}`) when the value has to be longer.
+ */
+const MAX_REPEAT = 100;
+
+/**
+ * The maximum number of repetitions randomly added to quantifiers
+ * when a random function is used.
+ */
+const RANDOM_REPEAT = 5;
+
+/**
+ * The maximum length of a random value generated without a pattern.
+ */
+const RANDOM_LENGTH = 10;
+
+/**
+ * The number of attempts to generate a random value matching the constraints
+ * before falling back to the stable value.
+ */
+const RANDOM_ATTEMPTS = 10;
+
+/**
+ * Thrown when the pattern uses a construct the generator does not support.
+ */
+class UnsupportedPatternError extends Error {}
+
+/**
+ * @param {String} char A single character
+ * @return {Object} A character range node of a class
+ */
+const charRange = char => ({ from: char, to: char });
+
+/**
+ * Character ranges for the `\d`, `\w` and `\s` escapes.
+ */
+const CLASS_ESCAPES = {
+  d: [{ from: '0', to: '9' }],
+  w: [
+    { from: 'a', to: 'z' },
+    { from: 'A', to: 'Z' },
+    { from: '0', to: '9' },
+    charRange('_'),
+  ],
+  s: [
+    charRange(' '),
+    charRange('\t'),
+    charRange('\n'),
+    charRange('\r'),
+    charRange('\v'),
+    charRange('\f'),
+  ],
+};
+
+/**
+ * Character values of single character escapes.
+ */
+const CHAR_ESCAPES = {
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  v: '\v',
+  f: '\f',
+  0: '\0',
+};
+
+/**
+ * A minimal regular expression parser producing a tree of nodes that
+ * can be used to generate a matching value.
+ * It supports literals, escapes, character classes, the dot, groups,
+ * alternatives, quantifiers and anchors. Other constructs (back references,
+ * lookarounds, word boundaries) throw `UnsupportedPatternError`.
+ */
+class PatternParser {
+  /**
+   * @param {String} pattern
+   */
+  constructor(pattern) {
+    this.pattern = pattern;
+    this.index = 0;
+  }
+
+  /**
+   * @return {Object} The root node of the pattern.
+   */
+  parse() {
+    const node = this.parseAlternatives();
+    if (this.index < this.pattern.length) {
+      throw new UnsupportedPatternError(`Unexpected ")" at ${this.index}`);
+    }
+    return node;
+  }
+
+  /**
+   * @return {Object} The alternatives node
+   */
+  parseAlternatives() {
+    const options = [this.parseSequence()];
+    while (this.pattern[this.index] === '|') {
+      this.index++;
+      options.push(this.parseSequence());
+    }
+    return { type: 'alternatives', options };
+  }
+
+  /**
+   * @return {Object} The sequence node
+   */
+  parseSequence() {
+    const items = [];
+    while (this.index < this.pattern.length) {
+      const char = this.pattern[this.index];
+      if (char === '|' || char === ')') {
+        break;
+      }
+      const atom = this.parseAtom();
+      if (atom) {
+        items.push(this.parseQuantifier(atom));
+      }
+    }
+    return { type: 'sequence', items };
+  }
+
+  /**
+   * @return {Object|null} The atom node or null for anchors.
+   */
+  parseAtom() {
+    const char = this.pattern[this.index++];
+    switch (char) {
+      case '^':
+      case '$':
+        return null;
+      case '.':
+        return { type: 'set', negated: true, ranges: [charRange('\n')] };
+      case '[':
+        return this.parseClass();
+      case '(':
+        return this.parseGroup();
+      case '\\':
+        return this.parseEscape(false);
+      case '*':
+      case '+':
+      case '?':
+        throw new UnsupportedPatternError(`Nothing to repeat at ${this.index}`);
+      default:
+        return { type: 'char', value: char };
+    }
+  }
+
+  /**
+   * @return {Object} The group node
+   */
+  parseGroup() {
+    if (this.pattern[this.index] === '?') {
+      const next = this.pattern[this.index + 1];
+      if (next === ':') {
+        this.index += 2;
+      } else if (
+        next === '<' &&
+        !['=', '!'].includes(this.pattern[this.index + 2])
+      ) {
+        const end = this.pattern.indexOf('>', this.index);
+        if (end === -1) {
+          throw new UnsupportedPatternError('Invalid group name');
+        }
+        this.index = end + 1;
+      } else {
+        throw new UnsupportedPatternError('Lookarounds are not supported');
+      }
+    }
+    const node = this.parseAlternatives();
+    if (this.pattern[this.index] !== ')') {
+      throw new UnsupportedPatternError('Unterminated group');
+    }
+    this.index++;
+    return node;
+  }
+
+  /**
+   * @return {Object} The set node
+   */
+  parseClass() {
+    let negated = false;
+    if (this.pattern[this.index] === '^') {
+      negated = true;
+      this.index++;
+    }
+    const ranges = [];
+    let first = true;
+    while (this.index < this.pattern.length) {
+      const char = this.pattern[this.index];
+      if (char === ']' && !first) {
+        this.index++;
+        return { type: 'set', negated, ranges };
+      }
+      first = false;
+      const from = this.parseClassChar();
+      if (typeof from !== 'string') {
+        ranges.push(...from);
+        continue;
+      }
+      if (
+        this.pattern[this.index] === '-' &&
+        this.pattern[this.index + 1] !== ']' &&
+        this.index + 1 < this.pattern.length
+      ) {
+        this.index++;
+        const to = this.parseClassChar();
+        if (typeof to !== 'string') {
+          throw new UnsupportedPatternError('Invalid character class range');
+        }
+        ranges.push({ from, to });
+      } else {
+        ranges.push(charRange(from));
+      }
+    }
+    throw new UnsupportedPatternError('Unterminated character class');
+  }
+
+  /**
+   * @return {String|Array<Object>} A character or list of ranges for class escapes.
+   */
+  parseClassChar() {
+    const char = this.pattern[this.index++];
+    if (char !== '\\') {
+      return char;
+    }
+    const node = this.parseEscape(true);
+    if (node.type === 'char') {
+      return node.value;
+    }
+    if (node.negated) {
+      throw new UnsupportedPatternError(
+        'Negated class escapes inside a class are not supported'
+      );
+    }
+    return node.ranges;
+  }
+
+  /**
+   * @param {Boolean} inClass Whether the escape is inside a character class
+   * @return {Object} The char or set node
+   */
+  parseEscape(inClass) {
+    const char = this.pattern[this.index++];
+    if (char === undefined) {
+      throw new UnsupportedPatternError('Trailing backslash');
+    }
+    const lower = char.toLowerCase();
+    if (CLASS_ESCAPES[lower]) {
+      return {
+        type: 'set',
+        negated: char !== lower,
+        ranges: CLASS_ESCAPES[lower],
+      };
+    }
+    if (char in CHAR_ESCAPES) {
+      return { type: 'char', value: CHAR_ESCAPES[char] };
+    }
+    if (char === 'b' && inClass) {
+      return { type: 'char', value: '\b' };
+    }
+    if (char === 'x' || char === 'u') {
+      const size = char === 'x' ? 2 : 4;
+      const code = this.pattern.substr(this.index, size);
+      if (!/^[0-9a-fA-F]+$/.test(code) || code.length !== size) {
+        throw new UnsupportedPatternError(`Invalid \\${char} escape`);
+      }
+      this.index += size;
+      return { type: 'char', value: String.fromCharCode(parseInt(code, 16)) };
+    }
+    if (/[a-zA-Z0-9]/.test(char)) {
+      throw new UnsupportedPatternError(`Unsupported escape \\${char}`);
+    }
+    return { type: 'char', value: char };
+  }
+
+  /**
+   * @param {Object} atom The node to repeat
+   * @return {Object} The atom or the repeat node.
+   */
+  parseQuantifier(atom) {
+    const char = this.pattern[this.index];
+    let min;
+    let max;
+    if (char === '*') {
+      min = 0;
+      max = Infinity;
+    } else if (char === '+') {
+      min = 1;
+      max = Infinity;
+    } else if (char === '?') {
+      min = 0;
+      max = 1;
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(this.pattern.substr(this.index));
+      if (!match) {
+        return atom;
+      }
+      min = Number(match[1]);
+      if (match[2] === undefined) {
+        max = min;
+      } else {
+        max = match[3] ? Number(match[3]) : Infinity;
+      }
+      this.index += match[0].length - 1;
+    } else {
+      return atom;
+    }
+    this.index++;
+    if (this.pattern[this.index] === '?') {
+      this.index++;
+    }
+    return { type: 'repeat', node: atom, min, max };
+  }
+}
+
+/**
+ * @param {Array<Object>} ranges Character ranges of a set
+ * @param {String} char The character to test
+ * @return {Boolean} True when the character is in one of the ranges.
+ */
+const inRanges = (ranges, char) =>
+  ranges.some(({ from, to }) => char >= from && char <= to);
+
+/**
+ * @param {Object} node The set node
+ * @param {(() => number)=} random Random function. When set a random candidate
+ * character is selected.
+ * @return {String} The first candidate character allowed by the set.
+ */
+const pickSetChar = (node, random) => {
+  if (random) {
+    const allowed = CANDIDATES.split('').filter(
+      char => char >= ' ' && inRanges(node.ranges, char) !== node.negated
+    );
+    if (allowed.length) {
+      return randomItem(random, allowed);
+    }
+  }
+  for (let i = 0; i < CANDIDATES.length; i++) {
+    const char = CANDIDATES[i];
+    if (inRanges(node.ranges, char) !== node.negated) {
+      return char;
+    }
+  }
+  if (!node.negated && node.ranges.length) {
+    return node.ranges[0].from;
+  }
+  throw new UnsupportedPatternError('Unable to select a character');
+};
+
+/**
+ * @param {Object} node A pattern node
+ * @return {Number} The length of the shortest value matching the node.
+ */
+const minimalLength = node => {
+  switch (node.type) {
+    case 'char':
+    case 'set':
+      return 1;
+    case 'sequence':
+      return node.items.reduce((sum, item) => sum + minimalLength(item), 0);
+    case 'alternatives':
+      return minimalLength(node.options[0]);
+    case 'repeat':
+      return minimalLength(node.node) * node.min;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Generates a value for a node.
+ * The `state.need` property holds the number of characters that still have to
+ * be added over the shortest value to satisfy the minimum length. Quantifiers
+ * use it to add repetitions.
+ *
+ * @param {Object} node A pattern node
+ * @param {Object} state Generation state
+ * @return {String}
+ */
+const generate = (node, state) => {
+  switch (node.type) {
+    case 'char':
+      return node.value;
+    case 'set':
+      return pickSetChar(node, state.random);
+    case 'sequence':
+      return node.items.map(item => generate(item, state)).join('');
+    case 'alternatives':
+      return generate(
+        state.random ? randomItem(state.random, node.options) : node.options[0],
+        state
+      );
+    case 'repeat':
+      return generateRepeat(node, state);
+    default:
+      return '';
+  }
+};
+
+/**
+ * @param {Object} node The repeat node
+ * @param {Object} state Generation state
+ * @return {String}
+ */
+const generateRepeat = (node, state) => {
+  let result = '';
+  for (let i = 0; i < node.min; i++) {
+    result += generate(node.node, state);
+  }
+  const max = Math.min(node.max, node.min + MAX_REPEAT);
+  let extra = state.random
+    ? randomInt(state.random, 0, Math.min(max - node.min, RANDOM_REPEAT))
+    : 0;
+  for (let i = node.min; i < max && (state.need > 0 || extra > 0); i++) {
+    extra--;
+    const need = state.need;
+    const value = generate(node.node, state);
+    if (!value) {
+      break;
+    }
+    // nested quantifiers have already accounted for their own repetitions
+    state.need -= value.length - (need - state.need);
+    result += value;
+  }
+  return result;
+};
+
+/**
+ * Generates a value matching a regular expression pattern.
+ *
+ * @param {String} pattern The pattern to match.
+ * @param {Number=} [minLength=0] Minimum length of the value.
+ * @param {(() => number)=} random Random function returning a number in `[0, 1)`.
+ * When set, characters, alternatives and repetitions are selected randomly.
+ * @return {String|undefined} The generated value or `undefined` when the
+ * pattern uses constructs not supported by the generator.
+ */
+export const stringFromPattern = (pattern, minLength = 0, random) => {
+  let tree;
+  try {
+    tree = new PatternParser(pattern).parse();
+  } catch (e) {
+    if (e instanceof UnsupportedPatternError) {
+      return undefined;
+    }
+    throw e;
+  }
+  const state = {
+    need: Math.max(0, minLength - minimalLength(tree)),
+    random,
+  };
+  try {
+    return generate(tree, state);
+  } catch (e) {
+    if (e instanceof UnsupportedPatternError) {
+      return undefined;
+    }
+    throw e;
+  }
+};
+
+/**
+ * @param {String} value The value to test
+ * @param {StringConstraints} constraints
+ * @return {Boolean} True when the value satisfies the constraints.
+ */
+const isValid = (value, { pattern, minLength, maxLength }) => {
+  if (typeof minLength === 'number' && value.length < minLength) {
+    return false;
+  }
+  if (typeof maxLength === 'number' && value.length > maxLength) {
+    return false;
+  }
+  if (!pattern) {
+    return true;
+  }
+  try {
+    return new RegExp(pattern).test(value);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * @param {StringConstraints} constraints
+ * @param {Number} min Minimum length of the value
+ * @param {() => number} random Random function
+ * @return {String|undefined} A random value satisfying the constraints.
+ */
+const randomString = (constraints, min, random) => {
+  const { pattern, maxLength } = constraints;
+  if (!pattern) {
+    const max = typeof maxLength === 'number' ? maxLength : Infinity;
+    const low = Math.min(Math.max(min, 1), max);
+    const length = randomInt(random, low, Math.min(max, low + RANDOM_LENGTH));
+    const letters = CANDIDATES.substr(0, 26).split('');
+    let value = '';
+    for (let i = 0; i < length; i++) {
+      value += randomItem(random, letters);
+    }
+    return value;
+  }
+  for (let i = 0; i < RANDOM_ATTEMPTS; i++) {
+    const value = stringFromPattern(pattern, min, random);
+    if (value === undefined) {
+      return undefined;
+    }
+    if (isValid(value, constraints)) {
+      return value;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Generates a string value that satisfies `pattern`, `minLength` and
+ * `maxLength` facets of a scalar shape.
+ *
+ * When the pattern uses unsupported constructs or the generated value
+ * does not satisfy the constraints then a value that respects the length
+ * constraints only is returned.
+ *
+ * When the `random` function is set the value is random. The stable value
+ * is returned when a random value satisfying the constraints cannot be
+ * generated.
+ *
+ * @param {StringConstraints} constraints
+ * @param {(() => number)=} random Random function returning a number in `[0, 1)`.
+ * @return {String} Generated value.
+ */
+export const generateString = (constraints = {}, random) => {
+  const { pattern, minLength } = constraints;
+  const min = typeof minLength === 'number' && minLength > 0 ? minLength : 0;
+  if (random) {
+    const value = randomString(constraints, min, random);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  if (pattern) {
+    const value = stringFromPattern(pattern, min);
+    if (value !== undefined && isValid(value, constraints)) {
+      return value;
+    }
+  }
+  return 'a'.repeat(min);
+};
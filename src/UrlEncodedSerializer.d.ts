@@ -0,0 +1,31 @@
+export declare interface UrlEncodedOptions {
+  /**
+   * The way array values are serialized.
+   * `repeat` (default) repeats the key for each value (`tags=a&tags=b`),
+   * `brackets` adds brackets to the key (`tags[]=a&tags[]=b`).
+   */
+  arrayFormat?: 'repeat'|'brackets';
+}
+
+/**
+ * Encodes a key or a value according to the `application/x-www-form-urlencoded`
+ * serialization rules (spaces are encoded as `+`).
+ *
+ * @param value The value to encode
+ * @returns Encoded value
+ */
+export declare function encodeFormValue(value: string): string;
+
+/**
+ * Serializes a JavaScript value created by the examples generator
+ * (a result of `_jsonFromStructure()` or `_jsonExampleFromProperties()`)
+ * into an `application/x-www-form-urlencoded` string.
+ *
+ * Nested objects are serialized using brackets notation (`address[city]=...`).
+ * Arrays are serialized depending on the `arrayFormat` option.
+ *
+ * @param value The value to serialize
+ * @param opts Serialization options
+ * @returns Form encoded value.
+ */
+export declare function toUrlEncoded(value: any, opts?: UrlEncodedOptions): string;
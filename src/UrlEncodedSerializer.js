@@ -0,0 +1,85 @@
+/**
+ * @typedef {Object} UrlEncodedOptions
+ * @property {('repeat'|'brackets')=} arrayFormat The way array values are serialized.
+ * `repeat` (default) repeats the key for each value (`tags=a&tags=b`),
+ * `brackets` adds brackets to the key (`tags[]=a&tags[]=b`).
+ */
+
+/**
+ * Encodes a key or a value according to the `application/x-www-form-urlencoded`
+ * serialization rules (spaces are encoded as `+`).
+ *
+ * @param {string} value The value to encode
+ * @return {string} Encoded value
+ */
+export const encodeFormValue = value =>
+  encodeURIComponent(value).replace(/%20/g, '+');
+
+/**
+ * @param {any} value
+ * @return {boolean} True when the value is an object or an array.
+ */
+const isStructure = value => !!value && typeof value === 'object';
+
+/**
+ * Creates a list of key - value pairs for a value.
+ *
+ * @param {string} key The (not encoded) key of the value
+ * @param {any} value The value to process
+ * @param {UrlEncodedOptions} opts
+ * @param {Array<string[]>} result The list of pairs to fill
+ */
+const appendPairs = (key, value, opts, result) => {
+  if (Array.isArray(value)) {
+    const brackets = opts.arrayFormat === 'brackets';
+    value.forEach((item, index) => {
+      let itemKey = key;
+      if (brackets) {
+        itemKey += isStructure(item) ? `[${index}]` : '[]';
+      }
+      appendPairs(itemKey, item, opts, result);
+    });
+    return;
+  }
+  if (isStructure(value)) {
+    Object.keys(value).forEach(name => {
+      appendPairs(`${key}[${name}]`, value[name], opts, result);
+    });
+    return;
+  }
+  const str = value === null || value === undefined ? '' : String(value);
+  result.push([key, str]);
+};
+
+/**
+ * Serializes a JavaScript value created by the examples generator
+ * (a result of `_jsonFromStructure()` or `_jsonExampleFromProperties()`)
+ * into an `application/x-www-form-urlencoded` string.
+ *
+ * Nested objects are serialized using brackets notation (`address[city]=...`).
+ * Arrays are serialized depending on the `arrayFormat` option.
+ *
+ * @param {any} value The value to serialize
+ * @param {UrlEncodedOptions=} [opts={}] Serialization options
+ * @return {string} Form encoded value.
+ */
+export const toUrlEncoded = (value, opts = {}) => {
+  if (!isStructure(value)) {
+    return value === null || value === undefined
+      ? ''
+      : encodeFormValue(String(value));
+  }
+  const pairs = [];
+  if (Array.isArray(value)) {
+    value.forEach((item, index) =>
+      appendPairs(String(index), item, opts, pairs)
+    );
+  } else {
+    Object.keys(value).forEach(key =>
+      appendPairs(key, value[key], opts, pairs)
+    );
+  }
+  return pairs
+    .map(([key, item]) => `${encodeFormValue(key)}=${encodeFormValue(item)}`)
+    .join('&');
+};
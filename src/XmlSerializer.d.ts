@@ -0,0 +1,87 @@
+/**
+ * Escapes a text value of an XML element.
+ *
+ * @param value The value to escape
+ * @returns Escaped value
+ */
+export declare function escapeXmlText(value: string): string;
+
+/**
+ * Escapes a value of an XML attribute.
+ *
+ * @param value The value to escape
+ * @returns Escaped value
+ */
+export declare function escapeXmlAttribute(value: string): string;
+
+/**
+ * A text node of the XML tree.
+ */
+export declare class XmlText {
+  nodeValue: string;
+  parentNode: XmlElement|null;
+  constructor(value: string);
+}
+
+/**
+ * An element of the XML tree.
+ */
+export declare class XmlElement {
+  nodeName: string;
+  /**
+   * Attributes of the element, in the order they were set.
+   */
+  attributes: Array<{name: string, value: string}>;
+  childNodes: Array<XmlElement|XmlText>;
+  parentNode: XmlElement|null;
+  constructor(name: string);
+
+  /**
+   * Adds a node to the end of the list of children of this element.
+   * When the node already has a parent it is moved.
+   *
+   * @returns The appended node
+   */
+  appendChild<T extends XmlElement|XmlText>(node: T): T;
+
+  /**
+   * Sets the value of an attribute. The value of an existing attribute
+   * is replaced.
+   */
+  setAttribute(name: string, value: string): void;
+
+  /**
+   * @returns The value of the attribute or `null` when the attribute is not set.
+   */
+  getAttribute(name: string): string|null;
+}
+
+/**
+ * An XML document with a single root element.
+ */
+export declare class XmlDocument {
+  documentElement: XmlElement;
+  /**
+   * @param name The name of the root element
+   */
+  constructor(name: string);
+
+  /**
+   * @returns A new element not attached to the tree.
+   */
+  createElement(name: string): XmlElement;
+
+  /**
+   * @returns A new text node not attached to the tree.
+   */
+  createTextNode(value: string): XmlText;
+}
+
+/**
+ * Serializes an XML tree to a string, the same way the DOM's `XMLSerializer`
+ * does. Elements without children are serialized as self-closing tags.
+ *
+ * @param node The node to serialize
+ * @returns Serialized XML
+ */
+export declare function serializeXml(node: XmlDocument|XmlElement|XmlText): string;
@@ -0,0 +1,166 @@
+/* eslint-disable max-classes-per-file */
+/* eslint-disable class-methods-use-this */
+/* eslint-disable no-param-reassign */
+
+/**
+ * A minimal XML tree builder and serializer used to generate XML examples.
+ * It implements the subset of the DOM API the generator uses so examples can
+ * be generated in environments without the DOM (Node.js, web workers, SSR).
+ */
+
+/**
+ * Escapes a text value of an XML element.
+ *
+ * @param {String} value The value to escape
+ * @return {String} Escaped value
+ */
+export const escapeXmlText = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Escapes a value of an XML attribute.
+ *
+ * @param {String} value The value to escape
+ * @return {String} Escaped value
+ */
+export const escapeXmlAttribute = value =>
+  escapeXmlText(value).replace(/"/g, '&quot;');
+
+/**
+ * A text node of the XML tree.
+ */
+export class XmlText {
+  /**
+   * @param {String} value The text of the node
+   */
+  constructor(value) {
+    this.nodeValue = String(value);
+    /**
+     * @type {XmlElement|null}
+     */
+    this.parentNode = null;
+  }
+}
+
+/**
+ * An element of the XML tree.
+ */
+export class XmlElement {
+  /**
+   * @param {String} name The name of the element
+   */
+  constructor(name) {
+    this.nodeName = name;
+    /**
+     * Attributes of the element, in the order they were set.
+     * @type {Array<{name: String, value: String}>}
+     */
+    this.attributes = [];
+    /**
+     * @type {Array<XmlElement|XmlText>}
+     */
+    this.childNodes = [];
+    /**
+     * @type {XmlElement|null}
+     */
+    this.parentNode = null;
+  }
+
+  /**
+   * Adds a node to the end of the list of children of this element.
+   * When the node already has a parent it is moved.
+   *
+   * @param {XmlElement|XmlText} node The node to append
+   * @return {XmlElement|XmlText} The appended node
+   */
+  appendChild(node) {
+    if (node.parentNode) {
+      const { childNodes } = node.parentNode;
+      childNodes.splice(childNodes.indexOf(node), 1);
+    }
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  /**
+   * Sets the value of an attribute. The value of an existing attribute
+   * is replaced.
+   *
+   * @param {String} name The name of the attribute
+   * @param {String} value The value of the attribute
+   */
+  setAttribute(name, value) {
+    const attribute = this.attributes.find(item => item.name === name);
+    if (attribute) {
+      attribute.value = String(value);
+    } else {
+      this.attributes.push({ name, value: String(value) });
+    }
+  }
+
+  /**
+   * @param {String} name The name of the attribute
+   * @return {String|null} The value of the attribute or `null` when the
+   * attribute is not set.
+   */
+  getAttribute(name) {
+    const attribute = this.attributes.find(item => item.name === name);
+    return attribute ? attribute.value : null;
+  }
+}
+
+/**
+ * An XML document with a single root element.
+ */
+export class XmlDocument {
+  /**
+   * @param {String} name The name of the root element
+   */
+  constructor(name) {
+    this.documentElement = new XmlElement(name);
+  }
+
+  /**
+   * @param {String} name The name of the element
+   * @return {XmlElement} A new element not attached to the tree.
+   */
+  createElement(name) {
+    return new XmlElement(name);
+  }
+
+  /**
+   * @param {String} value The text of the node
+   * @return {XmlText} A new text node not attached to the tree.
+   */
+  createTextNode(value) {
+    return new XmlText(value);
+  }
+}
+
+/**
+ * Serializes an XML tree to a string, the same way the DOM's `XMLSerializer`
+ * does. Elements without children are serialized as self-closing tags.
+ *
+ * @param {XmlDocument|XmlElement|XmlText} node The node to serialize
+ * @return {String} Serialized XML
+ */
+export const serializeXml = node => {
+  if (node instanceof XmlDocument) {
+    return serializeXml(node.documentElement);
+  }
+  if (node instanceof XmlText) {
+    return escapeXmlText(node.nodeValue);
+  }
+  const attributes = node.attributes
+    .map(({ name, value }) => ` ${name}="${escapeXmlAttribute(value)}"`)
+    .join('');
+  if (!node.childNodes.length) {
+    return `<${node.nodeName}${attributes}/>`;
+  }
+  const content = node.childNodes.map(child => serializeXml(child)).join('');
+  return `<${node.nodeName}${attributes}>${content}</${node.nodeName}>`;
+};
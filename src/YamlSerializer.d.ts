@@ -0,0 +1,23 @@
+/**
+ * Checks whether a string can be written to YAML without quotes.
+ * It is intentionally strict. Any value that a YAML 1.1 or 1.2 parser could read
+ * as a different type (number, boolean, null, date) or that contains an indicator
+ * character is considered unsafe.
+ *
+ * @param value The value to test
+ * @returns True when the value can be rendered as a plain scalar.
+ */
+export declare function isPlainYamlString(value: string): boolean;
+
+/**
+ * Serializes a JavaScript value created by the examples generator
+ * (a result of `_jsonFromStructure()` or `_jsonExampleFromProperties()`)
+ * into a YAML document.
+ *
+ * Strings that can be misinterpreted by a YAML parser are quoted, multi-line
+ * strings are rendered as literal block scalars.
+ *
+ * @param value The value to serialize
+ * @returns YAML representation of the value.
+ */
+export declare function toYaml(value: any): string;
@@ -0,0 +1,194 @@
+/* eslint-disable no-use-before-define */
+/* eslint-disable no-control-regex */
+
+const INDENT = '  ';
+
+/**
+ * Checks whether a string can be written to YAML without quotes.
+ * It is intentionally strict. Any value that a YAML 1.1 or 1.2 parser could read
+ * as a different type (number, boolean, null, date) or that contains an indicator
+ * character is considered unsafe.
+ *
+ * @param {string} value The value to test
+ * @return {boolean} True when the value can be rendered as a plain scalar.
+ */
+export const isPlainYamlString = value => {
+  if (!value) {
+    return false;
+  }
+  if (/^\s|\s$/.test(value)) {
+    return false;
+  }
+  if (/^[-?:,[\]{}#&*!|>'"%@`<=]/.test(value)) {
+    return false;
+  }
+  if (/: |:$| #|[\u0000-\u001f\u007f]/.test(value)) {
+    return false;
+  }
+  if (/^(?:~|null|true|false|yes|no|on|off|y|n)$/i.test(value)) {
+    return false;
+  }
+  if (/^[-+]?(?:\d|\.\d|\.(?:inf|nan)$)/i.test(value)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Checks whether a string should be rendered as a literal block scalar.
+ * @param {string} value The value to test
+ * @return {boolean}
+ */
+const isBlockString = value => {
+  if (value.indexOf('\n') === -1) {
+    return false;
+  }
+  // Literal blocks cannot represent carriage returns or other control characters
+  // and the indentation of the first line is used to detect the block indent.
+  if (/[\u0000-\u0008\u000b-\u001f\u007f]/.test(value)) {
+    return false;
+  }
+  return !/^\n*[ \t]/.test(value);
+};
+
+/**
+ * Renders a multi-line string as a literal block scalar.
+ * @param {string} value The value to render
+ * @param {number} level Indentation level of the block content
+ * @return {string}
+ */
+const blockString = (value, level) => {
+  const pad = INDENT.repeat(level);
+  let header = '|';
+  let content = value;
+  if (/\n\n$/.test(value)) {
+    header += '+';
+    content = value.substr(0, value.length - 1);
+  } else if (/\n$/.test(value)) {
+    content = value.substr(0, value.length - 1);
+  } else {
+    header += '-';
+  }
+  const lines = content.split('\n').map(line => (line ? pad + line : ''));
+  return `${header}\n${lines.join('\n')}`;
+};
+
+/**
+ * Serializes a scalar value.
+ * @param {any} value The value to render
+ * @param {number} level Indentation level used when the value is a block scalar.
+ * @return {string}
+ */
+const scalarValue = (value, level) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return '.nan';
+    }
+    if (!Number.isFinite(value)) {
+      return value > 0 ? '.inf' : '-.inf';
+    }
+    return String(value);
+  }
+  const str = String(value);
+  if (isBlockString(str)) {
+    return blockString(str, level);
+  }
+  if (isPlainYamlString(str)) {
+    return str;
+  }
+  return JSON.stringify(str);
+};
+
+/**
+ * Serializes a mapping key.
+ * @param {string} key The key to render
+ * @return {string}
+ */
+const keyValue = key => (isPlainYamlString(key) ? key : JSON.stringify(key));
+
+/**
+ * @param {any} value
+ * @return {boolean} True when the value is a collection that has at least one item.
+ */
+const isNonEmptyCollection = value => {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Object.keys(value).length > 0;
+};
+
+/**
+ * Serializes a sequence item. When the item is a non empty collection its first
+ * line is moved next to the dash indicator.
+ *
+ * @param {any} item The item to render
+ * @param {number} level Indentation level of the sequence
+ * @return {string}
+ */
+const sequenceItem = (item, level) => {
+  const pad = INDENT.repeat(level);
+  if (isNonEmptyCollection(item)) {
+    const nested = serializeNode(item, level + 1);
+    return `${pad}- ${nested.substr(pad.length + INDENT.length)}`;
+  }
+  return `${pad}- ${serializeNode(item, level + 1, true)}`;
+};
+
+/**
+ * Serializes a value as a YAML node.
+ *
+ * @param {any} value The value to render
+ * @param {number} level Indentation level
+ * @param {boolean=} inline When set, a scalar or an empty collection
+ * is rendered without indentation.
+ * @return {string}
+ */
+const serializeNode = (value, level, inline) => {
+  const pad = INDENT.repeat(level);
+  if (Array.isArray(value)) {
+    if (!value.length) {
+      return inline ? '[]' : `${pad}[]`;
+    }
+    return value.map(item => sequenceItem(item, level)).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (!keys.length) {
+      return inline ? '{}' : `${pad}{}`;
+    }
+    return keys
+      .map(key => {
+        const item = value[key];
+        const name = keyValue(key);
+        if (isNonEmptyCollection(item)) {
+          return `${pad}${name}:\n${serializeNode(item, level + 1)}`;
+        }
+        return `${pad}${name}: ${serializeNode(item, level + 1, true)}`;
+      })
+      .join('\n');
+  }
+  const scalar = scalarValue(value, inline ? level : level + 1);
+  return inline ? scalar : `${pad}${scalar}`;
+};
+
+/**
+ * Serializes a JavaScript value created by the examples generator
+ * (a result of `_jsonFromStructure()` or `_jsonExampleFromProperties()`)
+ * into a YAML document.
+ *
+ * Strings that can be misinterpreted by a YAML parser are quoted, multi-line
+ * strings are rendered as literal block scalars.
+ *
+ * @param {any} value The value to serialize
+ * @return {string} YAML representation of the value.
+ */
+export const toYaml = value => `${serializeNode(value, 0)}\n`;
@@ -2489,6 +2489,14 @@ describe('ExampleGenerator', () => {
       assert.typeOf(result, 'string');
       assert.equal(result, 'test');
     });
+
+    it('Reads a plain value of a flattened model', () => {
+      const dtKey = element._getAmfKey(element.ns.w3.shacl.datatype);
+      baseObj[valueKey] = '10';
+      baseObj[dtKey] = [{ '@id': element.ns.w3.xmlSchema + 'integer' }];
+      const result = element._computeStructuredExampleValue(baseObj);
+      assert.strictEqual(result, 10);
+    });
   });
 
   describe('_computeExampleFromStructuredValue()', () => {
@@ -1,6 +1,7 @@
 import { fixture, assert, html } from '@open-wc/testing';
 import { AmfLoader } from './amf-loader.js';
 import '../api-example-generator.js';
+import { XmlDocument, serializeXml } from '../src/XmlSerializer.js';
 
 /* eslint-disable prefer-template */
 /* eslint-disable prefer-destructuring */
@@ -2577,4 +2578,32 @@ describe('<api-example-generator>', () => {
       assert.deepEqual(result, { test: 'test' });
     });
   });
+
+  describe('_xmlProcessUnionScalarProperty()', () => {
+    let element;
+
+    beforeEach(async () => {
+      element = await basicFixture();
+    });
+
+    it('appends the element of the member to the node', () => {
+      const property = {
+        [element.ns.w3.shacl.name]: [{ '@value': 'contact' }],
+      };
+      const shape = {
+        '@type': [element.ns.aml.vocabularies.shapes.ScalarShape],
+        [element.ns.w3.shacl.datatype]: [
+          { '@id': element.ns.w3.xmlSchema.integer },
+        ],
+      };
+      const doc = new XmlDocument('root');
+      element._xmlProcessUnionScalarProperty(
+        doc,
+        doc.documentElement,
+        property,
+        shape
+      );
+      assert.equal(serializeXml(doc), '<root><contact>0</contact></root>');
+    });
+  });
 });
@@ -0,0 +1,189 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import {
+  collectApiExamples,
+  inflateFlattenedModel,
+} from '../src/ApiExamplesCollector.js';
+import {
+  renderExamplesReport,
+  reportFilePath,
+  toJsonReport,
+  toMarkdownReport,
+} from '../src/ExamplesReport.js';
+
+describe('API examples collector', () => {
+  const apiFile = 'validation';
+
+  describe('inflateFlattenedModel()', () => {
+    const graph = () => ({
+      '@context': { doc: 'http://a.ml/vocabularies/document#' },
+      '@graph': [
+        { '@id': '#1', 'core:name': 'API', 'core:ref': [{ '@id': '#2' }] },
+        { '@id': '#2', 'core:name': 'Item', 'core:parent': { '@id': '#1' } },
+        { '@id': './', 'doc:encodes': { '@id': '#1' } },
+      ],
+    });
+
+    it('returns an embedded model unchanged', () => {
+      const model = [{ '@id': 'a' }];
+      assert.equal(inflateFlattenedModel(model), model);
+    });
+
+    it('returns the root document in an array', () => {
+      const [root] = /** @type Array<Object> */ (inflateFlattenedModel(
+        graph()
+      ));
+      assert.equal(root['@id'], './');
+      assert.equal(root['doc:encodes']['core:name'], 'API');
+    });
+
+    it('replaces references with nodes', () => {
+      const [root] = /** @type Array<Object> */ (inflateFlattenedModel(
+        graph()
+      ));
+      const api = root['doc:encodes'];
+      assert.equal(api['core:ref'][0]['core:name'], 'Item');
+      assert.equal(api['core:ref'][0]['core:parent'], api);
+    });
+
+    it('copies the context to the root document', () => {
+      const [root] = /** @type Array<Object> */ (inflateFlattenedModel(
+        graph()
+      ));
+      assert.deepEqual(root['@context'], {
+        doc: 'http://a.ml/vocabularies/document#',
+      });
+    });
+
+    it('keeps references to unknown nodes', () => {
+      const model = graph();
+      model['@graph'][1]['core:other'] = { '@id': '#unknown' };
+      const [root] = /** @type Array<Object> */ (inflateFlattenedModel(model));
+      assert.deepEqual(root['doc:encodes']['core:ref'][0]['core:other'], {
+        '@id': '#unknown',
+      });
+    });
+  });
+
+  describe('reportFilePath()', () => {
+    const entry = {
+      path: '/people/{id}',
+      method: 'get',
+      kind: 'response',
+      statusCode: '200',
+      mediaType: 'application/json',
+      examples: [],
+    };
+
+    it('returns the path of a response file', () => {
+      assert.equal(
+        reportFilePath(entry, 'json'),
+        'people/{id}/get/response/200/application_json.json'
+      );
+    });
+
+    it('returns the path of a request file', () => {
+      assert.equal(
+        reportFilePath(
+          { ...entry, kind: 'request', mediaType: 'application/xml' },
+          'markdown'
+        ),
+        'people/{id}/get/request/application_xml.md'
+      );
+    });
+
+    it('uses a placeholder for the root path', () => {
+      assert.equal(
+        reportFilePath({ ...entry, path: '/' }, 'json'),
+        '_/get/response/200/application_json.json'
+      );
+    });
+
+    it('replaces path segments pointing to a parent directory', () => {
+      assert.equal(
+        reportFilePath({ ...entry, path: '/../../etc/./v1.0' }, 'json'),
+        '__/__/etc/_/v1.0/get/response/200/application_json.json'
+      );
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let generator;
+
+      before(async () => {
+        const amf = await AmfLoader.load(
+          /** @type Boolean */ (compact),
+          apiFile
+        );
+        generator = new ExampleGenerator(amf);
+      });
+
+      it('collects request and response examples', () => {
+        const result = collectApiExamples(generator);
+        assert.deepEqual(
+          result.map(item => [
+            item.method,
+            item.path,
+            item.kind,
+            item.statusCode,
+            item.mediaType,
+          ]),
+          [
+            ['post', '/people', 'request', undefined, 'application/json'],
+            ['post', '/people', 'request', undefined, 'application/yaml'],
+            ['get', '/people', 'response', '200', 'application/json'],
+          ]
+        );
+      });
+
+      it('sets examples of each media type', () => {
+        const [json, yaml, response] = collectApiExamples(generator);
+        assert.lengthOf(json.examples, 4);
+        assert.equal(json.examples[0].title, 'valid');
+        assert.include(yaml.examples[0].value, 'name: Jane');
+        assert.equal(response.examples[0].value, '0');
+      });
+
+      it('passes the options to the generator', () => {
+        const [json] = collectApiExamples(generator, { rawOnly: true });
+        assert.include(json.examples[0].value, 'name: Jane');
+      });
+
+      it('renders a JSON report', () => {
+        const entries = collectApiExamples(generator);
+        const result = JSON.parse(toJsonReport(entries));
+        assert.lengthOf(result, 3);
+        assert.equal(result[2].statusCode, '200');
+      });
+
+      it('renders a markdown report', () => {
+        const entries = collectApiExamples(generator);
+        const result = toMarkdownReport(entries);
+        assert.include(result, '## POST /people - Request - application/json');
+        assert.include(
+          result,
+          '## GET /people - Response 200 - application/json'
+        );
+        assert.include(result, '### valid\n\n```json\n{\n  "name": "Jane"');
+        assert.include(result, '```yaml\nname: Jane');
+      });
+
+      it('renders a report in a format', () => {
+        const entries = collectApiExamples(generator);
+        assert.equal(
+          renderExamplesReport(entries, 'markdown'),
+          toMarkdownReport(entries)
+        );
+        assert.equal(
+          renderExamplesReport(entries, 'json'),
+          toJsonReport(entries)
+        );
+      });
+    });
+  });
+});
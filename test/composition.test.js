@@ -0,0 +1,248 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Composition', () => {
+  const apiFile = 'composition';
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} path
+       * @param {String=} mime
+       * @param {Object=} opts
+       * @return {Object} The first generated example
+       */
+      function generate(path, mime = 'application/json', opts) {
+        const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+        return element.generatePayloadsExamples(payloads, mime, opts)[0];
+      }
+
+      /**
+       * @param {String} path
+       * @return {Object} The schema of the payload
+       */
+      function payloadSchema(path) {
+        const [payload] = AmfLoader.lookupPayload(amf, path, 'post');
+        const key = element._getAmfKey(
+          element.ns.aml.vocabularies.shapes.schema
+        );
+        return element._ensureArray(payload[key])[0];
+      }
+
+      it('generates an example for each oneOf member', () => {
+        const result = generate('/contacts');
+        assert.isTrue(result.hasUnion);
+        assert.deepEqual(
+          result.values.map(item => item.title),
+          ['Email', 'Phone']
+        );
+      });
+
+      it('adds properties of the schema to oneOf members', () => {
+        const result = generate('/contacts');
+        assert.deepEqual(JSON.parse(result.values[1].value), {
+          label: 'Home',
+          phone: '555-0100',
+        });
+      });
+
+      it('generates XML examples for oneOf members', () => {
+        const result = generate('/contacts', 'application/xml');
+        assert.include(
+          result.values[0].value,
+          '<email>jane@example.com</email>'
+        );
+        assert.include(result.values[1].value, '<phone>555-0100</phone>');
+      });
+
+      it('uses the first oneOf member in a property', () => {
+        const result = generate('/people');
+        assert.deepEqual(JSON.parse(result.value).contact, {
+          label: 'Home',
+          email: 'jane@example.com',
+        });
+      });
+
+      it('titles inline members with the title', () => {
+        const result = generate('/amounts');
+        assert.deepEqual(
+          result.values.map(item => item.title),
+          ['Cents', 'Amount']
+        );
+      });
+
+      it('avoids a value that matches a sibling oneOf member', () => {
+        const result = generate('/amounts');
+        const { value } = result.values[1];
+        assert.typeOf(value, 'number');
+        assert.isFalse(Number.isInteger(value));
+      });
+
+      it('keeps a value when an exclusive one cannot be found', () => {
+        const result = generate('/amounts');
+        assert.strictEqual(result.values[0].value, 0);
+      });
+
+      it('generates the same exclusive value for the same seed', () => {
+        const first = generate('/amounts', 'application/json', { seed: 1 });
+        const second = generate('/amounts', 'application/json', { seed: 1 });
+        assert.deepEqual(first.values, second.values);
+        assert.isFalse(Number.isInteger(first.values[1].value));
+      });
+
+      it('validates the exclusive value of a seeded XML example', () => {
+        for (let seed = 1; seed <= 5; seed += 1) {
+          const [result] = element.computeExamples(
+            payloadSchema('/codes'),
+            'application/xml',
+            { seed }
+          );
+          assert.isAbove(String(result.values[1].value).length, 4);
+        }
+      });
+
+      it('generates an example for each anyOf member', () => {
+        const result = generate('/tags');
+        assert.deepEqual(
+          result.values.map(item => [item.title, item.value]),
+          [
+            ['string', 'red'],
+            ['integer', 7],
+          ]
+        );
+      });
+
+      it('adds properties of allOf members to oneOf members', () => {
+        const result = generate('/accounts');
+        assert.deepEqual(
+          result.values.map(item => item.title),
+          ['Email', 'Phone']
+        );
+        assert.deepEqual(JSON.parse(result.values[0].value), {
+          id: 1,
+          label: 'Home',
+          email: 'jane@example.com',
+        });
+      });
+
+      it('generates XML examples for allOf with oneOf members', () => {
+        const result = generate('/accounts', 'application/xml');
+        assert.include(result.values[1].value, '<id>1</id>');
+        assert.include(result.values[1].value, '<phone>555-0100</phone>');
+      });
+
+      it('merges allOf members of an anyOf member', () => {
+        const result = generate('/members');
+        assert.equal(result.values[0].title, 'VerifiedEmail');
+        assert.deepEqual(JSON.parse(result.values[0].value), {
+          email: 'jane@example.com',
+          verified: true,
+        });
+      });
+
+      it('merges allOf members of a property', () => {
+        const result = JSON.parse(generate('/roles').value);
+        assert.deepEqual(result.owner, {
+          email: 'jane@example.com',
+          since: 2020,
+        });
+      });
+
+      it('steers values away from values excluded with not', () => {
+        const result = JSON.parse(generate('/roles').value);
+        assert.equal(result.name, 'guest');
+        assert.notInclude([0, 1], result.level);
+        assert.isAtLeast(result.level, 0);
+        assert.isAtMost(result.level, 5);
+      });
+
+      it('uses a value of a type not excluded with not', () => {
+        const result = JSON.parse(generate('/roles').value);
+        assert.strictEqual(result.value, 0);
+      });
+
+      it('applies not and allOf in a XML example', () => {
+        const { value } = generate('/roles', 'application/xml');
+        assert.include(value, '<name>guest</name>');
+        assert.notInclude(value, '<level>0</level>');
+        assert.include(value, '<value>0</value>');
+        assert.include(value, '<since>2020</since>');
+      });
+
+      it('reports a value excluded with not', () => {
+        const issues = [];
+        element._validateValue(
+          payloadSchema('/roles'),
+          { name: 'admin' },
+          '',
+          issues
+        );
+        assert.deepEqual(issues, [
+          {
+            path: '/name',
+            keyword: 'not',
+            message: 'Value matches a schema it must not match',
+          },
+        ]);
+      });
+
+      it('reports a value matching more than one oneOf member', () => {
+        const issues = [];
+        element._validateValue(payloadSchema('/amounts'), 1, '', issues);
+        assert.deepEqual(issues, [
+          {
+            path: '',
+            keyword: 'oneOf',
+            message: 'Value matches 2 members of the union',
+          },
+        ]);
+      });
+
+      it('accepts a value matching one oneOf member', () => {
+        const issues = [];
+        element._validateValue(payloadSchema('/amounts'), 1.5, '', issues);
+        assert.deepEqual(issues, []);
+      });
+    });
+  });
+
+  describe('Discriminator in oneOf', () => {
+    let element;
+    let amf;
+
+    before(async () => {
+      amf = await AmfLoader.load(true, 'discriminator-oas');
+    });
+
+    beforeEach(() => {
+      element = new ExampleGenerator(amf);
+    });
+
+    it('uses the mapping of the oneOf discriminator', () => {
+      const payloads = AmfLoader.lookupPayload(amf, '/animals', 'post');
+      const [result] = element.generatePayloadsExamples(
+        payloads,
+        'application/json'
+      );
+      assert.deepEqual(
+        result.values.map(item => JSON.parse(item.value).petType),
+        ['kitty', 'Dog']
+      );
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Request and response direction', () => {
+  const apiFile = 'direction';
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String=} mime
+       * @param {Object=} opts
+       * @return {String} The value of the request example
+       */
+      function request(mime = 'application/json', opts) {
+        const payloads = AmfLoader.lookupPayload(amf, '/users', 'post');
+        return element.generatePayloadsExamples(payloads, mime, opts)[0].value;
+      }
+
+      /**
+       * @param {String=} mime
+       * @param {Object=} opts
+       * @return {String} The value of the response example
+       */
+      function response(mime = 'application/json', opts) {
+        const payloads = AmfLoader.lookupReturnsPayload(
+          amf,
+          '/users',
+          'post',
+          201
+        );
+        return element.generatePayloadsExamples(payloads, mime, opts)[0].value;
+      }
+
+      it('omits readOnly properties of a request', () => {
+        assert.deepEqual(JSON.parse(request()), {
+          name: 'Jane',
+          password: 'secret',
+          profile: { pin: '1234', bio: 'Hello' },
+        });
+      });
+
+      it('omits writeOnly properties of a response', () => {
+        assert.deepEqual(JSON.parse(response()), {
+          id: 7,
+          name: 'Jane',
+          profile: { createdAt: '2020-01-01', bio: 'Hello' },
+        });
+      });
+
+      it('omits properties in a XML example', () => {
+        const requestValue = request('application/xml');
+        assert.notInclude(requestValue, '<id>');
+        assert.notInclude(requestValue, '<createdAt>');
+        assert.include(requestValue, '<pin>1234</pin>');
+        const responseValue = response('application/xml');
+        assert.include(responseValue, '<id>7</id>');
+        assert.notInclude(responseValue, '<password>');
+        assert.notInclude(responseValue, '<pin>');
+      });
+
+      it('renders readOnly properties of a request with renderReadOnly', () => {
+        const result = JSON.parse(
+          request('application/json', { renderReadOnly: true })
+        );
+        assert.equal(result.id, 7);
+        assert.equal(result.profile.createdAt, '2020-01-01');
+      });
+
+      it('uses the direction option over the payload direction', () => {
+        const result = JSON.parse(
+          request('application/json', { direction: 'response' })
+        );
+        assert.equal(result.id, 7);
+        assert.isUndefined(result.password);
+      });
+
+      it('sets the direction of operation examples', () => {
+        const operation = AmfLoader.lookupOperation(amf, '/users', 'post');
+        const result = element.generateOperationExamples(operation);
+        const requestValue = JSON.parse(
+          result.request['application/json'][0].value
+        );
+        const responseValue = JSON.parse(
+          result.responses['201']['application/json'][0].value
+        );
+        assert.isUndefined(requestValue.id);
+        assert.equal(requestValue.password, 'secret');
+        assert.equal(responseValue.id, 7);
+        assert.isUndefined(responseValue.password);
+      });
+
+      it('computes payload directions once per model', () => {
+        let count = 0;
+        const original = element._computeEndpoints;
+        element._computeEndpoints = (...args) => {
+          count += 1;
+          return original.apply(element, args);
+        };
+        request();
+        response();
+        request('application/xml');
+        assert.equal(count, 1);
+      });
+
+      it('computes payload directions again when the model changes', () => {
+        const directions = element._computePayloadDirections();
+        element.amf = undefined;
+        assert.deepEqual(element._computePayloadDirections(), {});
+        element.amf = amf;
+        const result = element._computePayloadDirections();
+        assert.notStrictEqual(result, directions);
+        assert.deepEqual(result, directions);
+      });
+
+      it('omits only readOnly properties of a shape without a direction', () => {
+        const shape = AmfLoader.lookupType(amf, 'User');
+        const [result] = element.computeExamples(shape, 'application/json');
+        assert.deepEqual(JSON.parse(result.value), {
+          name: 'Jane',
+          password: 'secret',
+          profile: {
+            createdAt: '2020-01-01',
+            pin: '1234',
+            bio: 'Hello',
+          },
+        });
+      });
+
+      it('omits properties of a shape with the direction option', () => {
+        const shape = AmfLoader.lookupType(amf, 'User');
+        const [result] = element.computeExamples(shape, 'application/json', {
+          direction: 'response',
+        });
+        assert.deepEqual(JSON.parse(result.value), {
+          id: 7,
+          name: 'Jane',
+          profile: { createdAt: '2020-01-01', bio: 'Hello' },
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Discriminator', () => {
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      describe('RAML', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'discriminator'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} path
+         * @param {String} mime
+         * @return {Object} The first generated example
+         */
+        function generate(path, mime) {
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          return element.generatePayloadsExamples(payloads, mime)[0];
+        }
+
+        it('sets the discriminatorValue of a type', () => {
+          const result = generate('/cats', 'application/json');
+          assert.equal(JSON.parse(result.value).kind, 'cat');
+        });
+
+        it('sets the discriminator of each union member', () => {
+          const result = generate('/animals', 'application/json');
+          const values = result.values.map(item => JSON.parse(item.value).kind);
+          assert.deepEqual(values, ['cat', 'Dog']);
+        });
+
+        it('generates an example for each subtype of a parent', () => {
+          const result = generate('/pets', 'application/json');
+          assert.isTrue(result.hasUnion);
+          assert.deepEqual(
+            result.values.map(item => item.title),
+            ['Cat', 'Dog']
+          );
+          assert.deepEqual(JSON.parse(result.values[1].value), {
+            barks: 'woof',
+            name: 'Rex',
+            kind: 'Dog',
+          });
+        });
+
+        it('does not list types of other hierarchies as subtypes', () => {
+          const result = generate('/vehicles', 'application/json');
+          assert.deepEqual(
+            result.values.map(item => item.title),
+            ['Car']
+          );
+          assert.deepEqual(JSON.parse(result.values[0].value), {
+            wheels: 4,
+            kind: 'Car',
+            name: '',
+          });
+        });
+
+        it('sets the discriminator of a nested object', () => {
+          const result = generate('/owners', 'application/json');
+          assert.equal(JSON.parse(result.value).pet.kind, 'cat');
+        });
+
+        it('sets the discriminator in a XML example', () => {
+          const result = generate('/pets', 'application/xml');
+          assert.include(result.values[0].value, '<kind>cat</kind>');
+          assert.include(result.values[1].value, '<kind>Dog</kind>');
+        });
+
+        it('sets the discriminator of a nested XML element', () => {
+          const result = generate('/owners', 'application/xml');
+          assert.include(result.value, '<kind>cat</kind>');
+        });
+      });
+
+      describe('OAS', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'discriminator-oas'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} path
+         * @return {Object} The first generated example
+         */
+        function generate(path) {
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          return element.generatePayloadsExamples(
+            payloads,
+            'application/json'
+          )[0];
+        }
+
+        it('uses the mapping of the discriminator in allOf', () => {
+          const result = generate('/cats');
+          assert.deepEqual(JSON.parse(result.value), {
+            petType: 'kitty',
+            name: 'Rex',
+            meows: true,
+          });
+        });
+
+        it('generates an example for each schema extending a parent', () => {
+          const result = generate('/pets');
+          assert.deepEqual(
+            result.values.map(item => item.title),
+            ['Cat', 'Dog']
+          );
+          assert.equal(JSON.parse(result.values[1].value).petType, 'Dog');
+        });
+      });
+    });
+  });
+});
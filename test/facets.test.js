@@ -0,0 +1,696 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import { stringFromPattern, generateString } from '../src/StringGenerator.js';
+import { generateNumber } from '../src/NumberGenerator.js';
+import { generateFormattedValue } from '../src/FormatGenerator.js';
+
+describe('Shape facets', () => {
+  const apiFile = 'facets';
+
+  describe('stringFromPattern()', () => {
+    [
+      '^[a-z]+$',
+      '^[A-Z]{3}-\\d{4}$',
+      '^\\w+@\\w+\\.com$',
+      '^(foo|bar)baz?$',
+      '^[^0-9\\s]{2,}$',
+      '^\\(\\d{3}\\) \\d{3}-\\d{4}$',
+      '^(?:[a-f0-9]{2}:){5}[a-f0-9]{2}$',
+      '^(?<year>\\d{4})-(?<month>\\d{2})$',
+      '^\\u0041\\x42.$',
+      'abc',
+    ].forEach(pattern => {
+      it(`generates a value matching ${pattern}`, () => {
+        const result = stringFromPattern(pattern);
+        assert.match(result, new RegExp(pattern));
+      });
+    });
+
+    it('generates the shortest value', () => {
+      assert.equal(stringFromPattern('^[a-z]+\\d*$'), 'a');
+    });
+
+    it('repeats quantified atoms to satisfy minimum length', () => {
+      assert.equal(stringFromPattern('^[a-z]+\\d*$', 5), 'aaaaa');
+    });
+
+    it('respects quantifier upper bound', () => {
+      assert.equal(stringFromPattern('^a{1,3}b*$', 6), 'aaabbb');
+    });
+
+    it('counts nested repetitions once', () => {
+      assert.equal(stringFromPattern('^(a+b)+$', 4), 'aaab');
+    });
+
+    [
+      '^(?=.*\\d)[a-z\\d]{8}$',
+      '^(?!admin).+$',
+      '^(a)\\1$',
+      '^\\bword\\b$',
+      '^[a-z',
+      '^+a$',
+    ].forEach(pattern => {
+      it(`returns undefined for unsupported pattern ${pattern}`, () => {
+        assert.isUndefined(stringFromPattern(pattern));
+      });
+    });
+  });
+
+  describe('generateString()', () => {
+    it('returns an empty string without constraints', () => {
+      assert.equal(generateString(), '');
+    });
+
+    it('generates a value of minimum length', () => {
+      assert.equal(generateString({ minLength: 3, maxLength: 10 }), 'aaa');
+    });
+
+    it('generates a value matching the pattern', () => {
+      assert.equal(generateString({ pattern: '^[0-9]{3}$' }), '000');
+    });
+
+    it('falls back to length constraints for unsupported pattern', () => {
+      const result = generateString({
+        pattern: '^(?=.*\\d).+$',
+        minLength: 2,
+      });
+      assert.equal(result, 'aa');
+    });
+
+    it('falls back when the value exceeds maximum length', () => {
+      const result = generateString({ pattern: '^[a-z]{5}$', maxLength: 3 });
+      assert.equal(result, '');
+    });
+  });
+
+  describe('generateNumber()', () => {
+    it('returns 0 without constraints', () => {
+      assert.equal(generateNumber(), 0);
+    });
+
+    it('returns 0 when it is in the bounds', () => {
+      assert.equal(generateNumber({ minimum: -5, maximum: 5 }), 0);
+    });
+
+    it('returns the minimum', () => {
+      assert.equal(generateNumber({ minimum: 2.5, maximum: 5 }), 2.5);
+    });
+
+    it('returns the maximum', () => {
+      assert.equal(generateNumber({ maximum: -3, integer: true }), -3);
+    });
+
+    it('rounds the minimum for integers', () => {
+      assert.equal(generateNumber({ minimum: 2.5, integer: true }), 3);
+    });
+
+    it('respects exclusive minimum of an integer', () => {
+      const result = generateNumber({
+        minimum: 5,
+        exclusiveMinimum: true,
+        integer: true,
+      });
+      assert.equal(result, 6);
+    });
+
+    it('respects exclusive maximum of an integer', () => {
+      const result = generateNumber({
+        maximum: -5,
+        exclusiveMaximum: true,
+        integer: true,
+      });
+      assert.equal(result, -6);
+    });
+
+    it('returns a number between exclusive bounds', () => {
+      const result = generateNumber({
+        minimum: 1,
+        maximum: 2,
+        exclusiveMinimum: true,
+        exclusiveMaximum: true,
+      });
+      assert.equal(result, 1.5);
+    });
+
+    it('returns a number above exclusive minimum', () => {
+      const result = generateNumber({ minimum: 0, exclusiveMinimum: true });
+      assert.equal(result, 1);
+    });
+
+    it('returns a multiple of multipleOf', () => {
+      const result = generateNumber({ minimum: 7, multipleOf: 5 });
+      assert.equal(result, 10);
+    });
+
+    it('returns a decimal multiple of multipleOf', () => {
+      const result = generateNumber({ minimum: 0.3, multipleOf: 0.1 });
+      assert.equal(result, 0.3);
+    });
+
+    it('returns a multiple above exclusive minimum', () => {
+      const result = generateNumber({
+        minimum: 10,
+        exclusiveMinimum: true,
+        multipleOf: 5,
+      });
+      assert.equal(result, 15);
+    });
+
+    it('returns a negative multiple', () => {
+      const result = generateNumber({ maximum: -1, multipleOf: 3 });
+      assert.equal(result, -3);
+    });
+
+    it('ignores multipleOf when there is no multiple in the bounds', () => {
+      const result = generateNumber({ minimum: 6, maximum: 9, multipleOf: 10 });
+      assert.equal(result, 6);
+    });
+
+    it('ignores multipleOf when the multiple is not an integer', () => {
+      const result = generateNumber({
+        minimum: 1.2,
+        maximum: 1.8,
+        multipleOf: 0.5,
+        integer: true,
+      });
+      assert.equal(result, 2);
+    });
+  });
+
+  describe('generateFormattedValue()', () => {
+    const date = new Date(Date.UTC(2021, 4, 9, 7, 5, 3));
+
+    [
+      ['date-only', '2021-05-09'],
+      ['time-only', '07:05:03'],
+      ['datetime-only', '2021-05-09T07:05:03'],
+      ['rfc3339', '2021-05-09T07:05:03Z'],
+      ['rfc2616', 'Sun, 09 May 2021 07:05:03 GMT'],
+      ['date', '2021-05-09'],
+      ['date-time', '2021-05-09T07:05:03Z'],
+    ].forEach(([format, expected]) => {
+      it(`generates ${format} value`, () => {
+        assert.equal(generateFormattedValue(format, date), expected);
+      });
+    });
+
+    [
+      [
+        'uuid',
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+      ],
+      ['email', /^[^@\s]+@[^@\s]+\.[a-z]+$/],
+      ['uri', /^https?:\/\/[^\s]+$/],
+      ['ipv4', /^(\d{1,3}\.){3}\d{1,3}$/],
+      ['ipv6', /^[0-9a-f:]+$/],
+      ['byte', /^[A-Za-z0-9+/]+={0,2}$/],
+    ].forEach(([format, pattern]) => {
+      it(`generates ${format} value`, () => {
+        assert.match(
+          generateFormattedValue(String(format)),
+          /** @type RegExp */ (pattern)
+        );
+      });
+    });
+
+    it('is case insensitive', () => {
+      assert.equal(
+        generateFormattedValue('UUID'),
+        generateFormattedValue('uuid')
+      );
+    });
+
+    it('returns undefined for unknown format', () => {
+      assert.isUndefined(generateFormattedValue('custom'));
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @return {Object} Generated example value of the Account type
+       */
+      function generateAccount() {
+        const payloads = AmfLoader.lookupPayload(amf, '/accounts', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        return JSON.parse(example.value);
+      }
+
+      it('generates string matching the pattern', () => {
+        const result = generateAccount();
+        assert.equal(result.username, 'aaa');
+        assert.equal(result.code, 'AAA-0000');
+      });
+
+      it('generates string of minimum length', () => {
+        const result = generateAccount();
+        assert.equal(result.pin, 'aaaa');
+      });
+
+      it('generates string matching pattern and minimum length', () => {
+        const result = generateAccount();
+        assert.equal(result.label, 'draft-v00000');
+      });
+
+      it('falls back for unsupported pattern', () => {
+        const result = generateAccount();
+        assert.equal(result.reference, '');
+      });
+
+      it('generates empty string when only maximum length is set', () => {
+        const result = generateAccount();
+        assert.equal(result.comment, '');
+      });
+
+      it('generates XML elements matching string facets', () => {
+        const shape = AmfLoader.lookupType(amf, 'Account');
+        const [result] = element.computeExamples(shape, 'application/xml');
+        assert.include(result.value, '<username>aaa</username>');
+        assert.include(result.value, '<code>AAA-0000</code>');
+        assert.include(result.value, '<pin>aaaa</pin>');
+        assert.include(result.value, '<label>draft-v00000</label>');
+      });
+
+      /**
+       * @return {Object} Generated example value of the Measurement type
+       */
+      function generateMeasurement() {
+        const payloads = AmfLoader.lookupPayload(amf, '/measurements', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        return JSON.parse(example.value);
+      }
+
+      it('generates integer within minimum and maximum', () => {
+        const result = generateMeasurement();
+        assert.equal(result.count, 5);
+        assert.equal(result.level, 100);
+      });
+
+      it('generates number within minimum and maximum', () => {
+        const result = generateMeasurement();
+        assert.equal(result.score, 2.5);
+      });
+
+      it('generates integer below maximum', () => {
+        const result = generateMeasurement();
+        assert.equal(result.negative, -3);
+      });
+
+      it('generates a multiple of multipleOf', () => {
+        const result = generateMeasurement();
+        assert.equal(result.step, 10);
+        assert.equal(result.ratio, 0.5);
+      });
+
+      it('generates 0 when number has no facets', () => {
+        const result = generateMeasurement();
+        assert.equal(result.plain, 0);
+      });
+
+      it('generates XML elements within numeric facets', () => {
+        const shape = AmfLoader.lookupType(amf, 'Measurement');
+        const [result] = element.computeExamples(shape, 'application/xml');
+        assert.include(result.value, '<count>5</count>');
+        assert.include(result.value, '<score>2.5</score>');
+        assert.include(result.value, '<step>10</step>');
+        assert.include(result.value, '<negative>-3</negative>');
+        assert.include(result.value, '<plain></plain>');
+      });
+
+      /**
+       * @param {String} mime
+       * @return {String} Generated example value of the Event type
+       */
+      function generateEvent(mime) {
+        const payloads = AmfLoader.lookupPayload(amf, '/events', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        return example.value;
+      }
+
+      it('generates date and time values', () => {
+        const result = JSON.parse(generateEvent('application/json'));
+        assert.equal(result.day, '2020-01-15');
+        assert.equal(result.start, '10:30:00');
+        assert.equal(result.local, '2020-01-15T10:30:00');
+        assert.deepEqual(result.dates, ['2020-01-15']);
+      });
+
+      it('generates datetime value using rfc3339 by default', () => {
+        const result = JSON.parse(generateEvent('application/json'));
+        assert.equal(result.created, '2020-01-15T10:30:00Z');
+        assert.equal(result.createdRfc3339, '2020-01-15T10:30:00Z');
+      });
+
+      it('generates datetime value using rfc2616 format', () => {
+        const result = JSON.parse(generateEvent('application/json'));
+        assert.equal(result.modified, 'Wed, 15 Jan 2020 10:30:00 GMT');
+      });
+
+      it('uses the first enum member', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/shirts', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        const result = JSON.parse(example.value);
+        assert.equal(result.color, 'red');
+        assert.strictEqual(result.size, 38);
+      });
+
+      it('prefers default value over enum', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/shirts', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        const result = JSON.parse(example.value);
+        assert.equal(result.fit, 'regular');
+      });
+
+      it('uses enum member selected with enumIndex option', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/shirts', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json',
+          { enumIndex: 2 }
+        );
+        const result = JSON.parse(example.value);
+        assert.equal(result.color, 'blue');
+        assert.strictEqual(result.size, 42);
+      });
+
+      it('uses the first enum member in XML', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/shirts', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/xml'
+        );
+        assert.include(example.value, '>red</');
+        assert.include(example.value, '>38</');
+      });
+
+      it('uses the first enum member for a scalar payload', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/colors', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        assert.equal(example.value, 'red');
+        assert.isTrue(example.isScalar);
+      });
+
+      it('lists every enum member of an union', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/statuses', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        assert.isTrue(example.hasUnion);
+        const values = example.values.map(item => item.value);
+        assert.deepEqual(values, ['active', 'pending', 'closed']);
+        const titles = example.values.map(item => item.title);
+        assert.deepEqual(titles, ['active', 'pending', 'closed']);
+      });
+
+      /**
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {String} Generated example value of the Cart type
+       */
+      function generateCart(mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, '/carts', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          mime,
+          opts
+        );
+        return example.value;
+      }
+
+      it('generates minItems number of items', () => {
+        const result = JSON.parse(generateCart('application/json'));
+        assert.deepEqual(result.tags, ['', '', '']);
+      });
+
+      it('generates arrayItemsCount number of items', () => {
+        const result = JSON.parse(
+          generateCart('application/json', { arrayItemsCount: 5 })
+        );
+        assert.lengthOf(result.tags, 5);
+        assert.lengthOf(result.lines, 5);
+      });
+
+      it('limits number of items to maxItems', () => {
+        const result = JSON.parse(
+          generateCart('application/json', { arrayItemsCount: 5 })
+        );
+        assert.lengthOf(result.codes, 4);
+        assert.lengthOf(result.flags, 1);
+      });
+
+      it('generates empty array when arrayItemsCount is 0', () => {
+        const result = JSON.parse(
+          generateCart('application/json', { arrayItemsCount: 0 })
+        );
+        assert.deepEqual(result.flags, []);
+        assert.lengthOf(result.tags, 3);
+      });
+
+      it('generates distinct strings for unique items', () => {
+        const result = JSON.parse(generateCart('application/json'));
+        assert.deepEqual(result.codes, ['', 'mkqnws']);
+      });
+
+      it('generates distinct numbers for unique items', () => {
+        const result = JSON.parse(generateCart('application/json'));
+        assert.deepEqual(result.quantities, [1, 2, 3]);
+      });
+
+      it('uses consecutive enum members for unique items', () => {
+        const result = JSON.parse(generateCart('application/json'));
+        assert.deepEqual(result.sizes, [38, 40]);
+      });
+
+      it('stops when enum members are exhausted', () => {
+        const result = JSON.parse(
+          generateCart('application/json', { arrayItemsCount: 5 })
+        );
+        assert.deepEqual(result.sizes, [38, 40, 42]);
+      });
+
+      it('generates distinct objects for unique items', () => {
+        const result = JSON.parse(generateCart('application/json'));
+        assert.deepEqual(result.lines, [
+          { sku: '', count: 0 },
+          { sku: 'mkqnws', count: 475 },
+        ]);
+      });
+
+      it('repeats XML elements of an array', () => {
+        const result = generateCart('application/xml');
+        assert.include(
+          result,
+          '<tags>\n    <tag></tag>\n    <tag></tag>\n    <tag></tag>\n  </tags>'
+        );
+        assert.include(
+          result,
+          '<sizes>\n    <Size>38</Size>\n    <Size>40</Size>\n  </sizes>'
+        );
+      });
+
+      it('repeats XML elements of an array of objects', () => {
+        const result = generateCart('application/xml');
+        assert.include(
+          result,
+          '<lines>\n    <sku></sku>\n    <count></count>\n    <sku>mkqnws</sku>\n    <count>475</count>\n  </lines>'
+        );
+      });
+
+      it('generates distinct values for unique items in XML', () => {
+        const result = generateCart('application/xml');
+        assert.include(
+          result,
+          '<codes>\n    <items></items>\n    <items>mkqnws</items>\n  </codes>'
+        );
+        assert.include(
+          result,
+          '<quantities>\n    <items>1</items>\n    <items>2</items>\n    <items>3</items>\n  </quantities>'
+        );
+      });
+
+      it('uses arrayItemsCount option in XML', () => {
+        const result = generateCart('application/xml', { arrayItemsCount: 5 });
+        assert.include(
+          result,
+          '<tags>\n    <tag></tag>\n    <tag></tag>\n    <tag></tag>\n    <tag></tag>\n    <tag></tag>\n  </tags>'
+        );
+      });
+
+      it('generates date and time values in XML', () => {
+        const result = generateEvent('application/xml');
+        assert.include(result, '<day>2020-01-15</day>');
+        assert.include(result, '<start>10:30:00</start>');
+        assert.include(
+          result,
+          '<modified>Wed, 15 Jan 2020 10:30:00 GMT</modified>'
+        );
+      });
+    });
+
+    describe(`OAS: ${label}`, () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(
+          /** @type Boolean */ (compact),
+          'facets-oas'
+        );
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @return {Object} Generated example value of the Measurement schema
+       */
+      function generateMeasurement() {
+        const payloads = AmfLoader.lookupPayload(amf, '/measurements', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json'
+        );
+        return JSON.parse(example.value);
+      }
+
+      it('respects exclusive bounds of an integer', () => {
+        const result = generateMeasurement();
+        assert.equal(result.count, 6);
+      });
+
+      it('respects exclusive minimum of a number', () => {
+        const result = generateMeasurement();
+        assert.equal(result.score, 1);
+      });
+
+      it('respects exclusive maximum of a float', () => {
+        const result = generateMeasurement();
+        assert.equal(result.capped, 0);
+      });
+
+      it('generates a multiple of multipleOf above the minimum', () => {
+        const result = generateMeasurement();
+        assert.equal(result.even, 4);
+      });
+
+      /**
+       * @param {String} mime
+       * @return {String} Generated example value of the Resource schema
+       */
+      function generateResource(mime) {
+        const payloads = AmfLoader.lookupPayload(amf, '/resources', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        return example.value;
+      }
+
+      it('generates values for string formats', () => {
+        const result = JSON.parse(generateResource('application/json'));
+        assert.equal(result.id, '3fa85f64-5717-4562-b3fc-2c963f66afa6');
+        assert.equal(result.email, 'user@example.com');
+        assert.equal(result.homepage, 'https://example.com/path');
+        assert.equal(result.ipv4, '192.168.0.1');
+        assert.equal(result.ipv6, '2001:db8::1');
+        assert.equal(result.data, 'ZXhhbXBsZQ==');
+        assert.equal(result.hostname, 'example.com');
+      });
+
+      it('generates values for date formats', () => {
+        const result = JSON.parse(generateResource('application/json'));
+        assert.equal(result.birthday, '2020-01-15');
+        assert.equal(result.created, '2020-01-15T10:30:00Z');
+      });
+
+      it('generates empty string for unknown format', () => {
+        const result = JSON.parse(generateResource('application/json'));
+        assert.equal(result.unknown, '');
+      });
+
+      /**
+       * @param {String} mime
+       * @return {String} Generated example value of the UniqueLists schema
+       */
+      function generateUniqueLists(mime) {
+        const payloads = AmfLoader.lookupPayload(amf, '/unique-lists', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        return example.value;
+      }
+
+      it('generates unique items matching a pattern', () => {
+        const { pins } = JSON.parse(generateUniqueLists('application/json'));
+        assert.lengthOf(pins, 3);
+        assert.lengthOf(Array.from(new Set(pins)), 3);
+        pins.forEach(pin => assert.match(pin, /^\d{4}$/));
+      });
+
+      it('generates unique items of a format', () => {
+        const { ids } = JSON.parse(generateUniqueLists('application/json'));
+        assert.lengthOf(ids, 3);
+        assert.lengthOf(Array.from(new Set(ids)), 3);
+        ids.forEach(id =>
+          assert.match(
+            id,
+            /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+          )
+        );
+      });
+
+      it('generates fewer unique items when no valid value exists', () => {
+        const { levels, flags } = JSON.parse(
+          generateUniqueLists('application/json')
+        );
+        assert.deepEqual(levels, [0, 1]);
+        assert.deepEqual(flags, [false, true]);
+      });
+
+      it('generates the same unique items in XML', () => {
+        const { pins } = JSON.parse(generateUniqueLists('application/json'));
+        const result = generateUniqueLists('application/xml');
+        assert.include(
+          result,
+          `<pins>\n${pins
+            .map(pin => `    <items>${pin}</items>\n`)
+            .join('')}  </pins>`
+        );
+      });
+
+      it('generates values for string formats in XML', () => {
+        const result = generateResource('application/xml');
+        assert.include(result, '<id>3fa85f64-5717-4562-b3fc-2c963f66afa6</id>');
+        assert.include(result, '<email>user@example.com</email>');
+        assert.include(result, '<ipv4>192.168.0.1</ipv4>');
+      });
+    });
+  });
+});
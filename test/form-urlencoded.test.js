@@ -0,0 +1,105 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import { toUrlEncoded, encodeFormValue } from '../src/UrlEncodedSerializer.js';
+
+describe('application/x-www-form-urlencoded examples', () => {
+  const apiFile = 'form-urlencoded';
+  const mime = 'application/x-www-form-urlencoded';
+
+  describe('encodeFormValue()', () => {
+    it('encodes spaces as "+"', () => {
+      assert.equal(encodeFormValue('a b'), 'a+b');
+    });
+
+    it('encodes reserved characters', () => {
+      assert.equal(encodeFormValue('a&b=c'), 'a%26b%3Dc');
+    });
+  });
+
+  describe('toUrlEncoded()', () => {
+    it('serializes an object', () => {
+      const result = toUrlEncoded({ a: 'b', c: 1, d: true, e: null });
+      assert.equal(result, 'a=b&c=1&d=true&e=');
+    });
+
+    it('serializes nested objects with brackets', () => {
+      const result = toUrlEncoded({ a: { b: { c: 'd' } } });
+      assert.equal(result, 'a%5Bb%5D%5Bc%5D=d');
+    });
+
+    it('repeats keys for array values by default', () => {
+      const result = toUrlEncoded({ tags: ['a', 'b'] });
+      assert.equal(result, 'tags=a&tags=b');
+    });
+
+    it('adds brackets to array keys', () => {
+      const result = toUrlEncoded(
+        { tags: ['a', 'b'] },
+        { arrayFormat: 'brackets' }
+      );
+      assert.equal(result, 'tags%5B%5D=a&tags%5B%5D=b');
+    });
+
+    it('adds indexes to array of objects keys', () => {
+      const result = toUrlEncoded(
+        { items: [{ a: 1 }, { a: 2 }] },
+        { arrayFormat: 'brackets' }
+      );
+      assert.equal(result, 'items%5B0%5D%5Ba%5D=1&items%5B1%5D%5Ba%5D=2');
+    });
+
+    it('serializes a scalar value', () => {
+      assert.equal(toUrlEncoded('a b'), 'a+b');
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      it('generates form data from properties', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/register', 'post');
+        const result = element.generatePayloadsExamples(payloads, mime);
+        assert.lengthOf(result, 1);
+        assert.equal(
+          result[0].value,
+          'name=&age=0&subscribe=false&tags=&address%5Bstreet%5D=&address%5Bcity%5D='
+        );
+      });
+
+      it('generates form data from declared example', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/search', 'post');
+        const result = element.generatePayloadsExamples(payloads, mime);
+        assert.lengthOf(result, 1);
+        assert.equal(
+          result[0].value,
+          'q=api+%26+docs&filters=recent&filters=popular&page%5Bsize%5D=10&page%5Bnumber%5D=1'
+        );
+      });
+
+      it('uses brackets for arrays when configured', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/search', 'post');
+        const result = element.generatePayloadsExamples(payloads, mime, {
+          urlEncodedArrayFormat: 'brackets',
+        });
+        assert.include(
+          result[0].value,
+          'filters%5B%5D=recent&filters%5B%5D=popular'
+        );
+      });
+    });
+  });
+});
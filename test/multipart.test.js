@@ -0,0 +1,215 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import {
+  toMultipart,
+  DEFAULT_MULTIPART_BOUNDARY,
+} from '../src/MultipartSerializer.js';
+
+describe('multipart/form-data examples', () => {
+  const mime = 'multipart/form-data';
+  const boundary = `--${DEFAULT_MULTIPART_BOUNDARY}`;
+
+  describe('toMultipart()', () => {
+    it('serializes a text part', () => {
+      const result = toMultipart([{ name: 'a', value: 'b' }], 'x');
+      assert.equal(
+        result,
+        '--x\r\nContent-Disposition: form-data; name="a"\r\n\r\nb\r\n--x--\r\n'
+      );
+    });
+
+    it('serializes a file part', () => {
+      const result = toMultipart(
+        [
+          {
+            name: 'a',
+            value: 'b',
+            filename: 'a.png',
+            contentType: 'image/png',
+          },
+        ],
+        'x'
+      );
+      assert.include(
+        result,
+        'Content-Disposition: form-data; name="a"; filename="a.png"\r\nContent-Type: image/png\r\n'
+      );
+    });
+
+    it('adds part headers', () => {
+      const result = toMultipart(
+        [{ name: 'a', value: 'b', headers: { 'x-test': 'true' } }],
+        'x'
+      );
+      assert.include(result, '\r\nx-test: true\r\n\r\nb\r\n');
+    });
+
+    it('encodes quotes in the name', () => {
+      const result = toMultipart([{ name: 'a"b', value: '' }], 'x');
+      assert.include(result, 'name="a%22b"');
+    });
+
+    it('uses the default boundary', () => {
+      const result = toMultipart([]);
+      assert.equal(result, `--${DEFAULT_MULTIPART_BOUNDARY}--\r\n`);
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(`RAML: ${label}`, () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), 'multipart');
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      it('creates a part for each property', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        const { value } = example;
+        assert.include(
+          value,
+          `${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\n\r\n`
+        );
+        assert.include(
+          value,
+          `${boundary}\r\nContent-Disposition: form-data; name="count"\r\n\r\n0\r\n`
+        );
+        assert.isTrue(value.endsWith(`${boundary}--\r\n`));
+      });
+
+      it('serializes object properties as JSON', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.include(
+          example.value,
+          'name="meta"\r\nContent-Type: application/json\r\n\r\n{\n  "author": ""\n}\r\n'
+        );
+      });
+
+      it('uses file type for file parts', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.include(
+          example.value,
+          'name="attachment"; filename="attachment.png"\r\nContent-Type: image/png\r\n\r\n(binary data)\r\n'
+        );
+      });
+
+      it('uses default content type for file parts', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.include(
+          example.value,
+          'name="document"; filename="document.bin"\r\nContent-Type: application/octet-stream\r\n'
+        );
+      });
+
+      it('uses the boundary from options', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime, {
+          multipartBoundary: 'test-boundary',
+        });
+        assert.isTrue(example.value.startsWith('--test-boundary\r\n'));
+        assert.isTrue(example.value.endsWith('--test-boundary--\r\n'));
+      });
+
+      it('creates a body from declared example', () => {
+        const payloads = AmfLoader.lookupPayload(
+          amf,
+          '/upload-example',
+          'post'
+        );
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.equal(
+          example.value,
+          `${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\nReport\r\n` +
+            `${boundary}\r\nContent-Disposition: form-data; name="count"\r\n\r\n2\r\n` +
+            `${boundary}--\r\n`
+        );
+      });
+
+      it('creates a file part from declared example', () => {
+        const payloads = AmfLoader.lookupPayload(
+          amf,
+          '/upload-file-example',
+          'post'
+        );
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.equal(
+          example.value,
+          `${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\nReport\r\n` +
+            `${boundary}\r\nContent-Disposition: form-data; name="attachment"; filename="attachment.png"\r\n` +
+            `Content-Type: image/png\r\n\r\nPNG content\r\n` +
+            `${boundary}--\r\n`
+        );
+      });
+    });
+
+    describe(`OAS: ${label}`, () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(
+          /** @type Boolean */ (compact),
+          'multipart-oas'
+        );
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      it('uses encoding content type for a binary property', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.include(
+          example.value,
+          'name="profileImage"; filename="profileImage.png"\r\nContent-Type: image/png\r\n'
+        );
+      });
+
+      it('adds encoding headers', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.include(
+          example.value,
+          'Content-Type: image/png\r\nX-Rate-Limit-Limit: 0\r\n\r\n'
+        );
+      });
+
+      it('uses encoding content type for an object property', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const [example] = element.generatePayloadsExamples(payloads, mime);
+        assert.include(
+          example.value,
+          'name="address"\r\nContent-Type: application/json\r\n\r\n{\n  "city": ""\n}\r\n'
+        );
+      });
+
+      it('reads encoding definitions of a payload', () => {
+        const [payload] = AmfLoader.lookupPayload(amf, '/upload', 'post');
+        const result = element._readPayloadEncoding(payload);
+        assert.deepEqual(result, {
+          profileImage: {
+            contentType: 'image/png',
+            headers: { 'X-Rate-Limit-Limit': '0' },
+          },
+          address: {
+            contentType: 'application/json',
+          },
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Nullable types', () => {
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      describe('RAML', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'nullable'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} path
+         * @param {String} mime
+         * @param {Object=} opts
+         * @return {Array<Object>} Generated examples
+         */
+        function generate(path, mime, opts) {
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          return element.generatePayloadsExamples(payloads, mime, opts);
+        }
+
+        it('prefers the member that is not nil', () => {
+          const [result] = generate('/people', 'application/json');
+          assert.deepEqual(JSON.parse(result.value), {
+            id: 7,
+            code: '',
+            nickname: 'Jay',
+            middleName: '',
+            age: 0,
+            manager: { name: 'Jane' },
+          });
+        });
+
+        it('renders XML elements of nullable properties', () => {
+          const [result] = generate('/people', 'application/xml');
+          assert.include(result.value, '<nickname>Jay</nickname>');
+          assert.include(result.value, '<age></age>');
+          assert.include(result.value, '<name>Jane</name>');
+          assert.notInclude(result.value, 'xsi:nil');
+        });
+
+        it('uses the property name for an attribute', () => {
+          const [result] = generate('/people', 'application/xml');
+          assert.include(result.value, '<Person code="string">');
+        });
+
+        it('generates a single example by default', () => {
+          assert.lengthOf(generate('/people', 'application/json'), 1);
+        });
+
+        it('generates an example with null values', () => {
+          const result = generate('/people', 'application/json', {
+            nullVariant: true,
+          });
+          assert.lengthOf(result, 2);
+          assert.isTrue(result[1].hasTitle);
+          assert.equal(result[1].title, 'null');
+          assert.deepEqual(JSON.parse(result[1].value), {
+            id: 7,
+            code: '',
+            nickname: null,
+            middleName: null,
+            age: null,
+            manager: null,
+          });
+        });
+
+        it('renders null values with xsi:nil', () => {
+          const { value } = generate('/people', 'application/xml', {
+            nullVariant: true,
+          })[1];
+          assert.include(
+            value,
+            '<Person code="string" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+          );
+          assert.include(value, '<nickname xsi:nil="true"/>');
+          assert.include(value, '<Manager xsi:nil="true"/>');
+          assert.include(value, '<id>7</id>');
+        });
+
+        it('generates the null example of a type with an example', () => {
+          const payloads = AmfLoader.lookupPayload(amf, '/names', 'post');
+          const result = element.generatePayloadsExamples(
+            payloads,
+            'application/json',
+            { nullVariant: true }
+          );
+          assert.lengthOf(result, 2);
+          assert.equal(result[0].value, 'Jane');
+          assert.equal(result[1].title, 'null');
+          assert.equal(result[1].value, 'null');
+        });
+
+        it('skips the nil member of an union', () => {
+          const [result] = generate('/tags', 'application/json');
+          assert.deepEqual(
+            result.values.map(item => item.title),
+            ['Tag', 'array_0']
+          );
+        });
+
+        it('generates the null example of a nullable type', () => {
+          const result = generate('/tags', 'application/json', {
+            nullVariant: true,
+          });
+          assert.lengthOf(result, 2);
+          assert.equal(result[1].title, 'null');
+          assert.equal(result[1].value, 'null');
+        });
+
+        it('generates the null XML example of a nullable type', () => {
+          const result = generate('/tags', 'application/xml', {
+            nullVariant: true,
+          });
+          assert.include(result[0].value, '<label>urgent</label>');
+          assert.include(
+            result[1].value,
+            'xsi:nil="true" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"/>'
+          );
+        });
+      });
+
+      describe('OAS', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'nullable-oas'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} mime
+         * @param {Object=} opts
+         * @return {Array<Object>} Generated examples
+         */
+        function generate(mime, opts) {
+          const payloads = AmfLoader.lookupPayload(amf, '/people', 'post');
+          return element.generatePayloadsExamples(payloads, mime, opts);
+        }
+
+        it('generates values of nullable schemas', () => {
+          const [result] = generate('application/json');
+          assert.deepEqual(JSON.parse(result.value), {
+            id: 7,
+            nickname: 'Jay',
+            age: 0,
+            manager: { name: 'Jane' },
+          });
+        });
+
+        it('renders XML elements of nullable schemas', () => {
+          const [result] = generate('application/xml');
+          assert.include(result.value, '<nickname>Jay</nickname>');
+          assert.include(result.value, '<manager>');
+        });
+
+        it('generates an example with null values', () => {
+          const result = generate('application/json', { nullVariant: true });
+          assert.deepEqual(JSON.parse(result[1].value), {
+            id: 7,
+            nickname: null,
+            age: null,
+            manager: null,
+          });
+        });
+
+        it('validates null values of nullable schemas', () => {
+          const shape = AmfLoader.lookupType(amf, 'Person');
+          const issues = [];
+          element._validateValue(
+            shape,
+            { id: 7, nickname: null, age: null },
+            '',
+            issues
+          );
+          assert.deepEqual(issues, []);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Operation examples', () => {
+  const apiFile = 'operation';
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} method
+       * @param {Object=} opts
+       * @return {Object} Generated examples of the operation
+       */
+      function generate(method, opts) {
+        const operation = AmfLoader.lookupOperation(amf, '/items/{id}', method);
+        return element.generateOperationExamples(operation, opts);
+      }
+
+      it('returns empty maps without an operation', () => {
+        assert.deepEqual(element.generateOperationExamples(undefined), {
+          request: {},
+          requestHeaders: {},
+          responses: {},
+          responseHeaders: {},
+        });
+      });
+
+      it('sets request examples keyed by the media type', () => {
+        const { request } = generate('put');
+        assert.deepEqual(Object.keys(request), [
+          'application/json',
+          'application/xml',
+        ]);
+        assert.deepEqual(JSON.parse(request['application/json'][0].value), {
+          id: 42,
+          name: 'Pencil',
+        });
+        assert.include(request['application/xml'][0].value, '<id>42</id>');
+      });
+
+      it('sets request headers examples', () => {
+        const { requestHeaders } = generate('put');
+        assert.deepEqual(Object.keys(requestHeaders), [
+          'Authorization',
+          'X-Request-Id',
+          'X-Priority',
+        ]);
+        assert.equal(requestHeaders.Authorization[0].value, 'Bearer abc');
+        assert.match(requestHeaders['X-Request-Id'][0].value, /^[a-f0-9]{8}$/);
+        assert.equal(requestHeaders['X-Priority'][0].value, '1');
+      });
+
+      it('sets response examples keyed by the status code', () => {
+        const { responses } = generate('put');
+        assert.deepEqual(Object.keys(responses), ['200', '204', '404']);
+        assert.deepEqual(Object.keys(responses['200']), [
+          'application/json',
+          'application/xml',
+        ]);
+        assert.deepEqual(
+          JSON.parse(responses['404']['application/json'][0].value),
+          { message: 'Item not found' }
+        );
+      });
+
+      it('sets an empty map for a response without a body', () => {
+        const { responses, responseHeaders } = generate('put');
+        assert.deepEqual(responses['204'], {});
+        assert.deepEqual(responseHeaders['204'], {});
+      });
+
+      it('sets response headers examples', () => {
+        const { responseHeaders } = generate('put');
+        assert.equal(responseHeaders['200'].ETag[0].value, 'W/"1"');
+        assert.equal(responseHeaders['200']['X-Rate-Limit'][0].value, '10');
+        assert.deepEqual(responseHeaders['404'], {});
+      });
+
+      it('sets scalar response examples', () => {
+        const { request, responses } = generate('get');
+        assert.deepEqual(request, {});
+        assert.equal(responses['200']['text/plain'][0].value, 'Pencil');
+      });
+
+      it('passes options to the generator', () => {
+        const { requestHeaders, responseHeaders } = generate('put', {
+          noAuto: true,
+        });
+        assert.deepEqual(Object.keys(requestHeaders), ['Authorization']);
+        assert.deepEqual(Object.keys(responseHeaders['200']), ['ETag']);
+      });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Parameters examples', () => {
+  const path = '/orgs/{orgId}/items/{itemId}';
+
+  describe('without parameters', () => {
+    let element;
+
+    beforeEach(() => {
+      element = new ExampleGenerator();
+    });
+
+    it('keeps variables without a value', () => {
+      assert.equal(
+        element.expandUriTemplate('/items/{id}', undefined),
+        '/items/{id}'
+      );
+    });
+
+    it('returns an empty query string without parameters', () => {
+      assert.equal(element.generateQueryString(undefined), '');
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      describe('RAML 1.0', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'parameters'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {Object=} opts
+         * @return {Object} Generated examples of the parameters
+         */
+        function generate(opts) {
+          const endpoint = AmfLoader.lookupEndpoint(amf, path);
+          const operation = AmfLoader.lookupOperation(amf, path, 'get');
+          return element.generateParametersExamples(endpoint, operation, opts);
+        }
+
+        it('expands URI parameters of the endpoint', () => {
+          const result = generate();
+          assert.equal(result.path, '/orgs/acme/items/10');
+        });
+
+        it('sets the query string', () => {
+          const result = generate();
+          assert.equal(
+            result.queryString,
+            'q=red+pencil&sort=name&tags=a&limit=25&token=0000'
+          );
+        });
+
+        it('sets the uri with the query string', () => {
+          const result = generate();
+          assert.equal(result.uri, `${result.path}?${result.queryString}`);
+        });
+
+        it('sets the headers map', () => {
+          const result = generate();
+          assert.deepEqual(result.headers, {
+            Authorization: 'Bearer abc',
+            'X-Page': '0',
+          });
+        });
+
+        it('serializes arrays with the urlEncodedArrayFormat option', () => {
+          const result = generate({
+            urlEncodedArrayFormat: 'brackets',
+            arrayItemsCount: 2,
+          });
+          assert.include(result.queryString, 'tags%5B%5D=a&tags%5B%5D=a');
+        });
+
+        it('omits parameters without declared values with noAuto', () => {
+          const result = generate({ noAuto: true });
+          assert.equal(result.path, '/orgs/acme/items/{itemId}');
+          assert.equal(
+            result.queryString,
+            'q=red+pencil&sort=name&tags=a&limit=25'
+          );
+          assert.deepEqual(result.headers, { Authorization: 'Bearer abc' });
+        });
+
+        it('returns the endpoint path without an operation', () => {
+          const endpoint = AmfLoader.lookupEndpoint(amf, path);
+          const result = element.generateParametersExamples(endpoint);
+          assert.deepEqual(result, {
+            path: '/orgs/acme/items/10',
+            queryString: '',
+            uri: '/orgs/acme/items/10',
+            headers: {},
+          });
+        });
+
+        it('keeps a variable of a parameter without a value in the path', () => {
+          const endpoint = AmfLoader.lookupEndpoint(amf, '/notes/{noteId}');
+          const operation = AmfLoader.lookupOperation(
+            amf,
+            '/notes/{noteId}',
+            'get'
+          );
+          const result = element.generateParametersExamples(
+            endpoint,
+            operation
+          );
+          assert.equal(result.path, '/notes/{noteId}');
+        });
+      });
+
+      describe('OAS 3', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'parameters-oas'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        it('expands path parameters of the operation', () => {
+          const endpoint = AmfLoader.lookupEndpoint(amf, '/items/{itemId}');
+          const operation = AmfLoader.lookupOperation(
+            amf,
+            '/items/{itemId}',
+            'get'
+          );
+          const result = element.generateParametersExamples(
+            endpoint,
+            operation
+          );
+          assert.equal(result.uri, '/items/7?q=a%26b');
+          assert.deepEqual(result.headers, { 'X-Trace': 't-1' });
+        });
+      });
+
+      describe('RAML 0.8', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'APIC-233'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @return {Array<Object>} Query parameters of the `GET /stuff` operation
+         */
+        function queryParameters() {
+          const operation = AmfLoader.lookupOperation(amf, '/stuff', 'get');
+          const expects = element._computeExpects(operation);
+          return element._computeQueryParameters(expects);
+        }
+
+        it('uses examples and default values of parameters', () => {
+          const result = element.generateQueryString(queryParameters());
+          assert.equal(result, `q=${encodeURIComponent('حسنا')}&page=2`);
+        });
+
+        it('uses the structured value of an example without a raw value', () => {
+          const parameters = queryParameters();
+          const sKey = element._getAmfKey(
+            element.ns.aml.vocabularies.shapes.schema
+          );
+          const schema = element._ensureArray(parameters[0][sKey])[0];
+          const eKey = element._getAmfKey(
+            element.ns.aml.vocabularies.apiContract.examples
+          );
+          const example = element._ensureArray(schema[eKey])[0];
+          const rawKey = element._getAmfKey(
+            element.ns.aml.vocabularies.document.raw
+          );
+          const copy = { ...example };
+          delete copy[rawKey];
+          const result = element.generateQueryString([
+            {
+              ...parameters[0],
+              [sKey]: [{ ...schema, [eKey]: [copy] }],
+            },
+          ]);
+          assert.equal(result, `q=${encodeURIComponent('حسنا')}`);
+        });
+
+        it('sets the headers map', () => {
+          const operation = AmfLoader.lookupOperation(amf, '/stuff', 'get');
+          const expects = element._computeExpects(operation);
+          const result = element.generateHeadersMap(
+            element._computeHeaders(expects)
+          );
+          assert.deepEqual(result, { 'X-Token': 'abc' });
+        });
+      });
+    });
+  });
+});
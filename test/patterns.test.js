@@ -0,0 +1,163 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Pattern and additional properties', () => {
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      describe('RAML pattern properties', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'patterns'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} path
+         * @param {String=} mime
+         * @param {Object=} opts
+         * @return {String} The value of the first example
+         */
+        function generate(path, mime = 'application/json', opts) {
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          return element.generatePayloadsExamples(payloads, mime, opts)[0]
+            .value;
+        }
+
+        it('generates a key matching the pattern', () => {
+          assert.deepEqual(JSON.parse(generate('/notes')), {
+            title: 'Shopping',
+            note0: 'Buy milk',
+          });
+        });
+
+        it('generates a key for a pattern accepting any name', () => {
+          assert.deepEqual(JSON.parse(generate('/labels')), {
+            name: 'Release',
+            additionalProp1: 'blue',
+          });
+        });
+
+        it('generates an object value of a pattern property', () => {
+          const result = JSON.parse(generate('/settings'));
+          const keys = Object.keys(result);
+          assert.lengthOf(keys, 1);
+          assert.match(keys[0], /^[a-z]{2}-[A-Z]{2}$/);
+          assert.deepEqual(result[keys[0]], { greeting: 'Hello' });
+        });
+
+        it('generates a random key matching the pattern', () => {
+          const result = JSON.parse(
+            generate('/settings', 'application/json', { seed: 3 })
+          );
+          assert.match(Object.keys(result)[0], /^[a-z]{2}-[A-Z]{2}$/);
+        });
+
+        it('generates XML elements named with the generated key', () => {
+          assert.include(generate('/notes', 'application/xml'), '<note0>');
+          assert.include(
+            generate('/labels', 'application/xml'),
+            '<additionalProp1>blue</additionalProp1>'
+          );
+          assert.match(
+            generate('/settings', 'application/xml'),
+            /<[a-z]{2}-[A-Z]{2}>\s*<greeting>Hello<\/greeting>/
+          );
+        });
+
+        it('omits pattern properties with the minimal profile', () => {
+          assert.deepEqual(
+            JSON.parse(
+              generate('/notes', 'application/json', { profile: 'minimal' })
+            ),
+            { title: 'Shopping' }
+          );
+        });
+
+        it('validates values of keys matching the pattern', () => {
+          const shape = AmfLoader.lookupType(amf, 'Notes');
+          const issues = [];
+          element._validateValue(
+            shape,
+            { title: 'Shopping', note1: 'Buy milk', note2: 5, other: 5 },
+            '',
+            issues
+          );
+          assert.deepEqual(issues, [
+            {
+              path: '/note2',
+              keyword: 'type',
+              message: 'Expected string, got number',
+            },
+          ]);
+        });
+      });
+
+      describe('additionalProperties', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'patterns-oas'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} path
+         * @param {String=} mime
+         * @param {Object=} opts
+         * @return {String} The value of the first example
+         */
+        function generate(path, mime = 'application/json', opts) {
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          return element.generatePayloadsExamples(payloads, mime, opts)[0]
+            .value;
+        }
+
+        it('generates an entry of an object without properties', () => {
+          assert.deepEqual(JSON.parse(generate('/scores')), {
+            additionalProp1: 10,
+          });
+        });
+
+        it('generates a XML element of an object without properties', () => {
+          assert.include(
+            generate('/scores', 'application/xml'),
+            '<additionalProp1>10</additionalProp1>'
+          );
+        });
+
+        it('renders declared properties only by default', () => {
+          assert.deepEqual(JSON.parse(generate('/teams')), {
+            name: 'Blue',
+            scores: { additionalProp1: 10 },
+          });
+        });
+
+        it('adds an entry to declared properties with the maximal profile', () => {
+          const result = JSON.parse(
+            generate('/teams', 'application/json', { profile: 'maximal' })
+          );
+          assert.equal(result.additionalProp1, 'value');
+        });
+      });
+    });
+  });
+});
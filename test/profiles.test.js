@@ -0,0 +1,89 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Generation profiles', () => {
+  const apiFile = 'profiles';
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {String} The value of the first example
+       */
+      function generate(mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, '/orders', 'post');
+        return element.generatePayloadsExamples(payloads, mime, opts)[0].value;
+      }
+
+      it('renders all properties by default', () => {
+        const result = JSON.parse(generate('application/json'));
+        assert.deepEqual(Object.keys(result), [
+          'id',
+          'note',
+          'customer',
+          'metadata',
+        ]);
+        assert.deepEqual(result.metadata, { source: 'web' });
+      });
+
+      it('renders required properties with the minimal profile', () => {
+        const result = JSON.parse(
+          generate('application/json', { profile: 'minimal' })
+        );
+        assert.deepEqual(result, { id: 1, customer: { name: 'Jane' } });
+      });
+
+      it('renders required XML elements with the minimal profile', () => {
+        const result = generate('application/xml', { profile: 'minimal' });
+        assert.include(result, '<name>Jane</name>');
+        assert.notInclude(result, '<note>');
+        assert.notInclude(result, '<email>');
+        assert.notInclude(result, '<Metadata>');
+      });
+
+      it('renders additional properties with the maximal profile', () => {
+        const result = JSON.parse(
+          generate('application/json', { profile: 'maximal' })
+        );
+        assert.equal(result.note, 'Leave at the door');
+        assert.equal(result.customer.email, 'jane@example.com');
+        assert.deepEqual(result.metadata, {
+          source: 'web',
+          additionalProp1: 'value',
+        });
+      });
+
+      it('renders additional XML elements with the maximal profile', () => {
+        const result = generate('application/xml', { profile: 'maximal' });
+        assert.include(result, '<additionalProp1>value</additionalProp1>');
+      });
+
+      it('renders additional properties of a shape', () => {
+        const shape = AmfLoader.lookupType(amf, 'Metadata');
+        const [result] = element.computeExamples(shape, 'application/json', {
+          profile: 'maximal',
+        });
+        assert.deepEqual(JSON.parse(result.value), {
+          source: 'web',
+          additionalProp1: 'value',
+        });
+      });
+    });
+  });
+});
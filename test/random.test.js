@@ -0,0 +1,331 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import { createRandom, randomInt, randomItem } from '../src/RandomGenerator.js';
+import { generateString } from '../src/StringGenerator.js';
+import { generateNumber } from '../src/NumberGenerator.js';
+import { generateFormattedValue } from '../src/FormatGenerator.js';
+
+describe('Seeded random examples', () => {
+  const apiFile = 'facets';
+
+  describe('createRandom()', () => {
+    it('returns numbers in the [0, 1) range', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 100; i += 1) {
+        const value = random();
+        assert.isAtLeast(value, 0);
+        assert.isBelow(value, 1);
+      }
+    });
+
+    it('returns the same sequence for the same seed', () => {
+      const a = createRandom(42);
+      const b = createRandom(42);
+      for (let i = 0; i < 10; i += 1) {
+        assert.equal(a(), b());
+      }
+    });
+
+    it('returns different sequences for different seeds', () => {
+      assert.notEqual(createRandom(1)(), createRandom(2)());
+    });
+
+    it('accepts a string seed', () => {
+      assert.equal(createRandom('docs')(), createRandom('docs')());
+      assert.notEqual(createRandom('docs')(), createRandom('fuzz')());
+    });
+  });
+
+  describe('randomInt()', () => {
+    it('returns an integer within the bounds', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 100; i += 1) {
+        const value = randomInt(random, 3, 5);
+        assert.include([3, 4, 5], value);
+      }
+    });
+
+    it('returns the minimum when the bounds are equal', () => {
+      assert.equal(randomInt(createRandom(1), 3, 3), 3);
+    });
+  });
+
+  describe('randomItem()', () => {
+    it('returns an item of the list', () => {
+      assert.include(['a', 'b'], randomItem(createRandom(1), ['a', 'b']));
+    });
+
+    it('returns undefined for an empty list', () => {
+      assert.isUndefined(randomItem(createRandom(1), []));
+    });
+  });
+
+  describe('generateString()', () => {
+    it('generates a random value without constraints', () => {
+      const value = generateString({}, createRandom(1));
+      assert.match(value, /^[a-z]+$/);
+    });
+
+    it('generates random values matching the pattern', () => {
+      const random = createRandom(1);
+      const values = [];
+      for (let i = 0; i < 10; i += 1) {
+        const value = generateString({ pattern: '^[A-Z]{3}-\\d{4}$' }, random);
+        assert.match(value, /^[A-Z]{3}-\d{4}$/);
+        values.push(value);
+      }
+      assert.isAbove(new Set(values).size, 1);
+    });
+
+    it('respects length constraints', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 10; i += 1) {
+        const value = generateString(
+          { pattern: '^[a-z]+$', minLength: 3, maxLength: 5 },
+          random
+        );
+        assert.match(value, /^[a-z]{3,5}$/);
+      }
+    });
+
+    it('returns the stable value for unsupported pattern', () => {
+      const value = generateString(
+        { pattern: '^(?=.*\\d)[a-z\\d]{8}$' },
+        createRandom(1)
+      );
+      assert.equal(value, '');
+    });
+  });
+
+  describe('generateNumber()', () => {
+    it('generates an integer within the bounds', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 20; i += 1) {
+        const value = generateNumber(
+          { minimum: 5, maximum: 10, integer: true },
+          random
+        );
+        assert.isTrue(Number.isInteger(value));
+        assert.isAtLeast(value, 5);
+        assert.isAtMost(value, 10);
+      }
+    });
+
+    it('respects exclusive bounds', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 20; i += 1) {
+        const value = generateNumber(
+          {
+            minimum: 1,
+            maximum: 3,
+            exclusiveMinimum: true,
+            exclusiveMaximum: true,
+            integer: true,
+          },
+          random
+        );
+        assert.equal(value, 2);
+      }
+    });
+
+    it('generates a multiple of multipleOf', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 20; i += 1) {
+        const value = generateNumber(
+          { minimum: 0.3, multipleOf: 0.25 },
+          random
+        );
+        assert.isAtLeast(value, 0.3);
+        assert.equal((value * 100) % 25, 0);
+      }
+    });
+
+    it('generates a value below the maximum', () => {
+      const value = generateNumber({ maximum: -3 }, createRandom(1));
+      assert.isAtMost(value, -3);
+    });
+
+    it('generates a value in the range of the format', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 20; i += 1) {
+        const value = generateNumber(
+          { minimum: 100, integer: true, format: 'int8' },
+          random
+        );
+        assert.isAtLeast(value, 100);
+        assert.isAtMost(value, 127);
+      }
+    });
+  });
+
+  describe('generateFormattedValue()', () => {
+    it('generates a random uuid', () => {
+      const value = generateFormattedValue('uuid', undefined, createRandom(1));
+      assert.match(
+        value,
+        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+      );
+      assert.notEqual(value, generateFormattedValue('uuid'));
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} path
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {String} Generated example value
+       */
+      function generate(path, mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          mime,
+          opts
+        );
+        return example.value;
+      }
+
+      [
+        ['/accounts', 'application/json'],
+        ['/measurements', 'application/json'],
+        ['/events', 'application/json'],
+        ['/events', 'application/xml'],
+        ['/shirts', 'application/json'],
+        ['/carts', 'application/json'],
+        ['/carts', 'application/xml'],
+        ['/payments', 'application/json'],
+      ].forEach(([path, mime]) => {
+        it(`generates the same ${mime} example for ${path} and a seed`, () => {
+          const first = generate(path, mime, { seed: 7 });
+          const generator = new ExampleGenerator(amf);
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          const [second] = generator.generatePayloadsExamples(payloads, mime, {
+            seed: 7,
+          });
+          assert.equal(first, second.value);
+        });
+      });
+
+      it('generates different examples for different seeds', () => {
+        const first = generate('/carts', 'application/json', { seed: 1 });
+        const second = generate('/carts', 'application/json', { seed: 2 });
+        assert.notEqual(first, second);
+      });
+
+      it('generates stable examples without a seed', () => {
+        const result = JSON.parse(generate('/payments', 'application/json'));
+        assert.deepEqual(result, {
+          amount: 0.01,
+          method: { cardNumber: '0000000000000000' },
+        });
+      });
+
+      it('generates random strings matching facets', () => {
+        for (let seed = 0; seed < 5; seed += 1) {
+          const result = JSON.parse(
+            generate('/accounts', 'application/json', { seed })
+          );
+          assert.match(result.username, /^[a-z][a-z0-9_]{2,15}$/);
+          assert.match(result.code, /^[A-Z]{3}-\d{4}$/);
+          assert.lengthOf(result.pin, 4);
+          assert.match(result.label, /^(draft|final)-v\d+$/);
+          assert.isAtLeast(result.label.length, 12);
+          assert.isAtMost(result.comment.length, 100);
+        }
+      });
+
+      it('generates random numbers respecting facets', () => {
+        for (let seed = 0; seed < 5; seed += 1) {
+          const result = JSON.parse(
+            generate('/measurements', 'application/json', { seed })
+          );
+          assert.isAtLeast(result.count, 5);
+          assert.isAtMost(result.count, 10);
+          assert.isAtLeast(result.score, 2.5);
+          assert.isAtMost(result.score, 5);
+          assert.equal(result.step % 5, 0);
+          assert.isAtLeast(result.step, 7);
+          assert.isAtMost(result.negative, -3);
+          assert.isAtLeast(result.level, 100);
+          assert.isAtMost(result.level, 127);
+        }
+      });
+
+      it('generates random array lengths respecting facets', () => {
+        const lengths = [];
+        for (let seed = 0; seed < 10; seed += 1) {
+          const result = JSON.parse(
+            generate('/carts', 'application/json', { seed })
+          );
+          assert.isAtLeast(result.tags.length, 3);
+          assert.isAtLeast(result.codes.length, 2);
+          assert.isAtMost(result.codes.length, 4);
+          assert.lengthOf(result.flags, 1);
+          assert.equal(
+            new Set(result.quantities).size,
+            result.quantities.length
+          );
+          lengths.push(result.tags.length);
+        }
+        assert.isAbove(new Set(lengths).size, 1);
+      });
+
+      it('uses arrayItemsCount option with a seed', () => {
+        const result = JSON.parse(
+          generate('/carts', 'application/json', {
+            seed: 1,
+            arrayItemsCount: 3,
+          })
+        );
+        assert.lengthOf(result.tags, 3);
+      });
+
+      it('selects random union members', () => {
+        const keys = new Set();
+        for (let seed = 0; seed < 10; seed += 1) {
+          const result = JSON.parse(
+            generate('/payments', 'application/json', { seed })
+          );
+          keys.add(Object.keys(result.method)[0]);
+        }
+        assert.deepEqual(Array.from(keys).sort(), ['cardNumber', 'iban']);
+      });
+
+      it('uses the random option', () => {
+        const result = JSON.parse(
+          generate('/measurements', 'application/json', {
+            random: () => 0.5,
+          })
+        );
+        assert.equal(result.plain, 500);
+        assert.isAtLeast(result.count, 5);
+      });
+
+      it('prefers the random option over the seed', () => {
+        const first = generate('/carts', 'application/json', {
+          seed: 1,
+          random: createRandom(2),
+        });
+        const second = generate('/carts', 'application/json', { seed: 2 });
+        assert.equal(first, second);
+      });
+    });
+  });
+});
@@ -0,0 +1,287 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import {
+  DEFAULT_NAME_RULES,
+  DICTIONARY,
+  mergeNameRules,
+  normalizePropertyName,
+  realisticValue,
+} from '../src/RealisticGenerator.js';
+import { createRandom } from '../src/RandomGenerator.js';
+
+describe('Realistic values', () => {
+  const apiFile = 'realistic';
+
+  describe('normalizePropertyName()', () => {
+    [
+      ['firstName', 'firstname'],
+      ['first_name', 'firstname'],
+      ['first-name', 'firstname'],
+      ['First Name', 'firstname'],
+    ].forEach(([name, result]) => {
+      it(`normalizes ${name}`, () => {
+        assert.equal(normalizePropertyName(name), result);
+      });
+    });
+  });
+
+  describe('realisticValue()', () => {
+    [
+      ['email', 'String', 'jane.doe@example.com'],
+      ['contactEmail', 'String', 'jane.doe@example.com'],
+      ['firstName', 'String', 'Jane'],
+      ['last_name', 'String', 'Doe'],
+      ['phone', 'String', '+1-555-0100'],
+      ['phoneNumber', 'String', '+1-555-0100'],
+      ['city', 'String', 'San Francisco'],
+      ['url', 'String', 'https://www.example.com'],
+      ['createdAt', 'String', '2020-01-15T10:30:00Z'],
+      ['createdAt', 'DateTime', '2020-01-15T10:30:00Z'],
+      ['createdAt', 'Date', '2020-01-15'],
+      ['createdAt', 'Long', 1579084200],
+      ['age', 'Integer', 34],
+      ['price', 'Number', 19.99],
+      ['price', 'Integer', 20],
+      ['emails', 'String', 'jane.doe@example.com'],
+    ].forEach(([name, type, result]) => {
+      it(`computes ${type} value for ${name}`, () => {
+        assert.strictEqual(
+          realisticValue({ name: String(name), type: String(type) }),
+          result
+        );
+      });
+    });
+
+    it('uses the format of a datetime', () => {
+      const result = realisticValue({
+        name: 'updatedAt',
+        type: 'DateTime',
+        format: 'rfc2616',
+      });
+      assert.equal(result, 'Wed, 15 Jan 2020 10:30:00 GMT');
+    });
+
+    it('returns undefined for unknown names', () => {
+      assert.isUndefined(realisticValue({ name: 'foo', type: 'String' }));
+    });
+
+    it('returns undefined when the type does not match', () => {
+      assert.isUndefined(realisticValue({ name: 'email', type: 'Integer' }));
+    });
+
+    it('does not match names containing other words', () => {
+      assert.isUndefined(realisticValue({ name: 'velocity', type: 'String' }));
+      assert.isUndefined(realisticValue({ name: 'hotel', type: 'String' }));
+    });
+
+    it('selects dictionary values with a random function', () => {
+      const random = createRandom(1);
+      for (let i = 0; i < 10; i += 1) {
+        const result = realisticValue({ name: 'city', type: 'String', random });
+        assert.include(DICTIONARY.cities, result);
+      }
+    });
+
+    it('uses a constant value of a rule', () => {
+      const rules = [{ name: 'sku', pattern: /^sku$/, value: 'SKU-1' }];
+      assert.equal(
+        realisticValue({ name: 'sku', type: 'String' }, rules),
+        'SKU-1'
+      );
+    });
+
+    it('accepts a string pattern', () => {
+      const rules = [{ name: 'sku', pattern: '^SKU$', value: 'SKU-1' }];
+      assert.equal(
+        realisticValue({ name: 'sku', type: 'String' }, rules),
+        'SKU-1'
+      );
+    });
+
+    it('uses the next rule when the value is undefined', () => {
+      const rules = [
+        { name: 'a', pattern: /^sku$/, value: () => undefined },
+        { name: 'b', pattern: /^sku$/, value: () => 'SKU-2' },
+      ];
+      assert.equal(
+        realisticValue({ name: 'sku', type: 'String' }, rules),
+        'SKU-2'
+      );
+    });
+  });
+
+  describe('mergeNameRules()', () => {
+    it('returns the default rules', () => {
+      assert.equal(mergeNameRules(), DEFAULT_NAME_RULES);
+    });
+
+    it('adds custom rules before the default rules', () => {
+      const rule = { name: 'sku', pattern: /^sku$/, value: 'SKU-1' };
+      const result = mergeNameRules([rule]);
+      assert.equal(result[0], rule);
+      assert.lengthOf(result, DEFAULT_NAME_RULES.length + 1);
+    });
+
+    it('replaces a default rule with the same name', () => {
+      const rule = { name: 'email', pattern: /email$/, value: 'a@b.c' };
+      const result = mergeNameRules([rule]);
+      assert.lengthOf(result, DEFAULT_NAME_RULES.length);
+      assert.lengthOf(
+        result.filter(item => item.name === 'email'),
+        1
+      );
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {String} Generated example value of the Customer type
+       */
+      function generateCustomer(mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, '/customers', 'post');
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          mime,
+          opts
+        );
+        return example.value;
+      }
+
+      it('does not infer values by default', () => {
+        const result = JSON.parse(generateCustomer('application/json'));
+        assert.equal(result.email, '');
+        assert.equal(result.firstName, '');
+      });
+
+      it('infers values from property names', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.equal(result.id, '3fa85f64-5717-4562-b3fc-2c963f66afa6');
+        assert.equal(result.firstName, 'Jane');
+        assert.equal(result.last_name, 'Doe');
+        assert.equal(result.email, 'jane.doe@example.com');
+        assert.equal(result.phone, '+1-555-0100');
+        assert.equal(result.website, 'https://www.example.com');
+        assert.equal(result.company, 'Acme Corporation');
+        assert.equal(result.age, 34);
+        assert.equal(result.balance, 19.99);
+      });
+
+      it('infers values of nested objects', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.deepEqual(result.address, {
+          street: '123 Main Street',
+          city: 'San Francisco',
+          zip: '94105',
+          country: 'United States',
+        });
+      });
+
+      it('infers values of array items', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.deepEqual(result.emails, ['jane.doe@example.com']);
+      });
+
+      it('formats dates for the data type', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.equal(result.createdAt, '2020-01-15T10:30:00Z');
+        assert.equal(result.updatedAt, 'Wed, 15 Jan 2020 10:30:00 GMT');
+        assert.equal(result.birthDate, '1990-04-11');
+      });
+
+      it('ignores values that do not satisfy facets', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.equal(result.nickname, '');
+        assert.equal(result.code, 'AAA');
+      });
+
+      it('ignores values that are not a multiple of multipleOf', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.equal(result.price, 0);
+      });
+
+      it('prefers enum values', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', { realistic: true })
+        );
+        assert.equal(result.status, 'active');
+      });
+
+      it('uses custom rules', () => {
+        const result = JSON.parse(
+          generateCustomer('application/json', {
+            realistic: true,
+            nameRules: [
+              { name: 'title', pattern: /^title$/, value: 'Dr.' },
+              {
+                name: 'email',
+                pattern: /email$/,
+                value: () => 'support@example.com',
+              },
+            ],
+          })
+        );
+        assert.equal(result.title, 'Dr.');
+        assert.equal(result.email, 'support@example.com');
+        assert.equal(result.firstName, 'Jane');
+      });
+
+      it('uses the seed to select values', () => {
+        const opts = { realistic: true, seed: 3 };
+        const first = generateCustomer('application/json', opts);
+        const second = generateCustomer('application/json', opts);
+        assert.equal(first, second);
+        const result = JSON.parse(first);
+        assert.include(DICTIONARY.firstNames, result.firstName);
+        assert.include(DICTIONARY.cities, result.address.city);
+        assert.isAtLeast(result.age, 18);
+      });
+
+      it('infers values in XML', () => {
+        const result = generateCustomer('application/xml', { realistic: true });
+        assert.include(result, '<firstName>Jane</firstName>');
+        assert.include(result, '<email>jane.doe@example.com</email>');
+        assert.include(result, '<city>San Francisco</city>');
+        assert.include(result, '<age>34</age>');
+        assert.include(result, '<nickname></nickname>');
+      });
+
+      it('infers values of array items in XML', () => {
+        const result = generateCustomer('application/xml', { realistic: true });
+        assert.include(
+          result,
+          '<emails>\n    <email>jane.doe@example.com</email>\n  </emails>'
+        );
+      });
+    });
+  });
+});
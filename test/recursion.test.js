@@ -0,0 +1,141 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Recursive types', () => {
+  describe('Shapes with a cycle', () => {
+    let element;
+    let person;
+
+    beforeEach(() => {
+      element = new ExampleGenerator();
+      const { ns } = element;
+      const scalar = name => ({
+        '@id': `#${name}`,
+        '@type': [ns.aml.vocabularies.shapes.ScalarShape],
+        [ns.w3.shacl.name]: [{ '@value': name }],
+        [ns.w3.shacl.datatype]: [{ '@id': ns.w3.xmlSchema.string }],
+        [ns.w3.shacl.defaultValue]: [
+          {
+            '@type': [ns.aml.vocabularies.data.Scalar],
+            [ns.aml.vocabularies.data.value]: [{ '@value': 'Jane' }],
+          },
+        ],
+        [ns.w3.shacl.defaultValueStr]: [{ '@value': 'Jane' }],
+      });
+      const property = (name, range) => ({
+        '@id': `#property/${name}`,
+        '@type': [ns.w3.shacl.PropertyShape],
+        [ns.w3.shacl.name]: [{ '@value': name }],
+        [ns.aml.vocabularies.shapes.range]: [range],
+      });
+      person = /** @type {Object} */ ({
+        '@id': '#person',
+        '@type': [ns.w3.shacl.NodeShape],
+        [ns.w3.shacl.name]: [{ '@value': 'Person' }],
+      });
+      const children = {
+        '@id': '#children',
+        '@type': [ns.aml.vocabularies.shapes.ArrayShape],
+        [ns.w3.shacl.name]: [{ '@value': 'children' }],
+        [ns.aml.vocabularies.shapes.items]: [person],
+      };
+      person[ns.w3.shacl.property] = [
+        property('name', scalar('name')),
+        property('children', children),
+        property('partner', person),
+      ];
+    });
+
+    it('stops a cycle in a JSON example', () => {
+      const [result] = element.computeExamples(person, 'application/json');
+      assert.deepEqual(JSON.parse(result.value), {
+        name: 'Jane',
+        children: [],
+        partner: {},
+      });
+    });
+
+    it('stops a cycle in a XML example', () => {
+      const [result] = element.computeExamples(person, 'application/xml');
+      assert.include(result.value, '<children></children>');
+      assert.include(result.value, '<Person/>');
+      assert.lengthOf(result.value.match(/<name>/g), 1);
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), 'recursive');
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} path
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {String} The value of the first example
+       */
+      function generate(path, mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+        const [result] = element.generatePayloadsExamples(payloads, mime, opts);
+        return result.value;
+      }
+
+      it('uses an empty value for a recursive property', () => {
+        const result = JSON.parse(generate('/people', 'application/json'));
+        assert.deepEqual(result, { name: 'Jane', children: [], partner: {} });
+      });
+
+      it('uses null for a recursive union member', () => {
+        const result = JSON.parse(generate('/nodes', 'application/json'));
+        assert.deepEqual(result, { value: 1, next: null });
+      });
+
+      it('uses an empty element for a recursive XML property', () => {
+        const result = generate('/people', 'application/xml');
+        assert.include(result, '<name>Jane</name>');
+        assert.include(result, '<Person/>');
+      });
+
+      it('generates nested objects without maxDepth', () => {
+        const result = JSON.parse(generate('/companies', 'application/json'));
+        assert.deepEqual(result.address, {
+          city: 'Lisbon',
+          geo: { lat: 38.7 },
+        });
+        assert.deepEqual(result.offices, [{ floors: [0] }]);
+      });
+
+      it('stops at the maxDepth level', () => {
+        const result = JSON.parse(
+          generate('/companies', 'application/json', { maxDepth: 2 })
+        );
+        assert.deepEqual(result, {
+          name: 'Acme',
+          address: { city: 'Lisbon', geo: {} },
+          offices: [],
+        });
+      });
+
+      it('stops at the maxDepth level of a XML example', () => {
+        const result = generate('/companies', 'application/xml', {
+          maxDepth: 1,
+        });
+        assert.include(result, '<name>Acme</name>');
+        assert.include(result, '<address/>');
+        assert.include(result, '<offices/>');
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Union expansion', () => {
+  const apiFile = 'unions';
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {Object} The first generated example
+       */
+      function generate(mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, '/owners', 'post');
+        return element.generatePayloadsExamples(payloads, mime, opts)[0];
+      }
+
+      it('generates a single example by default', () => {
+        const result = generate('application/json');
+        assert.isFalse(result.hasUnion);
+        assert.deepEqual(JSON.parse(result.value).pet, { meows: true });
+      });
+
+      it('generates an example for each combination', () => {
+        const result = generate('application/json', { expandUnions: true });
+        assert.isTrue(result.hasUnion);
+        assert.lengthOf(result.values, 6);
+      });
+
+      it('titles the examples with the selected members', () => {
+        const result = generate('application/json', { expandUnions: true });
+        assert.deepEqual(
+          result.values.map(item => item.title),
+          [
+            'pet: Cat, contact: string',
+            'pet: Cat, contact: integer',
+            'pet: Dog, toy: Ball, contact: string',
+            'pet: Dog, toy: Ball, contact: integer',
+            'pet: Dog, toy: Bone, contact: string',
+            'pet: Dog, toy: Bone, contact: integer',
+          ]
+        );
+      });
+
+      it('generates values of the selected members', () => {
+        const result = generate('application/json', { expandUnions: true });
+        const value = JSON.parse(result.values[5].value);
+        assert.deepEqual(value, {
+          name: 'Jane',
+          pet: { barks: 'woof', toy: { size: 3 } },
+          contact: 0,
+        });
+      });
+
+      it('limits the number of examples', () => {
+        const result = generate('application/json', {
+          expandUnions: true,
+          unionExamplesLimit: 3,
+        });
+        assert.lengthOf(result.values, 3);
+        assert.equal(
+          result.values[2].title,
+          'pet: Dog, toy: Ball, contact: string'
+        );
+      });
+
+      it('generates XML examples for each combination', () => {
+        const result = generate('application/xml', { expandUnions: true });
+        assert.lengthOf(result.values, 6);
+        assert.include(result.values[4].value, '<size>3</size>');
+      });
+
+      it('renders the selected scalar member in a XML example', () => {
+        const result = generate('application/xml', { expandUnions: true });
+        assert.include(result.values[0].value, '<contact></contact>');
+        assert.include(result.values[1].value, '<contact>0</contact>');
+      });
+
+      it('generates a single example for a type without unions', () => {
+        const schema = element
+          ._computeDeclares(amf)
+          .find(
+            item => element._getValue(item, element.ns.w3.shacl.name) === 'Ball'
+          );
+        const [result] = element.computeExamples(schema, 'application/json', {
+          expandUnions: true,
+        });
+        assert.isFalse(result.hasUnion);
+        assert.deepEqual(JSON.parse(result.value), { color: 'red' });
+      });
+    });
+  });
+});
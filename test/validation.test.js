@@ -0,0 +1,136 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('Example validation', () => {
+  const apiFile = 'validation';
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      /**
+       * @param {String} mime
+       * @param {Object=} opts
+       * @return {Array<Object>} Generated examples of the Person type
+       */
+      function generatePerson(mime, opts) {
+        const payloads = AmfLoader.lookupPayload(amf, '/people', 'post');
+        return element.generatePayloadsExamples(payloads, mime, opts);
+      }
+
+      /**
+       * @param {Array<Object>} examples
+       * @param {String} title
+       * @return {Object} The example with the title
+       */
+      function findExample(examples, title) {
+        return examples.find(item => item.title === title);
+      }
+
+      it('does not validate examples by default', () => {
+        const result = generatePerson('application/json');
+        assert.lengthOf(result, 4);
+        result.forEach(item => assert.isUndefined(item.validation));
+      });
+
+      it('validates a valid example', () => {
+        const result = generatePerson('application/json', { validate: true });
+        const example = findExample(result, 'valid');
+        assert.deepEqual(example.validation, { valid: true, issues: [] });
+      });
+
+      it('reports missing required properties', () => {
+        const result = generatePerson('application/json', { validate: true });
+        const { validation } = findExample(result, 'missingRequired');
+        assert.isFalse(validation.valid);
+        assert.deepEqual(validation.issues, [
+          {
+            path: '/age',
+            keyword: 'required',
+            message: 'Missing required property age',
+          },
+        ]);
+      });
+
+      it('reports invalid data types', () => {
+        const result = generatePerson('application/json', { validate: true });
+        const { validation } = findExample(result, 'wrongTypes');
+        assert.isFalse(validation.valid);
+        assert.deepEqual(
+          validation.issues.map(item => [item.path, item.keyword]),
+          [
+            ['/name', 'type'],
+            ['/age', 'type'],
+            ['/tags', 'type'],
+          ]
+        );
+        assert.equal(
+          validation.issues[1].message,
+          'Expected integer, got string'
+        );
+      });
+
+      it('reports values that do not satisfy facets', () => {
+        const result = generatePerson('application/json', { validate: true });
+        const { validation } = findExample(result, 'facets');
+        assert.isFalse(validation.valid);
+        assert.deepEqual(
+          validation.issues.map(item => [item.path, item.keyword]),
+          [
+            ['/age', 'maximum'],
+            ['/email', 'pattern'],
+            ['/role', 'enum'],
+            ['/score', 'multipleOf'],
+            ['/tags', 'maxItems'],
+            ['/address/zip', 'minLength'],
+            ['/contact', 'anyOf'],
+          ]
+        );
+      });
+
+      it('validates examples of other media types', () => {
+        const result = generatePerson('application/yaml', { validate: true });
+        assert.isTrue(findExample(result, 'valid').validation.valid);
+        const { validation } = findExample(result, 'missingRequired');
+        assert.equal(validation.issues[0].path, '/age');
+      });
+
+      it('validates response examples', () => {
+        const payloads = AmfLoader.lookupReturnsPayload(
+          amf,
+          '/people',
+          'get',
+          200
+        );
+        const [example] = element.generatePayloadsExamples(
+          payloads,
+          'application/json',
+          { validate: true }
+        );
+        assert.deepEqual(example.validation, {
+          valid: false,
+          issues: [
+            {
+              path: '',
+              keyword: 'minimum',
+              message: 'Value 0 is lower than 1',
+            },
+          ],
+        });
+      });
+    });
+  });
+});
@@ -233,7 +233,7 @@ describe('XML processing', () => {
             '<typeBool>true</typeBool>',
             'has boolean value'
           );
-          assert.include(value, '<typeNull></typeNull>', 'has null value');
+          assert.include(value, '<typeNull xsi:nil="true"/>', 'has null value');
           assert.include(
             value,
             '<typeNegativeInt>-12</typeNegativeInt>',
@@ -0,0 +1,133 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+
+describe('XML namespaces', () => {
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      describe('RAML', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'xml-namespaces'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @param {String} path
+         * @return {String} The value of the first example
+         */
+        function generate(path) {
+          const payloads = AmfLoader.lookupPayload(amf, path, 'post');
+          return element.generatePayloadsExamples(
+            payloads,
+            'application/xml'
+          )[0].value;
+        }
+
+        it('declares the namespace of the type on the root element', () => {
+          assert.include(
+            generate('/orders'),
+            '<ord:Order xmlns:ord="http://example.com/orders"'
+          );
+        });
+
+        it('applies the prefix to an attribute', () => {
+          assert.include(generate('/orders'), 'ord:id="integer"');
+        });
+
+        it('declares a namespace once', () => {
+          const value = generate('/orders');
+          assert.lengthOf(value.match(/xmlns:ord=/g), 1);
+        });
+
+        it('declares the default namespace of an element', () => {
+          assert.include(
+            generate('/orders'),
+            '<Customer xmlns="http://example.com/customers">'
+          );
+        });
+
+        it('declares the namespace of a prefixed element', () => {
+          assert.include(
+            generate('/orders'),
+            '<m:total xmlns:m="http://example.com/money">10.5</m:total>'
+          );
+        });
+
+        it('applies the namespace to an example of a property', () => {
+          const value = generate('/orders');
+          assert.include(
+            value,
+            '<a:Address xmlns:a="http://example.com/addresses">'
+          );
+          assert.include(value, '<city>Paris</city>');
+        });
+
+        it('applies namespaces to a declared example', () => {
+          const value = generate('/invoices');
+          assert.include(
+            value,
+            '<inv:Invoice xmlns:inv="http://example.com/invoices">'
+          );
+          assert.include(value, '<number>INV-1</number>');
+          assert.include(
+            value,
+            '<m:amount xmlns:m="http://example.com/money">20</m:amount>'
+          );
+        });
+      });
+
+      describe('OAS', () => {
+        let element;
+        let amf;
+
+        before(async () => {
+          amf = await AmfLoader.load(
+            /** @type Boolean */ (compact),
+            'xml-namespaces-oas'
+          );
+        });
+
+        beforeEach(() => {
+          element = new ExampleGenerator(amf);
+        });
+
+        /**
+         * @return {String} The value of the first example
+         */
+        function generate() {
+          const payloads = AmfLoader.lookupPayload(amf, '/orders', 'post');
+          return element.generatePayloadsExamples(
+            payloads,
+            'application/xml'
+          )[0].value;
+        }
+
+        it('applies the prefix to the root element and an attribute', () => {
+          assert.include(
+            generate(),
+            '<ord:Order xmlns:ord="http://example.com/orders" ord:id="integer">'
+          );
+        });
+
+        it('applies the prefix to array elements', () => {
+          const value = generate();
+          assert.include(value, '<ord:lines>');
+          assert.include(value, '<ord:items>Book</ord:items>');
+          assert.lengthOf(value.match(/xmlns:ord=/g), 1);
+        });
+      });
+    });
+  });
+});
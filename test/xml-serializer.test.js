@@ -0,0 +1,67 @@
+import { assert } from '@open-wc/testing';
+import {
+  XmlDocument,
+  serializeXml,
+  escapeXmlText,
+  escapeXmlAttribute,
+} from '../src/XmlSerializer.js';
+
+describe('XML serializer', () => {
+  describe('escapeXmlText()', () => {
+    it('escapes markup characters', () => {
+      assert.equal(escapeXmlText('a < b & c > d'), 'a &lt; b &amp; c &gt; d');
+    });
+
+    it('does not escape quotes', () => {
+      assert.equal(escapeXmlText(`"it's"`), `"it's"`);
+    });
+  });
+
+  describe('escapeXmlAttribute()', () => {
+    it('escapes quotes and markup characters', () => {
+      assert.equal(
+        escapeXmlAttribute('"a" & <b>'),
+        '&quot;a&quot; &amp; &lt;b&gt;'
+      );
+    });
+  });
+
+  describe('serializeXml()', () => {
+    it('serializes an empty document as a self-closing element', () => {
+      assert.equal(serializeXml(new XmlDocument('root')), '<root/>');
+    });
+
+    it('serializes nested elements and text', () => {
+      const doc = new XmlDocument('person');
+      const name = doc.createElement('name');
+      name.appendChild(doc.createTextNode('Tom & Jerry'));
+      doc.documentElement.appendChild(name);
+      doc.documentElement.appendChild(doc.createElement('age'));
+      assert.equal(
+        serializeXml(doc),
+        '<person><name>Tom &amp; Jerry</name><age/></person>'
+      );
+    });
+
+    it('serializes attributes in the order they were set', () => {
+      const doc = new XmlDocument('item');
+      const main = doc.documentElement;
+      main.setAttribute('id', '1');
+      main.setAttribute('label', 'a "b"');
+      main.setAttribute('id', '2');
+      assert.equal(serializeXml(doc), '<item id="2" label="a &quot;b&quot;"/>');
+      assert.equal(main.getAttribute('id'), '2');
+      assert.isNull(main.getAttribute('other'));
+    });
+
+    it('moves a node that is appended again', () => {
+      const doc = new XmlDocument('root');
+      const main = doc.documentElement;
+      const a = main.appendChild(doc.createElement('a'));
+      main.appendChild(doc.createElement('b'));
+      main.appendChild(a);
+      assert.equal(serializeXml(doc), '<root><b/><a/></root>');
+      assert.equal(a.parentNode, main);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import { assert } from '@open-wc/testing';
+import { AmfLoader } from './amf-loader.js';
+import { ExampleGenerator } from '../index.js';
+import { processYamlArrayExamples } from '../src/ExampleGenerator.js';
+import { toYaml, isPlainYamlString } from '../src/YamlSerializer.js';
+
+describe('YAML examples', () => {
+  const apiFile = 'yaml-examples';
+
+  describe('toYaml()', () => {
+    it('serializes scalar values', () => {
+      assert.equal(toYaml('test'), 'test\n');
+      assert.equal(toYaml(10), '10\n');
+      assert.equal(toYaml(false), 'false\n');
+      assert.equal(toYaml(null), 'null\n');
+    });
+
+    it('serializes an object', () => {
+      const result = toYaml({ name: 'Pawel', age: 30, nickname: null });
+      assert.equal(result, 'name: Pawel\nage: 30\nnickname: null\n');
+    });
+
+    it('serializes nested objects', () => {
+      const result = toYaml({ a: { b: { c: 'd' } } });
+      assert.equal(result, 'a:\n  b:\n    c: d\n');
+    });
+
+    it('serializes an array of objects', () => {
+      const result = toYaml([
+        { a: 1, b: 2 },
+        { a: 3, b: 4 },
+      ]);
+      assert.equal(result, '- a: 1\n  b: 2\n- a: 3\n  b: 4\n');
+    });
+
+    it('serializes nested arrays', () => {
+      const result = toYaml({ cells: [[1, 2], [3]] });
+      assert.equal(result, 'cells:\n  - - 1\n    - 2\n  - - 3\n');
+    });
+
+    it('serializes empty collections in flow style', () => {
+      const result = toYaml({ a: [], b: {} });
+      assert.equal(result, 'a: []\nb: {}\n');
+    });
+
+    it('quotes ambiguous strings', () => {
+      const result = toYaml({
+        empty: '',
+        bool: 'yes',
+        nil: 'null',
+        number: '123',
+        date: '2020-01-01',
+        colon: 'a: b',
+        comment: 'a #b',
+        indicator: '*ref',
+      });
+      assert.equal(
+        result,
+        'empty: ""\nbool: "yes"\nnil: "null"\nnumber: "123"\ndate: "2020-01-01"\ncolon: "a: b"\ncomment: "a #b"\nindicator: "*ref"\n'
+      );
+    });
+
+    it('quotes keys that are not plain strings', () => {
+      const result = toYaml({ 'a: b': 1, yes: 2 });
+      assert.equal(result, '"a: b": 1\n"yes": 2\n');
+    });
+
+    it('renders multi-line strings as literal blocks', () => {
+      const result = toYaml({ a: 'line 1\nline 2\n', b: 'line 1\n\nline 2' });
+      assert.equal(
+        result,
+        'a: |\n  line 1\n  line 2\nb: |-\n  line 1\n\n  line 2\n'
+      );
+    });
+
+    it('keeps trailing new lines of multi-line strings', () => {
+      const result = toYaml({ a: 'line\n\n' });
+      assert.equal(result, 'a: |+\n  line\n\n');
+    });
+
+    it('quotes multi-line strings with leading whitespace', () => {
+      const result = toYaml({ a: ' line 1\nline 2' });
+      assert.equal(result, 'a: " line 1\\nline 2"\n');
+    });
+
+    it('indents literal blocks in a sequence', () => {
+      const result = toYaml([{ a: 'line 1\nline 2' }]);
+      assert.equal(result, '- a: |-\n    line 1\n    line 2\n');
+    });
+  });
+
+  describe('isPlainYamlString()', () => {
+    it('returns true for a plain string', () => {
+      assert.isTrue(isPlainYamlString('Hello world'));
+    });
+
+    it('returns true for an URL', () => {
+      assert.isTrue(isPlainYamlString('https://domain.com/path?a=b'));
+    });
+
+    it('returns false for boolean like values', () => {
+      assert.isFalse(isPlainYamlString('true'));
+      assert.isFalse(isPlainYamlString('Off'));
+    });
+
+    it('returns false for number like values', () => {
+      assert.isFalse(isPlainYamlString('1.5'));
+      assert.isFalse(isPlainYamlString('-1'));
+      assert.isFalse(isPlainYamlString('.inf'));
+    });
+
+    it('returns false for surrounding whitespace', () => {
+      assert.isFalse(isPlainYamlString(' a'));
+      assert.isFalse(isPlainYamlString('a '));
+    });
+  });
+
+  describe('processYamlArrayExamples()', () => {
+    it('turns a mapping into a sequence', () => {
+      const examples = [{ value: 'a: 1\nb: 2\n' }];
+      // @ts-ignore
+      processYamlArrayExamples(examples);
+      assert.equal(examples[0].value, '- a: 1\n  b: 2\n');
+    });
+
+    it('ignores values that are already a sequence', () => {
+      const examples = [{ value: '- a\n- b\n' }];
+      // @ts-ignore
+      processYamlArrayExamples(examples);
+      assert.equal(examples[0].value, '- a\n- b\n');
+    });
+
+    it('serializes scalar values', () => {
+      const examples = [{ value: '', isScalar: true }];
+      // @ts-ignore
+      processYamlArrayExamples(examples);
+      assert.equal(examples[0].value, '- ""\n');
+    });
+
+    it('processes union values', () => {
+      const examples = [{ values: [{ value: 'a: 1\n' }, { value: 'b: 2\n' }] }];
+      // @ts-ignore
+      processYamlArrayExamples(examples);
+      assert.equal(examples[0].values[0].value, '- a: 1\n');
+      assert.equal(examples[0].values[1].value, '- b: 2\n');
+    });
+  });
+
+  [
+    ['json+ld data model', false],
+    ['Compact data model', true],
+  ].forEach(([label, compact]) => {
+    describe(String(label), () => {
+      let element;
+      let amf;
+
+      before(async () => {
+        amf = await AmfLoader.load(/** @type Boolean */ (compact), apiFile);
+      });
+
+      beforeEach(() => {
+        element = new ExampleGenerator(amf);
+      });
+
+      it('generates YAML example from properties', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/people', 'post');
+        const result = element.generatePayloadsExamples(
+          payloads,
+          'application/yaml'
+        );
+        assert.lengthOf(result, 1);
+        assert.equal(
+          result[0].value,
+          'name: ""\nage: 0\nactive: false\nnickname: null\naddresses:\n  - street: ""\n    city: ""\n'
+        );
+      });
+
+      it('generates YAML example for application/x-yaml', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/people', 'post');
+        const result = element.generatePayloadsExamples(
+          payloads,
+          'application/x-yaml'
+        );
+        assert.lengthOf(result, 1);
+        assert.include(result[0].value, 'nickname: null\n');
+      });
+
+      it('generates YAML sequence for an array payload', () => {
+        const payloads = AmfLoader.lookupReturnsPayload(
+          amf,
+          '/people',
+          'get',
+          200
+        );
+        const result = element.generatePayloadsExamples(
+          payloads,
+          'application/yaml'
+        );
+        assert.lengthOf(result, 1);
+        assert.equal(
+          result[0].value,
+          '- name: ""\n  age: 0\n  active: false\n  nickname: null\n  addresses:\n    - street: ""\n      city: ""\n'
+        );
+      });
+
+      it('generates YAML from declared example', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/notes', 'post');
+        const result = element.generatePayloadsExamples(
+          payloads,
+          'application/yaml'
+        );
+        assert.lengthOf(result, 1);
+        assert.equal(
+          result[0].value,
+          'title: "yes"\nbody: |\n  First line\n  Second line\ntags:\n  - a\n  - "b: c"\n  - "123"\nauthor: null\n'
+        );
+      });
+
+      it('keeps raw value of declared example', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/notes', 'post');
+        const result = element.generatePayloadsExamples(
+          payloads,
+          'application/yaml'
+        );
+        assert.isTrue(result[0].hasRaw);
+        assert.typeOf(result[0].raw, 'string');
+      });
+
+      it('generates YAML with nested arrays from declared example', () => {
+        const payloads = AmfLoader.lookupPayload(amf, '/matrix', 'post');
+        const result = element.generatePayloadsExamples(
+          payloads,
+          'application/yaml'
+        );
+        assert.equal(
+          result[0].value,
+          'cells:\n  - - 1\n    - 2\n  - - 3\n    - 4\n'
+        );
+      });
+    });
+  });
+});